@@ -1,215 +1,408 @@
 // create a simple React dashboard that displays the title "Hydration Tracker"
-// Context (#): main state (entries, goalOunces, etc.) lives in App and is passed to child screens/components
+// Context (#): main state lives in App and is passed to child screens/components; entries and the
+// goal history are a reducer store (src/store.js) that screens read through its selectors
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useCallback, useReducer, useRef } from 'react';
 import {
   SafeAreaView,
   View,
   Text,
-  StyleSheet,
   TouchableOpacity,
-  Modal,
-  TextInput,
   FlatList,
-  Pressable,
   Alert,
+  ActivityIndicator,
+  useColorScheme,
+  AppState,
 } from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import * as QuickActions from 'expo-quick-actions';
+import { useQuickActionCallback } from 'expo-quick-actions/hooks';
+import { NavigationContainer } from '@react-navigation/native';
+
+import { loadState, saveState, createDefaultSettings, createMember } from './src/storage';
+import { toDateKey, parseDateKey, shiftDateKey, currentUtcOffset } from './src/dates';
+import { ThemeContext, themeWithStyles } from './src/styles';
+import { buildTheme } from './src/theme';
+import { formatVolume, toOunces } from './src/units';
+import { DEFAULT_BEVERAGE_ID, DEFAULT_BEVERAGES, hydratedOunces } from './src/beverages';
+import { DEFAULT_PRESETS, presetName } from './src/presets';
+import { syncReminders } from './src/notifications';
+import { activitiesForDay, bonusByDay } from './src/activities';
+import { TRASH_DAYS } from './src/changeLog';
+import { createUndoStack, mapSnapshots, recordStep, redoStep, undoStep } from './src/undo';
+import { householdReminders, householdSummaries } from './src/household';
+import {
+  actions,
+  createStoreState,
+  goalStatus,
+  hydrationReducer,
+  selectDayEntries,
+  selectGoal,
+  selectIntakeByDate,
+  selectRestorableEntries,
+  selectTotalsByDate,
+} from './src/store';
+import { alcoholOffset, overCaffeineLimit } from './src/intake';
+import { amountWarnings } from './src/validation';
+import { Stack, TAB_ICONS, Tabs, createLinking, logLink, navigationRef, navigationTheme, parseLogLink } from './src/navigation';
+import { QUICK_AMOUNTS } from './src/quickLog';
+import { refreshWidget } from './src/widget/widgetTaskHandler';
+import { evaluateAchievements, unlockedIds } from './src/achievements';
+import { firstDayOfWeek, formatDate, formatNumber, setLanguage, t } from './src/i18n';
+import EntryCard from './src/components/EntryCard';
+import EntryModal from './src/components/EntryModal';
+import UndoToast from './src/components/UndoToast';
+import GoalModal from './src/components/GoalModal';
+import ActivityModal from './src/components/ActivityModal';
+import GoalBreakdown from './src/components/GoalBreakdown';
+import ProgressGauge from './src/components/ProgressGauge';
+import MemberSwitcher from './src/components/MemberSwitcher';
+import BackupScreen from './src/screens/BackupScreen';
+import BeveragesScreen from './src/screens/BeveragesScreen';
+import DayDetailScreen from './src/screens/DayDetailScreen';
+import PresetsScreen from './src/screens/PresetsScreen';
+import SettingsScreen from './src/screens/SettingsScreen';
+import StatsScreen from './src/screens/StatsScreen';
+import GoalHistoryScreen from './src/screens/GoalHistoryScreen';
+import ProfileScreen from './src/screens/ProfileScreen';
+import RecentlyDeletedScreen from './src/screens/RecentlyDeletedScreen';
+import HouseholdScreen from './src/screens/HouseholdScreen';
+import CalendarScreen from './src/screens/CalendarScreen';
+import AchievementsScreen from './src/screens/AchievementsScreen';
+import AchievementCelebration from './src/components/AchievementCelebration';
 
-// simple preset times shown in the add-entry modal
-const TIMES = ['Morning', 'Afternoon', 'Evening', 'Night'];
-
-/**
- * CalendarScreen
- * - Shows a month grid
- * - Each day has an outer ring and an inner fill that scales by percent of goal (or relative to max)
- * - Props:
- *    onBack: callback to return to home screen
- *    totalsByDate: object mapping 'YYYY-MM-DD' -> total ounces for that day
- *    goalOunces: user's daily goal (number) or null
- */
-function CalendarScreen({ onBack, totalsByDate, goalOunces }) {
-  // local state for the currently displayed month
-  const [calendarDate, setCalendarDate] = useState(new Date());
-
-  // build a simple month grid: leading blanks + day objects { day, date, iso }
-  function getMonthGrid(date) {
-    const year = date.getFullYear();
-    const month = date.getMonth();
-    const start = new Date(year, month, 1);
-    const end = new Date(year, month + 1, 0);
-    const daysInMonth = end.getDate();
-    const startWeekday = start.getDay(); // 0 = Sun
-
-    const grid = [];
-    // add blanks for days before the 1st
-    for (let i = 0; i < startWeekday; i++) grid.push(null);
-
-    // fill the month days
-    for (let d = 1; d <= daysInMonth; d++) {
-      const cur = new Date(year, month, d);
-      const iso = cur.toISOString().slice(0, 10); // 'YYYY-MM-DD'
-      grid.push({ day: d, date: cur, iso });
-    }
+// App (home screen + shared state)
+// - Holds the hydration store (entries, goal; see store.js) and renders every screen through
+//   the navigators in navigation.js
+// - The entries/goal/workouts/settings states below are the *active profile's*; the other
+//   household members are kept as stored in `members` and swapped in by switchMember
+function App() {
+  // household profiles: [{ id, name, entries, deletedEntries, goalHistory, activities, settings }]
+  // (the active member's data here is only refreshed on switch/save, the states below are live)
+  const [members, setMembers] = useState([]);
+  const [activeMemberId, setActiveMemberId] = useState(null);
 
-    return { grid, monthLabel: start.toLocaleString('en-US', { month: 'long', year: 'numeric' }) };
-  }
+  // the active profile's hydration store, changed only through store.actions:
+  // - entries: each entry { id, amount, unit, beverageId, timeOfDay, createdAt, utcOffset }
+  // - deletedEntries: restorable for changeLog.TRASH_DAYS days, entries with a `deletedAt` stamp
+  // - goalHistory: goal changes with the day each took effect
+  //   [{ id, ounces, effectiveDate, changedAt, reason }] (always stored in ounces, shown in settings.unit)
+  const [data, dispatch] = useReducer(hydrationReducer, undefined, createStoreState);
+  const { entries, deletedEntries, goalHistory } = data;
 
-  // compute grid + labeling for the current month
-  const { grid, monthLabel } = getMonthGrid(calendarDate);
+  // undo/redo steps for entry and goal changes (see undo.js; not saved)
+  const [undoStack, setUndoStack] = useState(createUndoStack);
 
-  // convenience: totals for days in the month and maximum to scale fills when no goal is set
-  const monthTotals = grid.filter(Boolean).map(d => totalsByDate[d.iso] || 0);
-  const maxInMonth = monthTotals.length ? Math.max(...monthTotals) : 0;
+  // user-editable drink types with hydration factors
+  const [beverages, setBeverages] = useState(DEFAULT_BEVERAGES);
 
-  // how many days in this month and how many reached the goal (if goal set)
-  const daysInMonth = grid.filter(Boolean).length;
-  const daysReached = goalOunces != null
-    ? grid.filter(Boolean).reduce((acc, d) => acc + ((totalsByDate[d.iso] || 0) >= goalOunces ? 1 : 0), 0)
-    : 0;
+  // one-tap quick-add presets shown on the home screen, in display order
+  const [presets, setPresets] = useState(DEFAULT_PRESETS);
 
-  // navigation helpers for month
-  function prevMonth() {
-    setCalendarDate(d => new Date(d.getFullYear(), d.getMonth() - 1, 1));
-  }
-  function nextMonth() {
-    setCalendarDate(d => new Date(d.getFullYear(), d.getMonth() + 1, 1));
-  }
+  // undo toast after a one-tap add: { entryId, message } or null
+  const [undoToast, setUndoToast] = useState(null);
 
-  // show details for day when pressed
-  function onPressDay(iso) {
-    const total = totalsByDate[iso] || 0;
-    Alert.alert(iso, `${total} oz`);
-  }
+  // add/edit modal visibility + the entry being edited (null when adding)
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingEntry, setEditingEntry] = useState(null);
 
-  return (
-    <SafeAreaView style={styles.container}>
-      <View style={[styles.modal, { margin: 16 }]}>
-        {/* header with month label and navigation */}
-        <View style={styles.calendarHeader}>
-          <TouchableOpacity onPress={prevMonth} style={styles.navBtn}><Text style={styles.navText}>◀</Text></TouchableOpacity>
+  // modal for editing the goal
+  const [goalModalVisible, setGoalModalVisible] = useState(false);
 
-          <View style={{ alignItems: 'center' }}>
-            <Text style={styles.calendarTitle}>{monthLabel}</Text>
-          </View>
+  // exercise sessions, each adding a bonus to its day's target:
+  // [{ id, type, minutes, intensity, createdAt, utcOffset }] + the modal for logging one
+  const [activities, setActivities] = useState([]);
+  const [activityModalVisible, setActivityModalVisible] = useState(false);
 
-          <TouchableOpacity onPress={nextMonth} style={styles.navBtn}><Text style={styles.navText}>▶</Text></TouchableOpacity>
-        </View>
+  // user preferences (day start hour, unit, ...) persisted with the data
+  const [settings, setSettings] = useState(createDefaultSettings);
+  const { unit } = settings;
 
-        {/* weekday labels */}
-        <View style={styles.weekRow}>
-          {['Sun','Mon','Tue','Wed','Thu','Fri','Sat'].map(w => (
-            <Text key={w} style={styles.weekDay}>{w}</Text>
-          ))}
-        </View>
+  // every t() / format call below (and in the screens) follows the active profile's language
+  setLanguage(settings.language);
 
-        {/* calendar grid: each cell shows a ring and an inner fill scaled by percent */}
-        <View style={styles.grid}>
-          {grid.map((cell, idx) => {
-            if (!cell) return <View key={`b${idx}`} style={styles.cellEmpty} />; // blank cell
-
-            const total = totalsByDate[cell.iso] || 0;
-            // compute fill percent: prefer goal-based, otherwise relative to max in month
-            const percent = goalOunces != null && goalOunces > 0
-              ? Math.min(total / goalOunces, 1)
-              : maxInMonth > 0
-                ? Math.min(total / maxInMonth, 1)
-                : 0;
-
-            // size the inner fill circle (visual cue)
-            const innerSize = 28 * percent + 6; // ranges roughly 6..34
-
-            return (
-              <Pressable key={cell.iso} style={styles.cell} onPress={() => onPressDay(cell.iso)}>
-                <View style={styles.ringWrap}>
-                  {/* outer ring; blue if any amount, grey otherwise */}
-                  <View style={[styles.ring, { borderColor: percent > 0 ? '#007AFF' : '#e6e6e6' }]} />
-
-                  {/* inner fill scaled by percent */}
-                  {percent > 0 ? (
-                    <View style={[styles.innerFill, { width: innerSize, height: innerSize, borderRadius: innerSize / 2 }]} />
-                  ) : null}
-
-                  {/* day number label in center */}
-                  <Text style={styles.dayText}>{cell.day}</Text>
-                </View>
-              </Pressable>
-            );
-          })}
-        </View>
+  // colors + styles for the profile's theme settings and the device's light/dark mode, shared
+  // with every screen through ThemeContext
+  const systemScheme = useColorScheme();
+  const theme = useMemo(
+    () => themeWithStyles(buildTheme(settings, systemScheme)),
+    [settings.theme, settings.highContrast, settings.accent, systemScheme]
+  );
+  const { styles, colors } = theme;
 
-        {/* progress summary moved below the calendar grid */}
-        <View style={{ marginTop: 8, alignItems: 'center' }}>
-          {goalOunces != null ? (
-            <Text style={styles.calendarProgress}>
-              You've reached your goal {daysReached} / {daysInMonth} days
-            </Text>
-          ) : (
-            <Text style={styles.calendarProgressAlt}>No goal set</Text>
-          )}
-        </View>
+  // day browsed on the home screen ('YYYY-MM-DD'); null follows today
+  const [viewedDateKey, setViewedDateKey] = useState(null);
 
-        {/* back button styled like the modal action */}
-        <View style={{ marginTop: 12, alignItems: 'flex-end' }}>
-          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
-            <Text style={[styles.modalBtnText, { color: '#fff' }]}>Back</Text>
-          </TouchableOpacity>
-        </View>
-      </View>
-    </SafeAreaView>
+  // true while the profile screen was opened from the goal modal (Back reopens the modal)
+  const [profileFromGoal, setProfileFromGoal] = useState(false);
+
+  // a log link waiting to be handled once saved data is loaded: { ounces } (see navigation.parseLogLink)
+  const [linkedLog, setLinkedLog] = useState(null);
+
+  // deep link handling for the navigation container (created once; it only queues log links)
+  const linking = useMemo(
+    () => createLinking(url => {
+      const log = parseLogLink(url);
+      if (log) setLinkedLog(log);
+    }),
+    []
   );
-}
 
-// App (home screen + shared state)
-// - Holds entries, goal, and exposes calendar screen via currentScreen state
-function App() {
-  // entries array: each entry { id, ounces, timeOfDay, createdAt }
-  const [entries, setEntries] = useState([]);
+  // newly unlocked badges waiting to be celebrated, shown one at a time
+  const [celebrations, setCelebrations] = useState([]);
+
+  // false until saved state has been read from the device
+  const [hydrated, setHydrated] = useState(false);
+
+  // load saved entries + goal once on startup
+  useEffect(() => {
+    let cancelled = false;
+    loadState().then(({ state, recovered }) => {
+      if (cancelled) return;
+      setMembers(state.members);
+      setActiveMemberId(state.activeMemberId);
+      loadMember(state.members.find(m => m.id === state.activeMemberId));
+      setBeverages(state.beverages);
+      setPresets(state.presets);
+      setHydrated(true);
+
+      if (recovered) {
+        Alert.alert(t('home.dataResetTitle'), t('home.dataResetMessage'));
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // every member with the active one's live data folded in (what gets saved)
+  const currentMembers = useMemo(
+    () => members.map(m => (
+      m.id === activeMemberId ? { ...m, entries, deletedEntries, goalHistory, activities, settings } : m
+    )),
+    [members, activeMemberId, entries, deletedEntries, goalHistory, activities, settings]
+  );
 
-  // modal visibility + form state for adding/editing entries
-  const [modalVisible, setModalVisible] = useState(false);
-  const [ounces, setOunces] = useState('');
-  const [timeOfDay, setTimeOfDay] = useState(TIMES[0]);
-  const [editingId, setEditingId] = useState(null);
+  // save whenever any profile's data, beverages or presets change (skipped until the initial
+  // load finishes so the empty startup state never overwrites saved data)
+  useEffect(() => {
+    if (!hydrated) return;
+    saveState({ activeMemberId, members: currentMembers, beverages, presets });
+  }, [hydrated, activeMemberId, currentMembers, beverages, presets]);
+
+  // put a member's stored data into the live states
+  function loadMember(member) {
+    dispatch(actions.load(member));
+    setActivities(member.activities);
+    setSettings(member.settings);
+  }
 
-  // goal state + modal for editing goal
-  const [goalOunces, setGoalOunces] = useState(null); // number or null
-  const [goalModalVisible, setGoalModalVisible] = useState(false);
-  const [goalInput, setGoalInput] = useState('');
+  // switch profiles: store the active member's data, load the other one, and start the home
+  // screen (and undo history) fresh so nothing carries over between people
+  function switchMember(id) {
+    const next = currentMembers.find(m => m.id === id);
+    if (!next) return;
+    setMembers(currentMembers);
+    setActiveMemberId(id);
+    loadMember(next);
+    setUndoStack(createUndoStack());
+    setUndoToast(null);
+    setCelebrations([]);
+    setViewedDateKey(null);
+  }
+
+  function addMember(name) {
+    setMembers(prev => [...prev, createMember(name)]);
+  }
+
+  function renameMember(id, name) {
+    setMembers(prev => prev.map(m => (m.id === id ? { ...m, name } : m)));
+  }
+
+  // deleting the active profile switches to another one first
+  function deleteMember(id) {
+    const remaining = currentMembers.filter(m => m.id !== id);
+    if (!remaining.length) return;
+    if (id === activeMemberId) {
+      setActiveMemberId(remaining[0].id);
+      loadMember(remaining[0]);
+      setUndoStack(createUndoStack());
+      setUndoToast(null);
+      setViewedDateKey(null);
+    }
+    setMembers(remaining);
+  }
+
+  // every member's totals and targets for the calendar's household view (only with 2+ members)
+  const household = useMemo(
+    () => (currentMembers.length > 1 ? householdSummaries(currentMembers, beverages) : null),
+    [currentMembers, beverages]
+  );
 
-  // which screen to render: 'home' or 'calendar'
-  const [currentScreen, setCurrentScreen] = useState('home');
+  // hide the undo toast after a few seconds
+  useEffect(() => {
+    if (!undoToast) return;
+    const timer = setTimeout(() => setUndoToast(null), 5000);
+    return () => clearTimeout(timer);
+  }, [undoToast]);
+
+  // today's key (respects the day start hour) and the day shown on the home screen
+  const todayKey = toDateKey(new Date(), { dayStartHour: settings.dayStartHour });
+  const activeDateKey = viewedDateKey ?? todayKey;
+  const isToday = activeDateKey === todayKey;
+
+  // the goal that applied on any day; goalOunces is today's (the "current" goal)
+  const goalFor = useCallback(key => selectGoal(data, key), [goalHistory]);
+  const goalOunces = goalFor(todayKey);
+
+  // a day's target: its goal plus the bonus from that day's workouts (null when no goal applied)
+  const bonusByDate = useMemo(
+    () => bonusByDay(activities, settings.dayStartHour),
+    [activities, settings.dayStartHour]
+  );
+  const targetFor = useCallback(
+    key => {
+      const goal = goalFor(key);
+      return goal != null ? goal + (bonusByDate[key] || 0) : null;
+    },
+    [goalFor, bonusByDate]
+  );
+  const dayTarget = targetFor(activeDateKey);
+  const dayActivities = activitiesForDay(activities, activeDateKey, settings.dayStartHour);
 
   // formatted date string for header
-  const today = new Date();
-  const dateStr = today.toLocaleDateString('en-US', {
+  const dateStr = formatDate(parseDateKey(activeDateKey), {
     weekday: 'long',
     month: 'long',
     day: 'numeric',
     year: 'numeric',
   });
 
-  // compute total ounces for today (sum of all entries)
-  const totalOunces = entries.reduce((sum, e) => {
-    const val = Number(e.ounces);
-    return sum + (Number.isFinite(val) ? val : 0);
-  }, 0);
-
-  // how many ounces left to reach today's goal (if set)
-  const remainingToGoal = goalOunces != null ? Math.max(goalOunces - totalOunces, 0) : null;
-
-  // aggregate entries into totalsByDate: { 'YYYY-MM-DD': totalOunces }
-  const totalsByDate = useMemo(() => {
-    return entries.reduce((acc, e) => {
-      const d = new Date(e.createdAt);
-      const iso = d.toISOString().slice(0, 10); // yyyy-mm-dd
-      acc[iso] = (acc[iso] || 0) + Number(e.ounces || 0);
-      return acc;
-    }, {});
-  }, [entries]);
+  // entries for any day, newest first
+  function entriesForDay(key) {
+    return selectDayEntries(data, key, settings.dayStartHour);
+  }
+
+  const dayEntries = entriesForDay(activeDateKey);
+
+  // aggregate entries into totalsByDate: { 'YYYY-MM-DD': hydrated ounces } (local days, volume x
+  // each drink's hydration factor)
+  const totalsByDate = useMemo(
+    () => selectTotalsByDate(data, { beverages, dayStartHour: settings.dayStartHour }),
+    [entries, beverages, settings.dayStartHour]
+  );
+
+  // caffeine (mg) and alcohol (standard drinks) per day, see intake.js
+  const intakeByDate = useMemo(
+    () => selectIntakeByDate(data, { beverages, dayStartHour: settings.dayStartHour }),
+    [entries, beverages, settings.dayStartHour]
+  );
+
+  // the shown day's caffeine and alcohol; each standard drink adds water to what's left of the
+  // day's target here (the calendar, stats and badges judge days by goal + workouts only)
+  const dayIntake = intakeByDate[activeDateKey] ?? { caffeineMg: 0, alcoholDrinks: 0 };
+  const alcoholWater = dayTarget != null ? alcoholOffset(dayIntake.alcoholDrinks, settings.intake) : 0;
+  const shownTarget = dayTarget != null ? dayTarget + alcoholWater : null;
+
+  // the shown day's total against its target: how many ounces are left (if a goal applied)
+  const { total: totalOunces, remaining: remainingToGoal } = goalStatus(totalsByDate[activeDateKey] || 0, shownTarget);
+
+  // today's hydrated total, for the widget no matter which day the home screen shows
+  const todayTotal = totalsByDate[todayKey] || 0;
+
+  // the store as of the last render, for the foreground listener below
+  const latestData = useRef(data);
+  latestData.current = data;
+
+  // pick up entries logged from the home-screen widget while the app was in the background
+  // (they're already saved; only the active profile can have new ones). They go into every undo
+  // snapshot as well, so undoing an earlier action doesn't take them away
+  useEffect(() => {
+    if (!hydrated) return;
+    const subscription = AppState.addEventListener('change', status => {
+      if (status !== 'active') return;
+      loadState().then(({ state, recovered }) => {
+        const stored = state.members.find(m => m.id === activeMemberId);
+        if (recovered || !stored) return;
+
+        const current = latestData.current;
+        const known = new Set([...current.entries, ...current.deletedEntries].map(e => e.id));
+        const added = stored.entries.filter(e => !known.has(e.id));
+        if (!added.length) return;
+
+        const action = actions.mergeEntries(added);
+        setUndoStack(stack => mapSnapshots(stack, snapshot => hydrationReducer(snapshot, action)));
+        dispatch(action);
+      });
+    });
+    return () => subscription.remove();
+  }, [hydrated, activeMemberId]);
+
+  // keep the widget showing today's total and goal for the active profile
+  useEffect(() => {
+    if (!hydrated) return;
+    refreshWidget({ total: todayTotal, goal: goalOunces, unit, settings });
+  }, [hydrated, todayTotal, goalOunces, unit, settings.language, settings.theme, settings.highContrast, settings.accent]);
+
+  // long-press app icon shortcuts ("Log a glass", "Log a bottle"), each opening a log link
+  useEffect(() => {
+    QuickActions.setItems(QUICK_AMOUNTS.map(q => ({
+      id: q.id,
+      title: t(`quickLog.${q.id}`),
+      subtitle: formatVolume(q.ounces, unit),
+      params: { href: logLink(q.ounces) },
+    }))).catch(err => console.warn('Could not set app shortcuts', err));
+  }, [settings.language, unit]);
+
+  // a shortcut (also the one that started the app) is handled like its log link; the hook
+  // replays the launch shortcut (QuickActions.initial) whenever it re-subscribes, so that one is
+  // only taken once
+  const launchShortcutHandled = useRef(false);
+  const onQuickAction = useCallback(action => {
+    if (action === QuickActions.initial) {
+      if (launchShortcutHandled.current) return;
+      launchShortcutHandled.current = true;
+    }
+    const log = action.params?.href ? parseLogLink(action.params.href) : null;
+    if (log) setLinkedLog(log);
+  }, []);
+  useQuickActionCallback(onQuickAction);
+
+  // re-plan local reminders whenever any profile's intake, goal or reminder settings change;
+  // every member with reminders on gets their own, named in the title when there are several
+  useEffect(() => {
+    if (!hydrated) return;
+    syncReminders(householdReminders(currentMembers, beverages, new Date()));
+  }, [hydrated, currentMembers, beverages, settings.language]);
+
+  // badges replayed from the whole history (rule changes and edits to old entries apply retroactively)
+  const achievements = useMemo(
+    () => evaluateAchievements(entries, { beverages, dayStartHour: settings.dayStartHour, goalFor: targetFor, todayKey }),
+    [entries, beverages, settings.dayStartHour, targetFor, todayKey, settings.language]
+  );
+
+  // celebrate badges unlocked since they were last seen; the first evaluation for a profile
+  // just records what its history already earned
+  useEffect(() => {
+    if (!hydrated) return;
+    const unlocked = unlockedIds(achievements);
+    const seen = settings.seenAchievements;
+    const fresh = seen == null ? [] : achievements.filter(a => a.unlockedOn != null && !seen.includes(a.id));
+    if (seen != null && !fresh.length) return;
+
+    setSettings(s => ({ ...s, seenAchievements: [...new Set([...(s.seenAchievements || []), ...unlocked])] }));
+    setCelebrations(prev => [...prev, ...fresh]);
+  }, [hydrated, achievements, settings.seenAchievements]);
+
+  // step the home screen one day back/forward; never past today
+  function shiftViewedDay(delta) {
+    const next = shiftDateKey(activeDateKey, delta);
+    setViewedDateKey(next >= todayKey ? null : next);
+  }
 
   /**
    * openAddModal(entry?)
-   * - If entry object is provided, populate modal for editing
+   * - If entry object is provided, open the modal for editing it
    * - If called via onPress without args, we guard against event objects
    */
   function openAddModal(entry = null) {
@@ -218,475 +411,641 @@ function App() {
       entry = null;
     }
 
-    // If editing an existing entry, populate fields; otherwise reset for new entry
-    if (entry && typeof entry === 'object' && entry.ounces != null) {
-      setOunces(String(entry.ounces));
-      setTimeOfDay(entry.timeOfDay ?? TIMES[0]);
-      setEditingId(entry.id != null ? entry.id : null);
+    setEditingEntry(entry && typeof entry === 'object' && entry.amount != null ? entry : null);
+    setModalVisible(true);
+  }
+
+  // apply a store action as one undoable step: the store state as it is now is remembered first
+  // (undo/redo work on the whole store). Actions that would change nothing are skipped and return
+  // false. The quick-add toast goes away so its Undo always matches the latest step
+  function change(action, label) {
+    if (hydrationReducer(data, action) === data) return false;
+    setUndoStack(stack => recordStep(stack, data, label));
+    setUndoToast(null);
+    dispatch(action);
+    return true;
+  }
+
+  function undo() {
+    const step = undoStep(undoStack, data);
+    if (!step) return;
+    setUndoStack(step.stack);
+    dispatch(actions.load(step.snapshot));
+    setUndoToast(null);
+  }
+
+  function redo() {
+    const step = redoStep(undoStack, data);
+    if (!step) return;
+    setUndoStack(step.stack);
+    dispatch(actions.load(step.snapshot));
+  }
+
+  const undoLabel = undoStack.past.length ? undoStack.past[undoStack.past.length - 1].label : null;
+  const redoLabel = undoStack.future.length ? undoStack.future[undoStack.future.length - 1].label : null;
+
+  // create a new entry (logged now unless createdAt is given); returns the entry, or null when
+  // the store rejected it
+  function createEntry(fields) {
+    const action = actions.addEntry(fields);
+    return change(action, 'addEntry') ? action.entry : null;
+  }
+
+  // add or update an entry with values from the modal (the store checks them again)
+  function addEntry(values) {
+    if (editingEntry) {
+      // update existing entry (logging what changed); a new date/time may move it to another day
+      change(actions.editEntry(editingEntry.id, values), 'editEntry');
+      setEditingEntry(null);
     } else {
-      setOunces('');
-      setTimeOfDay(TIMES[0]);
-      setEditingId(null);
+      createEntry(values);
     }
 
-    setModalVisible(true);
+    setModalVisible(false);
   }
 
-  // add or update an entry
-  function addEntry() {
-    const oz = parseFloat(ounces);
-    if (Number.isNaN(oz) || oz <= 0) {
-      Alert.alert('Invalid input', 'Please enter a positive number of ounces.');
+  // one-tap add (a preset or a log link) named `name` in the undo toast; past the sanity limits
+  // (one entry, or today's new total) it's only logged once confirmed in an alert
+  function quickAdd(fields, name) {
+    const warnings = amountWarnings(
+      {
+        entryOunces: toOunces(fields.amount, fields.unit),
+        dayOunces: todayTotal + hydratedOunces(fields, beverages),
+      },
+      settings.limits,
+      unit
+    );
+    if (!warnings.length) {
+      logQuickAdd(fields, name);
       return;
     }
+    Alert.alert(t('validation.confirmTitle', { name }), warnings.join('\n\n'), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('validation.saveAnyway'), onPress: () => logQuickAdd(fields, name) },
+    ]);
+  }
 
-    if (editingId) {
-      // update existing entry
-      setEntries(prev =>
-        prev.map(e => (e.id === editingId ? { ...e, ounces: oz, timeOfDay } : e))
-      );
-      setEditingId(null);
-    } else {
-      // create new entry with timestamp
-      const newEntry = {
-        id: Date.now().toString(),
-        ounces: oz,
-        timeOfDay,
-        createdAt: new Date().toISOString(),
-      };
-      setEntries(prev => [newEntry, ...prev]);
-    }
+  // log a one-tap add; jumps back to today so the new entry is visible
+  function logQuickAdd({ amount, unit: amountUnit, beverageId }, name) {
+    const entry = createEntry({
+      amount,
+      unit: amountUnit,
+      beverageId,
+      timeOfDay: null, // derived from the time it was logged
+    });
+    if (!entry) return;
+    setViewedDateKey(null);
+    setUndoToast({ entryId: entry.id, message: t('undo.added', { name }) });
+  }
 
-    setModalVisible(false);
+  // log a workout on the shown day (now for today, midday for an earlier day)
+  function addActivity(values) {
+    const at = isToday ? new Date() : parseDateKey(activeDateKey);
+    const activity = { id: Date.now().toString(), ...values, createdAt: at.toISOString(), utcOffset: currentUtcOffset(at) };
+    setActivities(prev => [...prev, activity]);
+    setActivityModalVisible(false);
   }
 
-  // confirm and delete an entry
-  function confirmDelete(id) {
-    Alert.alert('Delete entry', 'Are you sure you want to delete this entry?', [
-      { text: 'Cancel', style: 'cancel' },
+  // confirm and remove a workout (its bonus leaves the day's target)
+  function confirmDeleteActivity(id) {
+    Alert.alert(t('workout.removeLabel'), t('workout.removeMessage'), [
+      { text: t('common.cancel'), style: 'cancel' },
       {
-        text: 'Delete',
+        text: t('common.remove'),
         style: 'destructive',
         onPress: () => {
-          setEntries(prev => prev.filter(e => e.id !== id));
+          setActivities(prev => prev.filter(a => a.id !== id));
         },
       },
     ]);
   }
 
+  // undo the last one-tap add (the toast is only up while that add is the latest undo step)
+  function undoQuickAdd() {
+    if (!undoToast) return;
+    undo();
+  }
+
+  // drop every hand-picked time of day so all entries follow the boundary hours again
+  function reclassifyEntries() {
+    change(actions.reclassify(), 'reclassify');
+  }
+
+  // merge an import previewed in the backup screen
+  function importData({
+    entries: added,
+    beverages: addedBeverages,
+    activities: addedActivities,
+    goalHistory: restoredGoals,
+    settings: restored,
+    presets: restoredPresets,
+  }) {
+    // imports can't be undone: they also bring drinks, workouts, settings and presets, which the
+    // undo snapshots don't hold, and older snapshots would drop the imported entries again
+    setUndoStack(createUndoStack());
+    setUndoToast(null);
+    dispatch(actions.importData(added, restored ? restoredGoals : null));
+    if (addedBeverages.length) setBeverages(prev => [...prev, ...addedBeverages]);
+    if (addedActivities.length) setActivities(prev => [...prev, ...addedActivities]);
+    if (restored) {
+      setSettings(restored);
+      setPresets(restoredPresets);
+    }
+  }
+
+  // confirm and delete an entry; it moves to "recently deleted" rather than being dropped
+  function confirmDelete(id) {
+    Alert.alert(t('entry.deleteLabel'), t('home.deleteMessage', { days: TRASH_DAYS }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('common.delete'),
+        style: 'destructive',
+        onPress: () => deleteEntry(id),
+      },
+    ]);
+  }
+
+  function deleteEntry(id) {
+    change(actions.deleteEntry(id), 'deleteEntry');
+  }
+
+  // put a deleted entry back in the list
+  function restoreEntry(id) {
+    change(actions.restoreEntry(id), 'restoreEntry');
+  }
+
   // render each list item (entry)
   function renderItem({ item }) {
-    const time = new Date(item.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
     return (
-      <View style={styles.card}>
-        <View style={{ flex: 1 }}>
-          {/* ounces value and small metadata */}
-          <Text style={styles.itemName}>{item.ounces} oz</Text>
-          <Text style={styles.itemSub}>{item.timeOfDay} • {time}</Text>
-        </View>
-
-        {/* edit / delete actions for the entry */}
-        <View style={styles.actionRow}>
-          <TouchableOpacity
-            onPress={() => openAddModal(item)}
-            style={[styles.smallBtn, styles.editBtn]}
-            accessibilityLabel="Edit entry"
-          >
-            <Text style={styles.smallBtnText}>Edit</Text>
-          </TouchableOpacity>
-
-          <TouchableOpacity
-            onPress={() => confirmDelete(item.id)}
-            style={[styles.smallBtn, styles.deleteBtn]}
-            accessibilityLabel="Delete entry"
-          >
-            <Text style={[styles.smallBtnText, { color: '#B00020' }]}>Delete</Text>
-          </TouchableOpacity>
-        </View>
-      </View>
+      <EntryCard
+        entry={item}
+        unit={unit}
+        beverages={beverages}
+        timeOfDayStarts={settings.timeOfDayStarts}
+        onEdit={openAddModal}
+        onDelete={confirmDelete}
+      />
     );
   }
 
-  // open goal modal and prefill value if set
   function openGoalModal() {
-    setGoalInput(goalOunces != null ? String(goalOunces) : '');
     setGoalModalVisible(true);
   }
 
-  // save goal from modal input
-  function saveGoal() {
-    const g = parseFloat(goalInput);
-    if (Number.isNaN(g) || g <= 0) {
-      Alert.alert('Invalid goal', 'Please enter a positive number of ounces for your goal.');
-      return;
-    }
-    setGoalOunces(g);
+  // goal modal -> goal history or profile screen
+  function leaveGoalModal(routeName) {
+    setGoalModalVisible(false);
+    setProfileFromGoal(routeName === 'Profile');
+    navigationRef.navigate(routeName);
+  }
+
+  // leaving the profile screen (Back or hardware back): reopen the goal modal when it came from there
+  function profileClosed() {
+    if (profileFromGoal) setGoalModalVisible(true);
+  }
+
+  // save the goal from the modal; the change applies from today on, earlier days keep theirs
+  // (an unchanged goal is a no-op in the store)
+  function saveGoal({ ounces, reason }) {
+    change(actions.setGoal({ ounces, effectiveDate: todayKey, reason }), 'goalChange');
     setGoalModalVisible(false);
   }
 
-  // if calendar selected, render that "screen" component
-  if (currentScreen === 'calendar') {
-    return <CalendarScreen onBack={() => setCurrentScreen('home')} totalsByDate={totalsByDate} goalOunces={goalOunces} />;
+  // switch to a tab (its screen keeps whatever state it had); from a pushed screen too
+  function openTab(name, params) {
+    navigationRef.navigate('Tabs', { screen: name, params });
+  }
+
+  // calendar day pressed: open that day's entry list
+  function openDayDetail(iso) {
+    navigationRef.navigate('Day', { dateKey: iso });
+  }
+
+  // back from a pushed screen
+  function goBack() {
+    if (navigationRef.canGoBack()) navigationRef.goBack();
+  }
+
+  // handle a queued log link: log that much water like a quick add, or open the add form
+  useEffect(() => {
+    if (!hydrated || !linkedLog) return;
+    setLinkedLog(null);
+    if (linkedLog.ounces != null) {
+      quickAdd({ amount: linkedLog.ounces, unit: 'oz', beverageId: DEFAULT_BEVERAGE_ID }, formatVolume(linkedLog.ounces, unit));
+    } else {
+      openAddModal();
+    }
+  }, [hydrated, linkedLog]);
+
+  // wait for saved data before showing anything that depends on it
+  if (!hydrated) {
+    return (
+      <SafeAreaView style={[styles.container, styles.loading]}>
+        <ActivityIndicator size="large" color={colors.accent} />
+      </SafeAreaView>
+    );
   }
 
   // Home screen UI
-  return (
+  const home = (
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
         <View style={styles.headerTop}>
           {/* App title (left) */}
-          <Text style={styles.title}>Hydration Tracker</Text>
+          <Text style={styles.title}>{t('home.title')}</Text>
+
+          <View style={styles.headerBtnRow}>
+            {/* undo / redo the last entry or goal change */}
+            <TouchableOpacity
+              onPress={undo}
+              disabled={!undoLabel}
+              style={styles.navBtn}
+              accessibilityLabel={undoLabel ? t('undo.undoLabel', { action: t(`undo.${undoLabel}`) }) : t('undo.nothingToUndo')}
+            >
+              <Text style={[styles.navText, !undoLabel && styles.navTextDisabled]}>↶</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={redo}
+              disabled={!redoLabel}
+              style={styles.navBtn}
+              accessibilityLabel={redoLabel ? t('undo.redoLabel', { action: t(`undo.${redoLabel}`) }) : t('undo.nothingToRedo')}
+            >
+              <Text style={[styles.navText, !redoLabel && styles.navTextDisabled]}>↷</Text>
+            </TouchableOpacity>
+
+            {/* whose data is shown; switching swaps every entry, goal and setting */}
+            <MemberSwitcher
+              members={currentMembers}
+              activeMemberId={activeMemberId}
+              onSwitch={switchMember}
+              onManage={() => navigationRef.navigate('Household')}
+            />
 
-          {/* small control to set or show current goal (right) */}
-          <TouchableOpacity onPress={openGoalModal} style={styles.goalEditBtn}>
-            <Text style={styles.goalEditText}>{goalOunces != null ? `${goalOunces} oz goal` : 'Set goal'}</Text>
-          </TouchableOpacity>
+            {/* small control to set or show current goal (right) */}
+            <TouchableOpacity onPress={openGoalModal} style={styles.goalEditBtn}>
+              <Text style={styles.goalEditText}>{goalOunces != null ? t('home.goal', { volume: formatVolume(goalOunces, unit) }) : t('home.setGoal')}</Text>
+            </TouchableOpacity>
+          </View>
         </View>
 
-        {/* today's date */}
-        <Text style={styles.date}>{dateStr}</Text>
+        {/* shown date with previous/next day navigation */}
+        <View style={styles.dateNav}>
+          <TouchableOpacity onPress={() => shiftViewedDay(-1)} style={styles.navBtn} accessibilityLabel={t('home.previousDay')}>
+            <Text style={styles.navText}>◀</Text>
+          </TouchableOpacity>
+
+          <Text style={[styles.date, styles.dateNavText]}>{dateStr}</Text>
 
-        {/* View Calendar button: aligned left beneath the date */}
-        <View style={styles.calendarBtnContainer}>
           <TouchableOpacity
-            onPress={() => setCurrentScreen('calendar')}
+            onPress={() => shiftViewedDay(1)}
+            disabled={isToday}
+            style={styles.navBtn}
+            accessibilityLabel={t('home.nextDay')}
+          >
+            <Text style={[styles.navText, isToday && styles.navTextDisabled]}>▶</Text>
+          </TouchableOpacity>
+
+          {!isToday ? (
+            <TouchableOpacity onPress={() => setViewedDateKey(null)} style={styles.navBtn}>
+              <Text style={styles.goalEditText}>{t('home.today')}</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+
+        {/* View Calendar + Stats + Settings + Achievements buttons: aligned left beneath the date */}
+        <View style={[styles.calendarBtnContainer, styles.headerBtnRow]}>
+          <TouchableOpacity
+            onPress={() => openTab('Calendar')}
             style={[styles.calendarBtnMain]}
           >
-            <Text style={[styles.modalBtnText, { color: '#fff', fontSize: 14 }]}>View Calendar</Text>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent, fontSize: 14 }]}>{t('home.calendar')}</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity onPress={() => openTab('Stats')} style={styles.calendarBtn}>
+            <Text style={styles.calendarBtnText}>{t('home.stats')}</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity onPress={() => openTab('Settings')} style={styles.calendarBtn}>
+            <Text style={styles.calendarBtnText}>{t('settings.title')}</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            onPress={() => navigationRef.navigate('Achievements')}
+            style={styles.calendarBtn}
+            accessibilityLabel={t('achievementsScreen.title')}
+          >
+            <Text style={styles.calendarBtnText}>🏆</Text>
           </TouchableOpacity>
         </View>
       </View>
 
-      {/* main content: list of today's entries, total, and add button */}
+      {/* main content: list of the day's entries, total, and add button */}
       <View style={styles.content}>
-        <Text style={styles.sectionTitle}>Today's intake ({entries.length})</Text>
+        {/* animated fill toward the shown day's target, with pace markers on today */}
+        <ProgressGauge
+          total={totalOunces}
+          target={shownTarget}
+          unit={unit}
+          paceWindow={settings.reminders}
+          now={isToday ? new Date() : null}
+        />
+
+        <Text style={styles.sectionTitle}>{t(isToday ? 'home.todayIntake' : 'home.intake', { count: dayEntries.length })}</Text>
 
         <FlatList
-          data={entries}
+          data={dayEntries}
           keyExtractor={item => item.id}
           renderItem={renderItem}
-          ListEmptyComponent={<Text style={styles.emptyText}>No entries yet — add your first glass.</Text>}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>{t(isToday ? 'home.emptyToday' : 'home.emptyDay')}</Text>
+          }
           style={styles.list}
         />
 
-        {/* total ounces row with remaining/goal indicator */}
+        {/* total row with remaining/goal indicator */}
         <View style={styles.totalRow}>
           <View>
-            <Text style={styles.totalLabel}>Total today</Text>
-            <Text style={styles.totalValue}>{totalOunces} oz</Text>
+            <Text style={styles.totalLabel}>{t(isToday ? 'home.totalToday' : 'home.total')}</Text>
+            <Text style={styles.totalValue}>{formatVolume(totalOunces, unit)}</Text>
           </View>
 
           <View style={{ alignItems: 'flex-end' }}>
-            {goalOunces == null ? (
-              <Text style={styles.goalHint}>No goal set</Text>
+            {dayTarget == null ? (
+              <Text style={styles.goalHint}>{t('home.noGoal')}</Text>
             ) : remainingToGoal > 0 ? (
-              <Text style={styles.remaining}>{remainingToGoal} oz away from goal</Text>
+              <Text style={styles.remaining}>{t('home.remaining', { volume: formatVolume(remainingToGoal, unit) })}</Text>
             ) : (
-              <Text style={styles.goalReached}>Goal reached!</Text>
+              <Text style={styles.goalReached}>{t('home.goalReached')}</Text>
             )}
+            {alcoholWater > 0 ? (
+              <Text style={styles.goalHint}>
+                {t('intake.alcoholOffset', {
+                  volume: formatVolume(alcoholWater, unit),
+                  count: dayIntake.alcoholDrinks,
+                  drinks: formatNumber(dayIntake.alcoholDrinks),
+                })}
+              </Text>
+            ) : null}
+            {overCaffeineLimit(dayIntake.caffeineMg, settings.intake) ? (
+              <Text style={styles.fieldWarning}>
+                {t('intake.caffeineOver', {
+                  mg: formatNumber(Math.round(dayIntake.caffeineMg)),
+                  limit: formatNumber(settings.intake.caffeineLimitMg),
+                })}
+              </Text>
+            ) : null}
+            <TouchableOpacity onPress={() => setActivityModalVisible(true)} accessibilityLabel={t('workout.title')}>
+              <Text style={styles.goalEditText}>{t('home.addWorkout')}</Text>
+            </TouchableOpacity>
           </View>
         </View>
 
+        {/* base goal + workout bonuses for the shown day */}
+        <GoalBreakdown
+          baseGoal={goalFor(activeDateKey)}
+          activities={dayActivities}
+          unit={unit}
+          onDelete={confirmDeleteActivity}
+        />
+
+        {/* one-tap quick-add presets */}
+        {presets.length ? (
+          <View style={styles.presetRow}>
+            {presets.map(p => (
+              <TouchableOpacity
+                key={p.id}
+                onPress={() => quickAdd(p, presetName(p))}
+                style={styles.presetBtn}
+                accessibilityLabel={t('home.quickAdd', { name: presetName(p) })}
+              >
+                <Text style={styles.presetName}>{presetName(p)}</Text>
+                <Text style={styles.presetAmount}>{formatVolume(toOunces(p.amount, p.unit), unit)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        ) : null}
+
         {/* primary action: add water intake */}
         <TouchableOpacity
           style={styles.button}
           onPress={() => openAddModal()}
-          accessibilityLabel="Add water intake"
+          accessibilityLabel={t('entry.addTitle')}
         >
-          <Text style={styles.buttonText}>Add Water Intake</Text>
+          <Text style={styles.buttonText}>{t('entry.addTitle')}</Text>
         </TouchableOpacity>
       </View>
 
-      {/* Add/Edit Entry Modal */}
-      <Modal
-        visible={modalVisible}
-        animationType="slide"
-        transparent
-        onRequestClose={() => setModalVisible(false)}
+      <UndoToast message={undoToast?.message} onUndo={undoQuickAdd} />
+    </SafeAreaView>
+  );
+
+  // the tab bar's screens; each stays mounted (and keeps its state) once opened
+  function renderTabs() {
+    return (
+      <Tabs.Navigator
+        screenOptions={({ route }) => ({
+          headerShown: false,
+          tabBarIcon: ({ color, size }) => <Text style={{ color, fontSize: size * 0.8 }}>{TAB_ICONS[route.name]}</Text>,
+        })}
       >
-        <View style={styles.modalBackdrop}>
-          <View style={styles.modal}>
-            <Text style={styles.modalTitle}>{editingId ? 'Edit Water Intake' : 'Add Water Intake'}</Text>
-
-            {/* ounces input */}
-            <Text style={styles.inputLabel}>Ounces</Text>
-            <TextInput
-              value={ounces ?? ''}
-              onChangeText={setOunces}
-              keyboardType="numeric"
-              placeholder="e.g. 8"
-              style={styles.input}
+        <Tabs.Screen name="Home" options={{ title: t('tabs.home') }}>
+          {() => home}
+        </Tabs.Screen>
+        <Tabs.Screen name="Calendar" options={{ title: t('tabs.calendar') }}>
+          {({ route }) => (
+            <CalendarScreen
+              onBack={() => openTab('Home')}
+              onSelectDay={openDayDetail}
+              month={route.params?.month}
+              todayKey={todayKey}
+              totalsByDate={totalsByDate}
+              goalFor={targetFor}
+              intakeByDate={intakeByDate}
+              intake={settings.intake}
+              household={household}
+              unit={unit}
+              firstDayOfWeek={firstDayOfWeek(settings.firstDayOfWeek)}
+            />
+          )}
+        </Tabs.Screen>
+        <Tabs.Screen name="Stats" options={{ title: t('tabs.stats') }}>
+          {() => (
+            <StatsScreen
+              onBack={() => openTab('Home')}
+              entries={entries}
+              totalsByDate={totalsByDate}
+              todayKey={todayKey}
+              hasGoalHistory={goalHistory.length > 0}
+              goalFor={targetFor}
+              unit={unit}
+              beverages={beverages}
+              settings={settings}
+            />
+          )}
+        </Tabs.Screen>
+        <Tabs.Screen name="Settings" options={{ title: t('tabs.settings') }}>
+          {() => (
+            <SettingsScreen
+              onBack={() => openTab('Home')}
+              onOpenBeverages={() => navigationRef.navigate('Beverages')}
+              onOpenPresets={() => navigationRef.navigate('Presets')}
+              onOpenBackup={() => navigationRef.navigate('Backup')}
+              onOpenDeleted={() => navigationRef.navigate('Deleted')}
+              onOpenProfile={() => {
+                setProfileFromGoal(false);
+                navigationRef.navigate('Profile');
+              }}
+              settings={settings}
+              onChangeSettings={setSettings}
+              onReclassifyEntries={reclassifyEntries}
             />
+          )}
+        </Tabs.Screen>
+      </Tabs.Navigator>
+    );
+  }
 
-            {/* choose time of day */}
-            <Text style={[styles.inputLabel, { marginTop: 12 }]}>Time of day</Text>
-            <View style={styles.timeRow}>
-              {TIMES.map(t => (
-                <Pressable
-                  key={t}
-                  onPress={() => setTimeOfDay(t)}
-                  style={[
-                    styles.timeButton,
-                    timeOfDay === t && styles.timeButtonActive,
-                  ]}
-                >
-                  <Text style={[styles.timeButtonText, timeOfDay === t && styles.timeButtonTextActive]}>
-                    {t}
-                  </Text>
-                </Pressable>
-              ))}
-            </View>
-
-            {/* modal actions */}
-            <View style={styles.modalActions}>
-              <TouchableOpacity onPress={() => setModalVisible(false)} style={[styles.modalBtn, styles.modalCancel]}>
-                <Text style={styles.modalBtnText}>Cancel</Text>
-              </TouchableOpacity>
+  return (
+    <ThemeContext.Provider value={theme}>
+      <StatusBar style={theme.dark ? 'light' : 'dark'} />
+      <NavigationContainer ref={navigationRef} linking={linking} theme={navigationTheme(theme)}>
+        {/* the tabs at the bottom of the stack, every other screen pushed over them */}
+        <Stack.Navigator screenOptions={{ headerShown: false }}>
+          <Stack.Screen name="Tabs">{renderTabs}</Stack.Screen>
+          <Stack.Screen name="Day">
+            {({ route }) => (
+              <DayDetailScreen
+                dateKey={route.params.dateKey}
+                entries={entriesForDay(route.params.dateKey)}
+                total={totalsByDate[route.params.dateKey] || 0}
+                goalOunces={targetFor(route.params.dateKey)}
+                baseGoal={goalFor(route.params.dateKey)}
+                activities={activitiesForDay(activities, route.params.dateKey, settings.dayStartHour)}
+                onDeleteActivity={confirmDeleteActivity}
+                unit={unit}
+                beverages={beverages}
+                timeOfDayStarts={settings.timeOfDayStarts}
+                onEdit={openAddModal}
+                onDelete={confirmDelete}
+                onBack={goBack}
+              />
+            )}
+          </Stack.Screen>
+          <Stack.Screen name="Beverages">
+            {() => <BeveragesScreen onBack={goBack} beverages={beverages} onChangeBeverages={setBeverages} />}
+          </Stack.Screen>
+          <Stack.Screen name="Presets">
+            {() => (
+              <PresetsScreen
+                onBack={goBack}
+                presets={presets}
+                onChangePresets={setPresets}
+                unit={unit}
+                beverages={beverages}
+              />
+            )}
+          </Stack.Screen>
+          <Stack.Screen name="Backup">
+            {() => (
+              <BackupScreen
+                onBack={goBack}
+                data={{
+                  name: currentMembers.find(m => m.id === activeMemberId).name,
+                  entries,
+                  deletedEntries,
+                  goalHistory,
+                  activities,
+                  settings,
+                  beverages,
+                  presets,
+                }}
+                onImport={importData}
+              />
+            )}
+          </Stack.Screen>
+          <Stack.Screen name="Deleted">
+            {() => (
+              <RecentlyDeletedScreen
+                onBack={goBack}
+                deletedEntries={selectRestorableEntries(data)}
+                unit={unit}
+                beverages={beverages}
+                onRestore={restoreEntry}
+              />
+            )}
+          </Stack.Screen>
+          <Stack.Screen name="Profile" listeners={{ beforeRemove: profileClosed }}>
+            {() => (
+              <ProfileScreen
+                onBack={goBack}
+                profile={settings.profile}
+                onChangeProfile={profile => setSettings(s => ({ ...s, profile }))}
+                unit={unit}
+              />
+            )}
+          </Stack.Screen>
+          <Stack.Screen name="Goals">
+            {() => <GoalHistoryScreen onBack={goBack} goalHistory={goalHistory} unit={unit} />}
+          </Stack.Screen>
+          <Stack.Screen name="Household">
+            {() => (
+              <HouseholdScreen
+                onBack={goBack}
+                members={currentMembers}
+                activeMemberId={activeMemberId}
+                onAdd={addMember}
+                onRename={renameMember}
+                onDelete={deleteMember}
+              />
+            )}
+          </Stack.Screen>
+          <Stack.Screen name="Achievements">
+            {() => <AchievementsScreen onBack={goBack} achievements={achievements} />}
+          </Stack.Screen>
+        </Stack.Navigator>
+      </NavigationContainer>
 
-              <TouchableOpacity onPress={addEntry} style={[styles.modalBtn, styles.modalAdd]}>
-                <Text style={[styles.modalBtnText, { color: '#fff' }]}>{editingId ? 'Save' : 'Add'}</Text>
-              </TouchableOpacity>
-            </View>
-          </View>
-        </View>
-      </Modal>
+      {/* Add/Edit Entry Modal */}
+      <EntryModal
+        visible={modalVisible}
+        entry={editingEntry}
+        unit={unit}
+        beverages={beverages}
+        timeOfDayStarts={settings.timeOfDayStarts}
+        totalsByDate={totalsByDate}
+        dayStartHour={settings.dayStartHour}
+        limits={settings.limits}
+        intakeByDate={intakeByDate}
+        intake={settings.intake}
+        onCancel={() => setModalVisible(false)}
+        onSubmit={addEntry}
+      />
+
+      {/* Log Workout Modal */}
+      <ActivityModal
+        visible={activityModalVisible}
+        unit={unit}
+        onCancel={() => setActivityModalVisible(false)}
+        onSubmit={addActivity}
+      />
 
       {/* Goal Modal */}
-      <Modal
+      <GoalModal
         visible={goalModalVisible}
-        animationType="slide"
-        transparent
-        onRequestClose={() => setGoalModalVisible(false)}
-      >
-        <View style={styles.modalBackdrop}>
-          <View style={styles.modal}>
-            <Text style={styles.modalTitle}>Daily Goal (oz)</Text>
-
-            {/* goal input */}
-            <Text style={styles.inputLabel}>Ounces</Text>
-            <TextInput
-              value={goalInput}
-              onChangeText={setGoalInput}
-              keyboardType="numeric"
-              placeholder="e.g. 64"
-              style={styles.input}
-            />
-
-            <View style={styles.modalActions}>
-              <TouchableOpacity onPress={() => setGoalModalVisible(false)} style={[styles.modalBtn, styles.modalCancel]}>
-                <Text style={styles.modalBtnText}>Cancel</Text>
-              </TouchableOpacity>
-
-              <TouchableOpacity onPress={saveGoal} style={[styles.modalBtn, styles.modalAdd]}>
-                <Text style={[styles.modalBtnText, { color: '#fff' }]}>Save</Text>
-              </TouchableOpacity>
-            </View>
-          </View>
-        </View>
-      </Modal>
-    </SafeAreaView>
+        goalOunces={goalOunces}
+        unit={unit}
+        profile={settings.profile}
+        limits={settings.limits}
+        hasHistory={goalHistory.length > 0}
+        onCancel={() => setGoalModalVisible(false)}
+        onSubmit={saveGoal}
+        onOpenHistory={() => leaveGoalModal('Goals')}
+        onOpenProfile={() => leaveGoalModal('Profile')}
+      />
+
+      <AchievementCelebration achievement={celebrations[0] ?? null} onDone={() => setCelebrations(prev => prev.slice(1))} />
+    </ThemeContext.Provider>
   );
 }
 
-// Styles (kept together to make quick adjustments easier)
-// - many styles already existed; small comments added to clarify purpose
-const styles = StyleSheet.create({
-  // overall container padding so content doesn't touch device edges
-  container: { flex: 1, backgroundColor: '#fff', padding: 20 },
-
-  // header spacing and horizontal padding
-  header: { paddingTop: 12, paddingBottom: 12, paddingHorizontal: 8 },
-
-  // title + small control aligned horizontally
-  headerTop: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
-  title: { fontSize: 26, fontWeight: '700', color: '#111' },
-
-  // button to edit/set goal in header
-  goalEditBtn: { paddingHorizontal: 8, paddingVertical: 6 },
-  goalEditText: { color: '#007AFF', fontWeight: '600' },
-
-  // small helper variable (unused primary) kept for reference
-  calendarBtn: { paddingHorizontal: 10, paddingVertical: 6, marginLeft: 8, borderRadius: 8, borderWidth: 1, borderColor: '#007AFF' },
-  calendarBtnText: { color: '#007AFF', fontWeight: '600' },
-
-  // date below title
-  date: { marginTop: 6, fontSize: 13, color: '#666' },
-
-  // main content area gets horizontal padding
-  content: { flex: 1, marginTop: 12, paddingHorizontal: 8 },
-
-  sectionTitle: { fontSize: 16, fontWeight: '600', marginBottom: 8 },
-  list: { flex: 1 },
-  emptyText: { color: '#666', textAlign: 'center', marginTop: 24 },
-
-  // entry card styling
-  card: {
-    backgroundColor: '#f9f9f9',
-    padding: 12,
-    borderRadius: 8,
-    marginBottom: 8,
-    flexDirection: 'row',
-    alignItems: 'center',
-    justifyContent: 'space-between',
-  },
-  itemName: { fontSize: 16, fontWeight: '700', color: '#0a56a3' },
-  itemSub: { fontSize: 13, color: '#666' },
-
-  // primary buttons
-  button: {
-    backgroundColor: '#007AFF',
-    paddingVertical: 12,
-    paddingHorizontal: 14,
-    borderRadius: 10,
-    alignItems: 'center',
-    marginTop: 12,
-  },
-  buttonText: { color: '#fff', fontWeight: '600', fontSize: 16 },
-
-  // modal backdrop + inner modal
-  modalBackdrop: {
-    flex: 1,
-    backgroundColor: 'rgba(0,0,0,0.35)',
-    justifyContent: 'center',
-    padding: 20,
-  },
-  modal: {
-    backgroundColor: '#fff',
-    borderRadius: 12,
-    padding: 16,
-    elevation: 6,
-  },
-  modalTitle: { fontSize: 18, fontWeight: '700', marginBottom: 8 },
-
-  // inputs
-  inputLabel: { fontSize: 13, color: '#333', marginBottom: 6 },
-  input: {
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 8,
-    paddingHorizontal: 10,
-    paddingVertical: 8,
-    fontSize: 16,
-  },
-
-  // time-of-day buttons row and styles
-  timeRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8 },
-  timeButton: {
-    paddingVertical: 8,
-    paddingHorizontal: 10,
-    borderRadius: 8,
-    borderWidth: 1,
-    borderColor: '#ddd',
-    marginRight: 8,
-    marginBottom: 8,
-  },
-  timeButtonActive: { backgroundColor: '#007AFF', borderColor: '#007AFF' },
-  timeButtonText: { color: '#333' },
-  timeButtonTextActive: { color: '#fff', fontWeight: '700' },
-
-  // modal action buttons
-  modalActions: { flexDirection: 'row', justifyContent: 'flex-end', marginTop: 12 },
-  modalBtn: { paddingVertical: 10, paddingHorizontal: 14, borderRadius: 8, marginLeft: 8 },
-  modalCancel: { backgroundColor: '#f1f1f1' },
-  modalAdd: { backgroundColor: '#007AFF' },
-  modalBtnText: { color: '#111', fontWeight: '600' },
-
-  // action buttons inside each list item
-  actionRow: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    marginLeft: 8,
-  },
-  smallBtn: {
-    paddingVertical: 6,
-    paddingHorizontal: 10,
-    borderRadius: 8,
-    marginLeft: 6,
-    backgroundColor: 'transparent',
-  },
-  editBtn: {
-    borderWidth: 1,
-    borderColor: '#007AFF',
-  },
-  deleteBtn: {
-    borderWidth: 1,
-    borderColor: '#F1B0B6',
-  },
-  smallBtnText: {
-    fontSize: 13,
-    color: '#007AFF',
-    fontWeight: '600',
-  },
-
-  // total row showing today's total + goal/remaining
-  totalRow: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    backgroundColor: '#fff',
-    paddingVertical: 12,
-    paddingHorizontal: 14,
-    borderRadius: 8,
-    marginTop: 8,
-    borderWidth: 1,
-    borderColor: '#eee',
-  },
-  totalLabel: { fontSize: 14, color: '#444', fontWeight: '600' },
-  totalValue: { fontSize: 18, color: '#007AFF', fontWeight: '800' },
-
-  goalHint: { fontSize: 13, color: '#666' },
-  remaining: { fontSize: 14, color: '#D9534F', fontWeight: '700' },
-  goalReached: { fontSize: 14, color: '#2b8a3e', fontWeight: '700' },
-
-  // calendar-related styles
-  calendarHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 },
-  calendarTitle: { fontSize: 16, fontWeight: '700' },
-  navBtn: { padding: 6 },
-  navText: { fontSize: 16, color: '#007AFF' },
-
-  weekRow: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 6 },
-  weekDay: { width: 38, textAlign: 'center', color: '#666', fontSize: 12 },
-
-  grid: { flexDirection: 'row', flexWrap: 'wrap' },
-  cell: { width: 38, height: 54, alignItems: 'center', justifyContent: 'center', marginBottom: 6 },
-  cellEmpty: { width: 38, height: 54, marginBottom: 6 },
-
-  // ring + fill visuals for each day
-  ringWrap: { alignItems: 'center', justifyContent: 'center', width: 38, height: 38 },
-  ring: { position: 'absolute', width: 38, height: 38, borderRadius: 19, borderWidth: 3, borderColor: '#e6e6e6' },
-  innerFill: { position: 'absolute', backgroundColor: '#007AFF', opacity: 0.9 },
-  dayText: { position: 'absolute', color: '#111', fontSize: 12, fontWeight: '600' },
-
-  // small calendar summary text beneath the grid
-  calendarProgress: {
-    marginTop: 4,
-    fontSize: 14,
-    color: '#007AFF',
-    fontWeight: '600',
-    textAlign: 'center',
-  },
-  calendarProgressAlt: {
-    marginTop: 4,
-    fontSize: 14,
-    color: '#666',
-    textAlign: 'center',
-  },
-
-  // calendar button container aligned with header content (left)
-  calendarBtnContainer: {
-    marginTop: 8,
-    alignItems: 'flex-start', // left align the button
-  },
-
-  // smaller left-aligned calendar button (styled like the Back button)
-  calendarBtnMain: {
-    paddingVertical: 8,       // slightly smaller
-    paddingHorizontal: 12,
-    borderRadius: 8,
-    backgroundColor: '#007AFF',
-    alignItems: 'center',
-    alignSelf: 'flex-start',
-  },
-});
-
 export default App;
@@ -1,8 +1,13 @@
 import { registerRootComponent } from 'expo';
+import { registerWidgetTaskHandler } from 'react-native-android-widget';
 
 import App from './App';
+import { widgetTaskHandler } from './src/widget/widgetTaskHandler';
 
 // registerRootComponent calls AppRegistry.registerComponent('main', () => App);
 // It also ensures that whether you load the app in Expo Go or in a native build,
 // the environment is set up appropriately
 registerRootComponent(App);
+
+// the Android home-screen widget's updates and taps run here, even when the app isn't open
+registerWidgetTaskHandler(widgetTaskHandler);
@@ -0,0 +1,5 @@
+// Jest global setup: run every test on a New York clock, so date tests see the same DST changes
+// on any machine
+module.exports = () => {
+  process.env.TZ = 'America/New_York';
+};
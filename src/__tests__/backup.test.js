@@ -0,0 +1,51 @@
+// CSV import: numbers with a decimal comma and the UTC offset each imported entry keeps
+// Context (#): jest.globalSetup.js puts the device in New York (UTC-4 in October)
+
+import { buildCsv, parseCsv } from '../backup';
+import { DEFAULT_BEVERAGES } from '../beverages';
+import { entryDateKey } from '../dates';
+import { DEFAULT_TIME_OF_DAY_STARTS } from '../timeOfDay';
+
+jest.mock('@react-native-async-storage/async-storage', () => require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+const parse = text => parseCsv(text, { beverages: DEFAULT_BEVERAGES, timeOfDayStarts: DEFAULT_TIME_OF_DAY_STARTS });
+
+describe('parseCsv amounts', () => {
+  it('reads a decimal comma like the number inputs do', () => {
+    const { entries, errors } = parse('date,time,amount,unit,ounces\n2026-10-19,08:30,"8,5",oz,\n2026-10-19,09:00,,,"12,25"\n');
+
+    expect(errors).toEqual([]);
+    expect(entries.map(e => e.amount)).toEqual([8.5, 12.25]);
+  });
+
+  it('reports amounts that are not numbers or could be read two ways', () => {
+    const { entries, errors } = parse('date,time,ounces\n2026-10-19,08:30,8abc\n2026-10-19,09:00,"1,000"\n');
+
+    expect(entries).toEqual([]);
+    expect(errors.map(e => e.line)).toEqual([2, 3]);
+  });
+});
+
+describe('parseCsv UTC offsets', () => {
+  it('keeps the offset written in createdAt', () => {
+    // half past midnight in Tokyo is still the 18th in New York
+    const { entries } = parse('createdAt,ounces\n2026-10-19T00:30:00+09:00,8\n2026-10-18T20:00:00-0700,8\n');
+
+    expect(entries.map(e => e.utcOffset)).toEqual([540, -420]);
+    expect(entries.map(e => entryDateKey(e))).toEqual(['2026-10-19', '2026-10-18']);
+  });
+
+  it('takes the offset from the date and time cells next to a UTC createdAt', () => {
+    const logged = { id: 'a', amount: 8, unit: 'oz', beverageId: 'water', createdAt: '2026-10-18T15:30:45.000Z', utcOffset: 540 };
+    const csv = buildCsv([logged], { beverages: DEFAULT_BEVERAGES, timeOfDayStarts: DEFAULT_TIME_OF_DAY_STARTS });
+
+    const [entry] = parse(csv).entries;
+    expect(entry.utcOffset).toBe(540);
+    expect(entryDateKey(entry)).toBe('2026-10-19');
+  });
+
+  it("uses the device's offset when nothing says where the entry was logged", () => {
+    const { entries } = parse('createdAt,ounces\n2026-10-19T12:00:00Z,8\n');
+    expect(entries[0].utcOffset).toBe(-240);
+  });
+});
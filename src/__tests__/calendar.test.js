@@ -0,0 +1,47 @@
+// Month grid and week row generation for the calendar screen
+
+import { monthCells, weekCells } from '../calendar';
+
+describe('monthCells', () => {
+  it('pads the weeks before the 1st and lists every day of the month', () => {
+    // October 2026 starts on a Thursday
+    const cells = monthCells(2026, 9);
+
+    expect(cells.slice(0, 4)).toEqual([null, null, null, null]);
+    expect(cells[4]).toEqual({ day: 1, iso: '2026-10-01' });
+    expect(cells.filter(Boolean)).toHaveLength(31);
+    expect(cells[cells.length - 1]).toEqual({ day: 31, iso: '2026-10-31' });
+  });
+
+  it('starts weeks on the chosen weekday', () => {
+    expect(monthCells(2026, 9, 1).slice(0, 4)).toEqual([null, null, null, { day: 1, iso: '2026-10-01' }]);
+    expect(monthCells(2026, 9, 4)[0]).toEqual({ day: 1, iso: '2026-10-01' });
+  });
+
+  it('knows the length of February in leap and common years', () => {
+    expect(monthCells(2028, 1).filter(Boolean)).toHaveLength(29);
+    expect(monthCells(2026, 1).filter(Boolean)).toHaveLength(28);
+  });
+
+  it('keeps every day in a month with a DST change', () => {
+    const days = monthCells(2026, 2).filter(Boolean).map(c => c.iso);
+
+    expect(days).toHaveLength(31);
+    expect(days.slice(6, 9)).toEqual(['2026-03-07', '2026-03-08', '2026-03-09']);
+  });
+});
+
+describe('weekCells', () => {
+  it('returns the seven days of the week containing the day', () => {
+    expect(weekCells('2026-10-01').map(c => c.iso)).toEqual([
+      '2026-09-27', '2026-09-28', '2026-09-29', '2026-09-30', '2026-10-01', '2026-10-02', '2026-10-03',
+    ]);
+  });
+
+  it('starts the week on the chosen weekday, crossing into the next year', () => {
+    const cells = weekCells('2026-12-31', 1);
+
+    expect(cells[0]).toEqual({ day: 28, iso: '2026-12-28' });
+    expect(cells[6]).toEqual({ day: 3, iso: '2027-01-03' });
+  });
+});
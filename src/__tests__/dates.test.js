@@ -0,0 +1,95 @@
+// Day keys: the day start hour, entries logged in another timezone and DST changes
+// Context (#): jest.globalSetup.js pins the device clock to New York, where 2026-03-08 is a
+// 23-hour day (clocks go from 2:00 to 3:00) and 2026-11-01 a 25-hour one
+
+import { currentUtcOffset, entryDateKey, formatDateKey, parseDateKey, shiftDateKey, toDateKey } from '../dates';
+
+describe('toDateKey', () => {
+  it('reads the key from the local calendar, not UTC', () => {
+    // 23:30 in New York is already the next day in UTC
+    expect(toDateKey(new Date('2026-10-20T03:30:00Z'))).toBe('2026-10-19');
+  });
+
+  it('counts times before the day start hour toward the previous day', () => {
+    expect(toDateKey(new Date('2026-10-19T06:59:00Z'), { dayStartHour: 4 })).toBe('2026-10-18');
+    expect(toDateKey(new Date('2026-10-19T08:00:00Z'), { dayStartHour: 4 })).toBe('2026-10-19');
+    expect(toDateKey(new Date('2026-10-01T06:00:00Z'), { dayStartHour: 4 })).toBe('2026-09-30');
+  });
+
+  it('keeps the day start on the wall clock across the 2026-03-08 change', () => {
+    const key = iso => toDateKey(new Date(iso), { dayStartHour: 4 });
+
+    expect(key('2026-03-08T06:30:00Z')).toBe('2026-03-07'); // 1:30 EST
+    expect(key('2026-03-08T07:30:00Z')).toBe('2026-03-07'); // 3:30 EDT, the hour after the jump
+    // 4:00 EDT starts the day, though only 3 hours have passed since midnight
+    expect(key('2026-03-08T08:00:00Z')).toBe('2026-03-08');
+    expect(key('2026-03-09T07:59:00Z')).toBe('2026-03-08'); // 3:59 the next morning
+  });
+
+  it('keeps the day start on the wall clock when the clocks go back', () => {
+    const key = iso => toDateKey(new Date(iso), { dayStartHour: 4 });
+
+    expect(key('2026-11-01T05:30:00Z')).toBe('2026-10-31'); // 1:30 EDT
+    expect(key('2026-11-01T06:30:00Z')).toBe('2026-10-31'); // 1:30 EST, the repeated hour
+    expect(key('2026-11-01T09:00:00Z')).toBe('2026-11-01'); // 4:00 EST
+  });
+
+  it('reads the wall clock at a given UTC offset', () => {
+    expect(toDateKey(new Date('2026-10-18T15:30:00Z'), { utcOffset: 540 })).toBe('2026-10-19');
+    expect(toDateKey(new Date('2026-10-18T15:30:00Z'), { utcOffset: 540, dayStartHour: 4 })).toBe('2026-10-18');
+  });
+});
+
+describe('entryDateKey', () => {
+  it('keeps an entry on the day it was logged after travelling to another timezone', () => {
+    // half past midnight in Tokyo, still the afternoon before in New York
+    const entry = { createdAt: '2026-10-18T15:30:00Z', utcOffset: 540 };
+
+    expect(entryDateKey(entry)).toBe('2026-10-19');
+    expect(toDateKey(entry.createdAt)).toBe('2026-10-18');
+  });
+
+  it('uses the device timezone for entries without an offset', () => {
+    expect(entryDateKey({ createdAt: '2026-10-19T03:00:00Z' })).toBe('2026-10-18');
+  });
+
+  it('records the offset that applied on each side of the DST change', () => {
+    const before = new Date('2026-03-08T06:30:00Z');
+    const after = new Date('2026-03-08T07:30:00Z');
+
+    expect(currentUtcOffset(before)).toBe(-300);
+    expect(currentUtcOffset(after)).toBe(-240);
+    expect(entryDateKey({ createdAt: after.toISOString(), utcOffset: currentUtcOffset(after) }, 4)).toBe('2026-03-07');
+  });
+});
+
+describe('formatDateKey', () => {
+  it('rolls day overflow into the neighbouring month or year', () => {
+    expect(formatDateKey(2026, 2, 0)).toBe('2026-02-28');
+    expect(formatDateKey(2026, 11, 32)).toBe('2027-01-01');
+    expect(formatDateKey(2026, 2, 8)).toBe('2026-03-08');
+  });
+});
+
+describe('shiftDateKey', () => {
+  it('moves by calendar days across DST changes', () => {
+    expect(shiftDateKey('2026-03-07', 1)).toBe('2026-03-08');
+    expect(shiftDateKey('2026-03-08', 1)).toBe('2026-03-09');
+    expect(shiftDateKey('2026-03-09', -2)).toBe('2026-03-07');
+    expect(shiftDateKey('2026-11-01', 1)).toBe('2026-11-02');
+  });
+
+  it('rolls over months, years and leap days', () => {
+    expect(shiftDateKey('2026-12-31', 1)).toBe('2027-01-01');
+    expect(shiftDateKey('2026-03-01', -1)).toBe('2026-02-28');
+    expect(shiftDateKey('2028-02-28', 1)).toBe('2028-02-29');
+    expect(shiftDateKey('2026-10-19', -30)).toBe('2026-09-19');
+  });
+
+  it('round-trips through parseDateKey on a 23-hour day', () => {
+    const date = parseDateKey('2026-03-08');
+
+    expect(date.getDate()).toBe(8);
+    expect(toDateKey(date)).toBe('2026-03-08');
+  });
+});
@@ -0,0 +1,60 @@
+// Goal suggestion from the profile: weight baseline, activity/climate/life stage extras, kg
+// weights and the range of weights a suggestion is made for
+
+import { DEFAULT_PROFILE, isValidProfile, suggestGoal, weightInPounds } from '../goalCalculator';
+
+const profile = fields => ({ ...DEFAULT_PROFILE, ...fields });
+
+describe('suggestGoal', () => {
+  it('starts from half an ounce per pound of body weight', () => {
+    const suggestion = suggestGoal(profile({ weight: 160 }));
+
+    expect(suggestion.ounces).toBe(80);
+    expect(suggestion.steps).toHaveLength(1);
+    expect(suggestion.steps[0].ounces).toBe(80);
+  });
+
+  it('adds the extra for activity, climate and life stage, and the steps add up', () => {
+    const suggestion = suggestGoal(profile({ weight: 160, activity: 'moderate', climate: 'hot', lifeStage: 'nursing' }));
+
+    expect(suggestion.steps.map(s => s.ounces)).toEqual([80, 24, 16, 32]);
+    expect(suggestion.ounces).toBe(152);
+  });
+
+  it.each([
+    ['light', 12],
+    ['very', 36],
+  ])('adds %s activity on top of the baseline', (activity, extra) => {
+    expect(suggestGoal(profile({ weight: 100, activity })).ounces).toBe(50 + extra);
+  });
+
+  it('leaves out options that add nothing', () => {
+    const suggestion = suggestGoal(profile({ weight: 100, climate: 'warm' }));
+    expect(suggestion.steps.map(s => s.ounces)).toEqual([50, 8]);
+  });
+
+  it('converts a weight in kilograms and rounds to whole ounces', () => {
+    // 70 kg = 154.32 lb => 77.16 oz
+    expect(suggestGoal(profile({ weight: 70, weightUnit: 'kg' })).ounces).toBe(77);
+    expect(weightInPounds(70, 'kg')).toBeCloseTo(154.324, 3);
+    expect(weightInPounds(150, 'lb')).toBe(150);
+  });
+
+  it('suggests nothing without a weight or for an implausible profile', () => {
+    expect(suggestGoal(DEFAULT_PROFILE)).toBeNull();
+    expect(suggestGoal(null)).toBeNull();
+    expect(suggestGoal(profile({ weight: 0 }))).toBeNull();
+    expect(suggestGoal(profile({ weight: -80 }))).toBeNull();
+    expect(suggestGoal(profile({ weight: 1500 }))).toBeNull();
+    expect(suggestGoal(profile({ weight: 160, climate: 'arctic' }))).toBeNull();
+    expect(suggestGoal(profile({ weight: 160, weightUnit: 'st' }))).toBeNull();
+  });
+});
+
+describe('isValidProfile', () => {
+  it('accepts an empty weight and weights up to the upper bound', () => {
+    expect(isValidProfile(DEFAULT_PROFILE)).toBe(true);
+    expect(isValidProfile(profile({ weight: 1499 }))).toBe(true);
+    expect(isValidProfile(profile({ weight: '160' }))).toBe(false);
+  });
+});
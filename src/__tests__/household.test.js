@@ -0,0 +1,53 @@
+// Reminders for the whole household: each member planned with their own settings and progress
+// Context (#): times are local Dates, like the ones reminders.planReminders builds
+
+import { householdReminders } from '../household';
+import { DEFAULT_BEVERAGES } from '../beverages';
+import { DEFAULT_REMINDER_SETTINGS } from '../reminders';
+
+const NOW = new Date(2026, 9, 19, 10);
+const REMINDERS = { ...DEFAULT_REMINDER_SETTINGS, enabled: true };
+
+function member(name, { entries = [], reminders = REMINDERS } = {}) {
+  return {
+    id: name,
+    name,
+    entries,
+    deletedEntries: [],
+    goalHistory: [{ id: 'g', ounces: 78, effectiveDate: '2026-01-01', changedAt: '2026-01-01T00:00:00Z', reason: '' }],
+    activities: [],
+    settings: { dayStartHour: 0, reminders },
+  };
+}
+
+// 80 oz of water at 9:00 today: past the 78 oz goal
+const reachedGoal = [{ id: 'e', amount: 80, unit: 'oz', beverageId: 'water', createdAt: new Date(2026, 9, 19, 9).toISOString() }];
+
+const byName = (plan, name) => plan.filter(r => r.name === name).map(r => r.date.getDate());
+
+describe('householdReminders', () => {
+  it("plans every member's reminders from their own progress, named and soonest first", () => {
+    const plan = householdReminders([member('Ana', { entries: reachedGoal }), member('Ben')], DEFAULT_BEVERAGES, NOW);
+
+    // Ana is done for today, Ben still has 7 reminders left (11:00 to 20:00) today
+    expect(byName(plan, 'Ana')).toEqual(Array(9).fill(20));
+    expect(byName(plan, 'Ben')).toEqual([...Array(7).fill(19), ...Array(9).fill(20)]);
+    expect(plan.map(r => r.date)).toEqual([...plan.map(r => r.date)].sort((a, b) => a - b));
+  });
+
+  it('leaves out members with reminders off', () => {
+    const plan = householdReminders(
+      [member('Ana', { reminders: DEFAULT_REMINDER_SETTINGS }), member('Ben')],
+      DEFAULT_BEVERAGES,
+      NOW
+    );
+    expect(plan.every(r => r.name === 'Ben')).toBe(true);
+  });
+
+  it('leaves the name out when there is only one profile', () => {
+    const plan = householdReminders([member('Ana')], DEFAULT_BEVERAGES, NOW);
+
+    expect(plan).toHaveLength(16);
+    expect(plan.every(r => r.name === null)).toBe(true);
+  });
+});
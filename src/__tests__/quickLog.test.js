@@ -0,0 +1,46 @@
+// One-tap logging from log links and the widget, and the sanity limits it must not skip
+// Context (#): storage runs on the AsyncStorage jest mock, cleared before each test
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { parseLogLink } from '../navigation';
+import { logWater, quickLogWarnings } from '../quickLog';
+import { loadState } from '../storage';
+import { DEFAULT_LIMITS } from '../validation';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const NOW = new Date(2026, 9, 19, 10);
+const SUMMARY = { total: 0, unit: 'oz', settings: { limits: DEFAULT_LIMITS } };
+
+beforeEach(() => AsyncStorage.clear());
+
+describe('quickLogWarnings', () => {
+  it('warns about an oversized log link instead of letting it through', () => {
+    const log = parseLogLink('hydrationtracker://log?oz=800');
+
+    expect(log).toEqual({ ounces: 800 });
+    expect(quickLogWarnings(log.ounces, SUMMARY)).toHaveLength(2);
+  });
+
+  it('warns when a glass would take the day past its limit', () => {
+    expect(quickLogWarnings(8, SUMMARY)).toEqual([]);
+    expect(quickLogWarnings(8, { ...SUMMARY, total: 250 })).toHaveLength(1);
+  });
+});
+
+describe('logWater', () => {
+  it('logs a glass to the active profile', async () => {
+    const summary = await logWater(8, NOW);
+
+    expect(summary.total).toBe(8);
+    expect((await loadState()).state.members[0].entries).toHaveLength(1);
+  });
+
+  it('logs nothing past the sanity limits', async () => {
+    expect(await logWater(800, NOW)).toBeNull();
+    expect((await loadState()).state.members[0].entries).toEqual([]);
+  });
+});
@@ -0,0 +1,98 @@
+// Reminder planning against a fixed clock: slot spacing, the active window, skipping slots the
+// user is already on pace for, and the two days planned ahead
+// Context (#): times are local Dates, like the ones planReminders builds, so the expectations
+// hold in any timezone
+
+import { DEFAULT_REMINDER_SETTINGS, expectedByTime, isValidReminderSettings, planReminders } from '../reminders';
+
+// every 90 min from 8:00 to 21:00: 8:00, 9:30, ..., 20:00
+const SETTINGS = { ...DEFAULT_REMINDER_SETTINGS, enabled: true };
+
+const at = (day, hour, minute = 0) => new Date(2026, 9, day, hour, minute);
+const label = date => `${date.getDate()} ${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
+const TOMORROW = ['20 8:00', '20 9:30', '20 11:00', '20 12:30', '20 14:00', '20 15:30', '20 17:00', '20 18:30', '20 20:00'];
+
+describe('planReminders', () => {
+  it('spaces slots by the interval inside the active window, for today and tomorrow', () => {
+    const plan = planReminders({ now: at(19, 10), settings: SETTINGS, goalOunces: null });
+
+    expect(plan.map(label)).toEqual([
+      '19 11:00', '19 12:30', '19 14:00', '19 15:30', '19 17:00', '19 18:30', '19 20:00',
+      ...TOMORROW,
+    ]);
+  });
+
+  it('keeps quiet outside the active window', () => {
+    const early = planReminders({ now: at(19, 6), settings: SETTINGS, goalOunces: null });
+    expect(label(early[0])).toBe('19 8:00');
+
+    const late = planReminders({ now: at(19, 22), settings: SETTINGS, goalOunces: null });
+    expect(late.map(label)).toEqual(TOMORROW);
+  });
+
+  it('ends a window on its last full interval', () => {
+    const settings = { ...SETTINGS, intervalMinutes: 60, activeFrom: 22 * 60, activeUntil: 23 * 60 + 30 };
+    expect(planReminders({ now: at(19, 21), settings, goalOunces: null }).map(label))
+      .toEqual(['19 22:00', '19 23:00', '20 22:00', '20 23:00']);
+  });
+
+  it("skips today's slots the user is already on pace for", () => {
+    // 78 oz over the 780 min window is 0.1 oz a minute: 36 oz due by 14:00, 45 oz by 15:30
+    const plan = planReminders({ now: at(19, 10), settings: SETTINGS, goalOunces: 78, totalToday: 40 });
+
+    expect(plan.map(label)).toEqual(['19 15:30', '19 17:00', '19 18:30', '19 20:00', ...TOMORROW]);
+  });
+
+  it('plans nothing more today once the goal is reached, but keeps tomorrow', () => {
+    const plan = planReminders({ now: at(19, 10), settings: SETTINGS, goalOunces: 78, totalToday: 80 });
+    expect(plan.map(label)).toEqual(TOMORROW);
+  });
+
+  it('judges slots by the tracking day the total belongs to when the day starts late', () => {
+    // 2:00 on the 20th is still the 19th with a 4:00 day start: the goal met then says nothing
+    // about the 20th, whose slots all start from zero
+    const plan = planReminders({ now: at(20, 2), settings: SETTINGS, goalOunces: 78, totalToday: 80, dayStartHour: 4 });
+
+    expect(plan).toHaveLength(18);
+    expect(label(plan[0])).toBe('20 8:00');
+  });
+
+  it('treats slots before the day start as part of the previous tracking day', () => {
+    // at 1:00 on the 20th it's still the 19th, where the goal is already met: the 3:00 reminder
+    // belongs to it, the 4:00 one starts the 20th
+    const settings = { ...SETTINGS, intervalMinutes: 60, activeFrom: 3 * 60, activeUntil: 5 * 60 };
+    const plan = planReminders({ now: at(20, 1), settings, goalOunces: 78, totalToday: 80, dayStartHour: 4 });
+
+    expect(plan.map(label)).toEqual(['20 4:00', '20 5:00', '21 3:00', '21 4:00', '21 5:00']);
+  });
+
+  it('looks ahead across the end of the month', () => {
+    const plan = planReminders({ now: new Date(2026, 9, 31, 22), settings: SETTINGS, goalOunces: null });
+
+    expect(plan).toHaveLength(9);
+    expect(plan[0]).toEqual(new Date(2026, 10, 1, 8));
+  });
+
+  it('plans nothing when reminders are off or the settings are unusable', () => {
+    expect(planReminders({ now: at(19, 10), settings: DEFAULT_REMINDER_SETTINGS, goalOunces: 64 })).toEqual([]);
+    expect(planReminders({ now: at(19, 10), settings: { ...SETTINGS, intervalMinutes: 5 }, goalOunces: 64 })).toEqual([]);
+    expect(planReminders({ now: at(19, 10), settings: null, goalOunces: 64 })).toEqual([]);
+  });
+});
+
+describe('expectedByTime', () => {
+  it('spreads the goal evenly across the active window', () => {
+    expect(expectedByTime(78, at(19, 7), SETTINGS)).toBe(0);
+    expect(expectedByTime(78, at(19, 14, 30), SETTINGS)).toBeCloseTo(39);
+    expect(expectedByTime(78, at(19, 22), SETTINGS)).toBe(78);
+  });
+});
+
+describe('isValidReminderSettings', () => {
+  it('needs an interval of at least 15 minutes and a non-empty window inside the day', () => {
+    expect(isValidReminderSettings(SETTINGS)).toBe(true);
+    expect(isValidReminderSettings({ ...SETTINGS, intervalMinutes: 10 })).toBe(false);
+    expect(isValidReminderSettings({ ...SETTINGS, activeFrom: 21 * 60, activeUntil: 8 * 60 })).toBe(false);
+    expect(isValidReminderSettings({ ...SETTINGS, activeUntil: 25 * 60 })).toBe(false);
+  });
+});
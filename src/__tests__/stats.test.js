@@ -0,0 +1,113 @@
+// Statistics over daily totals: weekly/monthly averages, goal streaks, best and worst weekdays
+// Context (#): totals are the { 'YYYY-MM-DD': oz } maps stats.totalsByDay builds; 2026-10-12 is
+// a Monday
+
+import { averageDaily, bestAndWorstWeekday, dailySeries, goalStreaks, rangeSummary } from '../stats';
+
+const TODAY = '2026-10-19';
+const everyDay = goal => () => goal;
+
+describe('averageDaily', () => {
+  const totals = { '2026-09-20': 90, '2026-10-13': 70, '2026-10-15': 70, '2026-10-19': 70 };
+
+  it('averages the last week and month, counting days without entries as 0', () => {
+    expect(averageDaily(totals, TODAY, 7)).toBe(30);
+    expect(averageDaily(totals, TODAY, 30)).toBe(10);
+  });
+
+  it('ignores the days before the first entry ever', () => {
+    const newUser = { '2026-10-18': 40, '2026-10-19': 60 };
+    expect(averageDaily(newUser, TODAY, 30)).toBe(50);
+  });
+
+  it('is null without entries', () => {
+    expect(averageDaily({}, TODAY, 7)).toBeNull();
+  });
+});
+
+describe('goalStreaks', () => {
+  // reached Oct 10-12, missed the 13th, reached the 14th-18th, nothing yet today
+  const totals = {
+    '2026-10-10': 64, '2026-10-11': 70, '2026-10-12': 80,
+    '2026-10-13': 20,
+    '2026-10-14': 64, '2026-10-15': 64, '2026-10-16': 64, '2026-10-17': 64, '2026-10-18': 64,
+  };
+
+  it("keeps a streak running through yesterday while today isn't reached yet", () => {
+    expect(goalStreaks(totals, everyDay(64), TODAY)).toEqual({ current: 5, longest: 5 });
+  });
+
+  it('extends the streak once today is reached', () => {
+    expect(goalStreaks({ ...totals, [TODAY]: 64 }, everyDay(64), TODAY)).toEqual({ current: 6, longest: 6 });
+  });
+
+  it('ends the current streak on a missed day', () => {
+    expect(goalStreaks(totals, everyDay(64), '2026-10-20')).toEqual({ current: 0, longest: 5 });
+  });
+
+  it('judges each day against the goal that applied to it', () => {
+    // a higher goal from the 15th on breaks the second run
+    const goalFor = key => (key < '2026-10-15' ? 64 : 70);
+    expect(goalStreaks(totals, goalFor, TODAY)).toEqual({ current: 0, longest: 3 });
+  });
+
+  it('never counts days without a goal', () => {
+    expect(goalStreaks(totals, everyDay(null), TODAY)).toEqual({ current: 0, longest: 0 });
+    expect(goalStreaks({}, everyDay(64), TODAY)).toEqual({ current: 0, longest: 0 });
+  });
+});
+
+describe('bestAndWorstWeekday', () => {
+  const week = {
+    '2026-10-12': 50, // Monday
+    '2026-10-13': 40,
+    '2026-10-14': 90, // Wednesday
+    '2026-10-15': 60,
+    '2026-10-16': 10, // Friday
+    '2026-10-17': 30,
+    '2026-10-18': 20,
+  };
+
+  it('picks the weekdays with the highest and lowest average', () => {
+    const { best, worst } = bestAndWorstWeekday(week, '2026-10-18');
+
+    expect(best).toMatchObject({ weekday: 3, average: 90 });
+    expect(worst).toMatchObject({ weekday: 5, average: 10 });
+  });
+
+  it('averages a weekday over every time it came round, empty days as 0', () => {
+    // through Monday the 19th, which has nothing logged yet
+    const { best, worst } = bestAndWorstWeekday({ ...week, '2026-10-12': 200, '2026-10-14': 20 }, TODAY);
+
+    expect(best).toMatchObject({ weekday: 1, average: 100 });
+    expect(worst).toMatchObject({ weekday: 5, average: 10 });
+  });
+
+  it('is null without entries', () => {
+    expect(bestAndWorstWeekday({}, TODAY)).toBeNull();
+  });
+});
+
+describe('dailySeries and rangeSummary', () => {
+  const totals = { '2026-10-17': 70, '2026-10-19': 40 };
+
+  it('lists every day of the range with its total and goal', () => {
+    expect(dailySeries(totals, TODAY, 3, everyDay(64))).toEqual([
+      { key: '2026-10-17', total: 70, goal: 64 },
+      { key: '2026-10-18', total: 0, goal: 64 },
+      { key: '2026-10-19', total: 40, goal: 64 },
+    ]);
+  });
+
+  it('sums a range and the share of its goal days that were reached', () => {
+    const goalFor = key => (key >= '2026-10-18' ? 64 : null);
+    expect(rangeSummary(totals, TODAY, '2026-10-17', goalFor)).toEqual({
+      days: 3,
+      total: 110,
+      average: 110 / 3,
+      daysWithGoal: 2,
+      daysReached: 0,
+      hitRate: 0,
+    });
+  });
+});
@@ -0,0 +1,156 @@
+// Hydration store: adding, editing and deleting entries, goal validation and per-day totals
+// Context (#): entries are logged at UTC offset 0 so the day keys don't depend on the machine's
+// timezone
+
+import {
+  actions,
+  createStoreState,
+  goalStatus,
+  hydrationReducer,
+  selectDayEntries,
+  selectGoal,
+  selectRestorableEntries,
+  selectTotalsByDate,
+} from '../store';
+import { DEFAULT_BEVERAGES } from '../beverages';
+
+const NOW = new Date('2026-05-10T15:00:00Z');
+
+function entry(id, createdAt, fields = {}) {
+  return { id, amount: 8, unit: 'oz', beverageId: 'water', createdAt, utcOffset: 0, ...fields };
+}
+
+function stateWith(entries, goalHistory = []) {
+  return createStoreState({ entries, goalHistory });
+}
+
+describe('addEntry', () => {
+  it('adds a valid entry stamped with the time it was logged', () => {
+    const state = hydrationReducer(createStoreState(), actions.addEntry({ amount: 12, unit: 'oz', utcOffset: 0 }, NOW));
+
+    expect(state.entries).toHaveLength(1);
+    expect(state.entries[0]).toMatchObject({
+      id: String(NOW.getTime()),
+      amount: 12,
+      unit: 'oz',
+      createdAt: NOW.toISOString(),
+    });
+    expect(state.entries[0].log).toHaveLength(1);
+  });
+
+  it('keeps entries newest first when one is logged for an earlier time', () => {
+    const start = stateWith([entry('b', '2026-05-10T12:00:00Z'), entry('a', '2026-05-10T08:00:00Z')]);
+    const state = hydrationReducer(start, actions.addEntry({ amount: 4, unit: 'oz', createdAt: '2026-05-10T10:00:00Z' }, NOW));
+
+    expect(state.entries.map(e => e.createdAt)).toEqual([
+      '2026-05-10T12:00:00Z',
+      '2026-05-10T10:00:00Z',
+      '2026-05-10T08:00:00Z',
+    ]);
+  });
+
+  it.each([
+    ['a zero amount', { amount: 0, unit: 'oz' }],
+    ['a negative amount', { amount: -3, unit: 'oz' }],
+    ['a non-number amount', { amount: '8', unit: 'oz' }],
+    ['an unknown unit', { amount: 8, unit: 'gallon' }],
+    ['an unreadable time', { amount: 8, unit: 'oz', createdAt: 'yesterday' }],
+    ['negative caffeine', { amount: 8, unit: 'oz', caffeineMg: -1 }],
+  ])('ignores %s', (_, fields) => {
+    const start = createStoreState();
+    expect(hydrationReducer(start, actions.addEntry(fields, NOW))).toBe(start);
+  });
+});
+
+describe('editEntry', () => {
+  const start = stateWith([entry('a', '2026-05-10T08:00:00Z', { log: [] })]);
+
+  it('changes the entry and records the edit in its log', () => {
+    const state = hydrationReducer(start, actions.editEntry('a', { amount: 16 }, NOW));
+
+    expect(state.entries[0].amount).toBe(16);
+    expect(state.entries[0].log).toHaveLength(1);
+  });
+
+  it('returns the same state when nothing changed, the id is unknown or the amount is invalid', () => {
+    expect(hydrationReducer(start, actions.editEntry('a', { amount: 8 }, NOW))).toBe(start);
+    expect(hydrationReducer(start, actions.editEntry('missing', { amount: 16 }, NOW))).toBe(start);
+    expect(hydrationReducer(start, actions.editEntry('a', { amount: 0 }, NOW))).toBe(start);
+  });
+});
+
+describe('deleteEntry and restoreEntry', () => {
+  const start = stateWith([entry('a', '2026-05-10T08:00:00Z'), entry('b', '2026-05-09T08:00:00Z')]);
+
+  it('moves a deleted entry to the bin and back', () => {
+    const deleted = hydrationReducer(start, actions.deleteEntry('a', NOW));
+    expect(deleted.entries.map(e => e.id)).toEqual(['b']);
+    expect(deleted.deletedEntries.map(e => e.id)).toEqual(['a']);
+
+    const restored = hydrationReducer(deleted, actions.restoreEntry('a', NOW));
+    expect(restored.entries.map(e => e.id)).toEqual(['a', 'b']);
+    expect(restored.deletedEntries).toEqual([]);
+  });
+
+  it('returns the same state for an unknown id', () => {
+    expect(hydrationReducer(start, actions.deleteEntry('missing', NOW))).toBe(start);
+    expect(hydrationReducer(start, actions.restoreEntry('a', NOW))).toBe(start);
+  });
+
+  it('keeps an entry restorable for 30 days, then refuses and hides it', () => {
+    const deleted = hydrationReducer(start, actions.deleteEntry('a', NOW));
+    const later = days => new Date(NOW.getTime() + days * 24 * 60 * 60 * 1000);
+
+    expect(selectRestorableEntries(deleted, later(30)).map(e => e.id)).toEqual(['a']);
+    expect(hydrationReducer(deleted, actions.restoreEntry('a', later(30))).entries).toHaveLength(2);
+
+    expect(selectRestorableEntries(deleted, later(31))).toEqual([]);
+    expect(hydrationReducer(deleted, actions.restoreEntry('a', later(31)))).toBe(deleted);
+  });
+});
+
+describe('setGoal', () => {
+  it('records a goal from its effective date on', () => {
+    const state = hydrationReducer(createStoreState(), actions.setGoal({ ounces: 64, effectiveDate: '2026-05-01' }, NOW));
+
+    expect(selectGoal(state, '2026-04-30')).toBeNull();
+    expect(selectGoal(state, '2026-05-01')).toBe(64);
+    expect(selectGoal(state, '2026-05-10')).toBe(64);
+  });
+
+  it.each([0, -64, NaN, Infinity, '64', null])('rejects a goal of %p', ounces => {
+    const start = createStoreState();
+    expect(hydrationReducer(start, actions.setGoal({ ounces, effectiveDate: '2026-05-01' }, NOW))).toBe(start);
+  });
+
+  it('returns the same state when the goal is already in effect', () => {
+    const start = hydrationReducer(createStoreState(), actions.setGoal({ ounces: 64, effectiveDate: '2026-05-01' }, NOW));
+    expect(hydrationReducer(start, actions.setGoal({ ounces: 64, effectiveDate: '2026-05-05' }, NOW))).toBe(start);
+  });
+});
+
+describe('per-day totals', () => {
+  const state = stateWith([
+    entry('late', '2026-05-10T02:30:00Z', { amount: 10 }),
+    entry('coffee', '2026-05-09T09:00:00Z', { amount: 10, beverageId: 'coffee' }),
+    entry('cup', '2026-05-09T07:00:00Z', { amount: 1, unit: 'cup' }),
+  ]);
+
+  it('sums hydrated ounces per day, weighting each drink by its hydration factor', () => {
+    expect(selectTotalsByDate(state, { beverages: DEFAULT_BEVERAGES })).toEqual({
+      '2026-05-10': 10,
+      '2026-05-09': 16,
+    });
+  });
+
+  it('counts entries before the day start hour toward the previous day', () => {
+    expect(selectTotalsByDate(state, { beverages: DEFAULT_BEVERAGES, dayStartHour: 4 })).toEqual({ '2026-05-09': 26 });
+    expect(selectDayEntries(state, '2026-05-09', 4).map(e => e.id)).toEqual(['late', 'coffee', 'cup']);
+  });
+
+  it('reports what is left of the goal for a day', () => {
+    expect(goalStatus(40, 64)).toEqual({ total: 40, target: 64, remaining: 24, reached: false });
+    expect(goalStatus(70, 64)).toEqual({ total: 70, target: 64, remaining: 0, reached: true });
+    expect(goalStatus(40, null)).toEqual({ total: 40, target: null, remaining: null, reached: null });
+  });
+});
@@ -0,0 +1,128 @@
+// Achievements: badges earned from the logged history
+// Context (#): nothing is stored about *earning* a badge; every rule is replayed over the entries
+// each time, so changing a rule (or editing old entries) applies retroactively. Only which badges
+// the user has already been shown is saved (settings.seenAchievements) so each unlock is celebrated once.
+
+import { entryDateKey, parseDateKey, shiftDateKey, wallClock } from './dates';
+import { totalsByDay } from './stats';
+import { t } from './i18n';
+
+// a wall-clock hour (0-23) entries must be logged before to count as "early"
+export const EARLY_HOUR = 9;
+
+/**
+ * dayHistory(entries, { beverages, dayStartHour, goalFor, todayKey })
+ * - one record per calendar day from the first entry through today, oldest first:
+ *   { key, total, goal, reached, early }
+ * - goal is the target that applied that day (goalFor), reached needs a goal; early is true if
+ *   anything was logged before EARLY_HOUR on the clock where it was logged
+ */
+export function dayHistory(entries, { beverages, dayStartHour = 0, goalFor, todayKey }) {
+  if (!entries.length) return [];
+
+  const totals = totalsByDay(entries, { beverages, dayStartHour });
+  const earlyDays = new Set(
+    entries
+      .filter(e => wallClock(e.createdAt, e.utcOffset).hour < EARLY_HOUR)
+      .map(e => entryDateKey(e, dayStartHour))
+  );
+
+  const first = Object.keys(totals).reduce((min, k) => (k < min ? k : min));
+  const days = [];
+  for (let key = first; key <= todayKey; key = shiftDateKey(key, 1)) {
+    const total = totals[key] || 0;
+    const goal = goalFor(key);
+    days.push({ key, total, goal, reached: goal != null && goal > 0 && total >= goal, early: earlyDays.has(key) });
+  }
+  return days;
+}
+
+// key of the day a run of `length` consecutive days matching `test` first completes, or null
+function firstRun(days, length, test) {
+  let run = 0;
+  for (const day of days) {
+    run = test(day) ? run + 1 : 0;
+    if (run >= length) return day.key;
+  }
+  return null;
+}
+
+// last day of the first month with every one of its days reached, or null
+function firstPerfectMonth(days, todayKey) {
+  const reachedByMonth = {};
+  days.forEach(d => {
+    const month = d.key.slice(0, 7);
+    reachedByMonth[month] = (reachedByMonth[month] || 0) + (d.reached ? 1 : 0);
+  });
+
+  const months = Object.keys(reachedByMonth).sort();
+  for (const month of months) {
+    const first = parseDateKey(`${month}-01`);
+    const daysInMonth = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+    const lastKey = `${month}-${String(daysInMonth).padStart(2, '0')}`;
+
+    // same as the calendar's "You've reached your goal N / N days" for that month
+    if (lastKey <= todayKey && reachedByMonth[month] === daysInMonth) return lastKey;
+  }
+  return null;
+}
+
+/**
+ * ACHIEVEMENTS
+ * - the badge rules, in the order the trophy screen lists them; titles and descriptions are
+ *   translated (locales: achievements.<id>.title / description)
+ * - check(days, todayKey) gets dayHistory() and returns the day key the badge was earned on, or
+ *   null while it's still locked
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-goal',
+    icon: '🎯',
+    check: days => days.find(d => d.reached)?.key ?? null,
+  },
+  {
+    id: 'streak-7',
+    icon: '🔥',
+    check: days => firstRun(days, 7, d => d.reached),
+  },
+  {
+    id: 'first-100',
+    icon: '💯',
+    check: days => days.find(d => d.total >= 100)?.key ?? null,
+  },
+  {
+    id: 'early-week',
+    icon: '🌅',
+    check: days => firstRun(days, 7, d => d.early),
+  },
+  {
+    id: 'perfect-month',
+    icon: '🏆',
+    check: firstPerfectMonth,
+  },
+];
+
+/**
+ * evaluateAchievements(entries, options)
+ * - replays the entries (see dayHistory for options) against every rule
+ * - [{ id, icon, title, description, unlockedOn }] in ACHIEVEMENTS order; unlockedOn is null if locked
+ */
+export function evaluateAchievements(entries, options) {
+  const days = dayHistory(entries, options);
+  return ACHIEVEMENTS.map(({ check, ...badge }) => ({
+    ...badge,
+    title: t(`achievements.${badge.id}.title`),
+    description: t(`achievements.${badge.id}.description`),
+    unlockedOn: days.length ? check(days, options.todayKey) : null,
+  }));
+}
+
+// ids of the unlocked badges in an evaluateAchievements() result
+export function unlockedIds(results) {
+  return results.filter(a => a.unlockedOn != null).map(a => a.id);
+}
+
+// stored settings.seenAchievements: null (never evaluated) or an array of badge ids
+export function isValidSeenAchievements(seen) {
+  return seen === null || (Array.isArray(seen) && seen.every(id => typeof id === 'string'));
+}
@@ -0,0 +1,79 @@
+// Exercise sessions and the extra water they add to a day's target
+// Context (#): state.activities is a list of { id, type, minutes, intensity, createdAt, utcOffset };
+// like entries they belong to the local day they were logged on (dates.entryDateKey). The day's
+// target is its goal from the goal history plus the bonus of every session that day
+
+import { currentUtcOffset, entryDateKey } from './dates';
+import { t } from './i18n';
+
+// names are translated (locales: activities.types.<id>), see activityLabel
+export const ACTIVITY_TYPES = [
+  { id: 'walk' },
+  { id: 'run' },
+  { id: 'cycle' },
+  { id: 'swim' },
+  { id: 'gym' },
+  { id: 'sports' },
+  { id: 'yoga' },
+  { id: 'other' },
+];
+
+// extra fluid per 30 minutes of exercise (names: activities.intensities.<id>)
+export const INTENSITIES = [
+  { id: 'light', ouncesPer30: 6 },
+  { id: 'moderate', ouncesPer30: 12 },
+  { id: 'hard', ouncesPer30: 18 },
+];
+
+// upper bound for one session, so a typo can't add gallons to the target
+export const MAX_MINUTES = 600;
+
+const findOption = (options, id) => options.find(o => o.id === id) || options[0];
+
+export const typeLabel = type => t(`activities.types.${findOption(ACTIVITY_TYPES, type).id}`);
+export const intensityName = intensity => t(`activities.intensities.${findOption(INTENSITIES, intensity).id}`);
+export const activityLabel = activity => typeLabel(activity.type);
+export const intensityLabel = activity => intensityName(activity.intensity);
+
+// whole ounces a session adds to its day's target
+export function activityBonus(activity) {
+  return Math.round((activity.minutes / 30) * findOption(INTENSITIES, activity.intensity).ouncesPer30);
+}
+
+// sessions logged on day `key`, oldest first
+export function activitiesForDay(activities, key, dayStartHour = 0) {
+  return activities
+    .filter(a => entryDateKey(a, dayStartHour) === key)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * bonusByDay(activities, dayStartHour)
+ * - { 'YYYY-MM-DD': extra ounces } for every day with at least one session
+ */
+export function bonusByDay(activities, dayStartHour = 0) {
+  return activities.reduce((acc, a) => {
+    const key = entryDateKey(a, dayStartHour);
+    acc[key] = (acc[key] || 0) + activityBonus(a);
+    return acc;
+  }, {});
+}
+
+// a clean copy of a stored session, or null when it can't be used
+export function sanitizeActivity(a) {
+  if (!a || typeof a !== 'object') return null;
+  const minutes = Number(a.minutes);
+  const created = new Date(a.createdAt);
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MINUTES || Number.isNaN(created.getTime())) {
+    return null;
+  }
+
+  return {
+    id: String(a.id ?? created.getTime()),
+    type: ACTIVITY_TYPES.some(t => t.id === a.type) ? a.type : 'other',
+    minutes,
+    intensity: INTENSITIES.some(i => i.id === a.intensity) ? a.intensity : 'moderate',
+    createdAt: created.toISOString(),
+    utcOffset: Number.isFinite(a.utcOffset) ? a.utcOffset : currentUtcOffset(created),
+  };
+}
@@ -0,0 +1,316 @@
+// Backup formats: a full JSON backup of the saved state, and a flat CSV of entries
+// Context (#): pure string <-> data conversion plus the merge preview; fileTransfer.js does the
+// sharing / file picking. Imports never throw: problems come back as { line, message } errors
+
+import { SCHEMA_VERSION, upgrade, sanitizeEntry, sanitizeSettings } from './storage';
+import { currentUtcOffset, formatDateKey } from './dates';
+import { entryOunces, isUnit } from './units';
+import { DEFAULT_BEVERAGE_ID, findBeverage, sanitizeBeverage } from './beverages';
+import { sanitizePreset } from './presets';
+import { sanitizeGoalHistory } from './goals';
+import { sanitizeActivity } from './activities';
+import { TIMES, classifyTimeOfDay, entryTimeOfDay } from './timeOfDay';
+import { isIntakeAmount } from './intake';
+import { parseDecimal } from './validation';
+import { t } from './i18n';
+
+export const CSV_COLUMNS = ['date', 'time', 'ounces', 'timeOfDay', 'beverage', 'amount', 'unit', 'id', 'createdAt', 'caffeineMg', 'alcoholDrinks'];
+
+const pad = n => String(n).padStart(2, '0');
+
+// ---- export ----
+
+// one profile's saved data (plus the shared drinks and presets) in the shape of the saved
+// state, stamped so imports can run it through the storage migrations
+export function buildJsonBackup({ name, entries, goalHistory, activities, settings, beverages, presets }) {
+  return JSON.stringify(
+    {
+      app: 'hydration-tracker',
+      version: SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      activeMemberId: 'backup',
+      members: [{ id: 'backup', name, entries, goalHistory, activities, settings }],
+      beverages,
+      presets,
+    },
+    null,
+    2
+  );
+}
+
+// quote a CSV field when it contains a separator, quote or newline
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * buildCsv(entries, { beverages, timeOfDayStarts })
+ * - one row per entry, oldest first; date/time are the wall clock where it was logged
+ * - ounces is the volume drunk (not the hydration-adjusted amount); amount + unit keep the
+ *   value exactly as logged so a re-import is lossless
+ */
+export function buildCsv(entries, { beverages, timeOfDayStarts }) {
+  const rows = [...entries]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map(e => {
+      // wall clock where it was logged, read through UTC getters
+      const local = new Date(new Date(e.createdAt).getTime() + e.utcOffset * 60000);
+      return [
+        formatDateKey(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()),
+        `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}`,
+        Math.round(entryOunces(e) * 100) / 100,
+        entryTimeOfDay(e, timeOfDayStarts),
+        findBeverage(beverages, e.beverageId).name,
+        e.amount,
+        e.unit,
+        e.id,
+        e.createdAt,
+        e.caffeineMg,
+        e.alcoholDrinks,
+      ].map(csvField).join(',');
+    });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// ---- import ----
+
+// split CSV text into rows of fields (RFC 4180 quoting, CRLF or LF line ends)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const DATE_CELL = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_CELL = /^(\d{1,2}):(\d{2})$/;
+
+// minutes east of UTC written at the end of an ISO timestamp ("+09:00", "-0500"); null for "Z"
+// or none, which say nothing about where the entry was logged
+function isoOffset(text) {
+  const m = text.match(/T.*([+-])(\d{2}):?(\d{2})$/);
+  return m ? (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3])) : null;
+}
+
+// offset the date + time cells (wall clock) imply for the instant `created`, as buildCsv writes
+// them; null when they're missing or more than 14 hours off
+function cellsOffset(created, date, time) {
+  const d = date.match(DATE_CELL);
+  const tm = time.match(TIME_CELL);
+  if (!d || !tm) return null;
+  const offset = Date.UTC(+d[1], +d[2] - 1, +d[3], +tm[1], +tm[2]) / 60000 - Math.floor(created.getTime() / 60000);
+  return Math.abs(offset) <= 14 * 60 ? offset : null;
+}
+
+/**
+ * parseCsv(text, { beverages, timeOfDayStarts })
+ * - resolves rows into entries; returns { format: 'csv', entries, newBeverages, errors }
+ * - needs either createdAt, or date + time (read as device-local time); an entry keeps the UTC
+ *   offset written in createdAt, else the one its date + time imply, else the device's
+ * - numbers are read like typed ones (validation.parseDecimal), so "8,5" is 8.5
+ * - unknown drink names become new beverages (hydration factor 1) listed in newBeverages
+ * - a timeOfDay that matches what would be derived anyway is stored as "auto" (null)
+ */
+export function parseCsv(text, { beverages, timeOfDayStarts }) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const errors = [];
+  const entries = [];
+  const newBeverages = [];
+
+  if (!rows.length) return { format: 'csv', entries, newBeverages, errors: [{ line: 1, message: t('backup.errors.empty') }] };
+
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const col = name => header.indexOf(name.toLowerCase());
+  const hasTime = col('createdat') >= 0 || (col('date') >= 0 && col('time') >= 0);
+  const hasVolume = col('ounces') >= 0 || (col('amount') >= 0 && col('unit') >= 0);
+  if (!hasTime || !hasVolume) {
+    return {
+      format: 'csv',
+      entries,
+      newBeverages,
+      errors: [{ line: 1, message: t('backup.errors.header') }],
+    };
+  }
+
+  const allBeverages = [...beverages];
+
+  rows.slice(1).forEach((cells, i) => {
+    const line = i + 2;
+    const get = name => (col(name) >= 0 ? (cells[col(name)] ?? '').trim() : '');
+    if (cells.every(c => !c.trim())) return; // blank line
+
+    // when
+    let created;
+    if (get('createdAt')) {
+      created = new Date(get('createdAt'));
+    } else {
+      const d = get('date').match(DATE_CELL);
+      const tm = get('time').match(TIME_CELL);
+      created = d && tm ? new Date(+d[1], +d[2] - 1, +d[3], +tm[1], +tm[2]) : new Date(NaN);
+
+      // Date rolls 25:00 or Feb 30 over into the next day; treat that as a typo instead
+      if (d && tm && (created.getDate() !== +d[3] || created.getHours() !== +tm[1] || +tm[2] > 59)) {
+        created = new Date(NaN);
+      }
+    }
+    if (Number.isNaN(created.getTime())) {
+      errors.push({ line, message: t('backup.errors.date') });
+      return;
+    }
+
+    // how much: prefer the exact amount + unit, fall back to ounces
+    let amount = parseDecimal(get('amount'));
+    let unit = get('unit');
+    if (!get('amount') || !isUnit(unit) || !(amount > 0)) {
+      amount = parseDecimal(get('ounces'));
+      unit = 'oz';
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+      errors.push({ line, message: t('backup.errors.amount') });
+      return;
+    }
+
+    // where it was logged, for its day key and time of day
+    const utcOffset = get('createdAt')
+      ? isoOffset(get('createdAt')) ?? cellsOffset(created, get('date'), get('time')) ?? currentUtcOffset(created)
+      : currentUtcOffset(created);
+
+    // time of day: blank or derived-anyway => auto
+    let timeOfDay = get('timeOfDay') || null;
+    if (timeOfDay && !TIMES.includes(timeOfDay)) {
+      errors.push({ line, message: t('backup.errors.timeOfDay', { value: timeOfDay }) });
+      return;
+    }
+    if (timeOfDay === classifyTimeOfDay(created, timeOfDayStarts, utcOffset)) timeOfDay = null;
+
+    // caffeine (mg) / alcohol (standard drinks): optional, blank means not logged
+    const badIntake = ['caffeineMg', 'alcoholDrinks'].find(name => get(name) && !isIntakeAmount(parseDecimal(get(name))));
+    if (badIntake) {
+      errors.push({ line, message: t('backup.errors.intake', { column: badIntake, value: get(badIntake) }) });
+      return;
+    }
+
+    // drink: match by name, otherwise create it
+    const name = get('beverage');
+    let beverage = name ? allBeverages.find(b => b.name.toLowerCase() === name.toLowerCase()) : null;
+    if (name && !beverage) {
+      beverage = sanitizeBeverage({ id: `imported-${allBeverages.length}-${Date.now()}`, name, hydrationFactor: 1 });
+      allBeverages.push(beverage);
+      newBeverages.push(beverage);
+    }
+
+    entries.push(sanitizeEntry({
+      id: get('id') || `csv-${created.getTime()}-${line}`,
+      amount,
+      unit,
+      beverageId: beverage ? beverage.id : DEFAULT_BEVERAGE_ID,
+      timeOfDay,
+      caffeineMg: get('caffeineMg') ? parseDecimal(get('caffeineMg')) : null,
+      alcoholDrinks: get('alcoholDrinks') ? parseDecimal(get('alcoholDrinks')) : null,
+      createdAt: created.toISOString(),
+      utcOffset,
+    }));
+  });
+
+  return { format: 'csv', entries, newBeverages, errors };
+}
+
+/**
+ * parseJsonBackup(text)
+ * - reads a backup written by buildJsonBackup (any schema version the migrations know); from a
+ *   multi-profile file it reads the profile that was active
+ * - returns { format: 'json', entries, beverages, activities, goalHistory, settings, presets, errors };
+ *   entries that can't be read are reported by position instead of dropped silently
+ */
+export function parseJsonBackup(text) {
+  const empty = { format: 'json', entries: [], beverages: [], activities: [], goalHistory: [], settings: null, presets: [] };
+
+  let data;
+  try {
+    data = upgrade(JSON.parse(text));
+  } catch (err) {
+    return { ...empty, errors: [{ line: null, message: t('backup.errors.unreadable', { reason: err.message }) }] };
+  }
+
+  const members = Array.isArray(data.members) ? data.members : [];
+  const member = members.find(m => m && m.id === data.activeMemberId) || members[0] || {};
+
+  const errors = [];
+  const entries = [];
+  (Array.isArray(member.entries) ? member.entries : []).forEach((raw, i) => {
+    const entry = sanitizeEntry(raw);
+    if (entry) entries.push(entry);
+    else errors.push({ line: null, message: t('backup.errors.entry', { number: i + 1 }) });
+  });
+
+  return {
+    format: 'json',
+    entries,
+    beverages: (data.beverages || []).map(sanitizeBeverage).filter(Boolean),
+    activities: (member.activities || []).map(sanitizeActivity).filter(Boolean),
+    goalHistory: sanitizeGoalHistory(member.goalHistory),
+    settings: sanitizeSettings(member.settings),
+    presets: (data.presets || []).map(sanitizePreset).filter(Boolean),
+    errors,
+  };
+}
+
+/**
+ * planMerge(existing, incoming, deleted?)
+ * - { toAdd, duplicates }: an incoming entry is a duplicate if its id is already used (also by
+ *   an entry in the deleted bin, which could be restored next to it), or an entry with the same
+ *   createdAt and volume exists (the same drink exported/imported twice)
+ */
+export function planMerge(existing, incoming, deleted = []) {
+  const ids = new Set([...existing, ...deleted].map(e => e.id));
+  const moments = new Set(existing.map(e => `${new Date(e.createdAt).getTime()}|${entryOunces(e).toFixed(2)}`));
+  const toAdd = [];
+  let duplicates = 0;
+
+  incoming.forEach(e => {
+    const moment = `${new Date(e.createdAt).getTime()}|${entryOunces(e).toFixed(2)}`;
+    if (ids.has(e.id) || moments.has(moment)) {
+      duplicates += 1;
+      return;
+    }
+    ids.add(e.id);
+    moments.add(moment);
+    toAdd.push(e);
+  });
+
+  return { toAdd, duplicates };
+}
@@ -0,0 +1,100 @@
+// Beverage types: each entry records which drink it was, and the drink's hydration factor
+// decides how much of the volume counts toward the goal (coffee hydrates less than water)
+// Context (#): the list is user-editable and saved with the entries (state.beverages)
+
+import { entryOunces } from './units';
+import { t } from './i18n';
+
+/**
+ * DEFAULT_BEVERAGES
+ * - hydrationFactor: share of the volume that counts toward the goal (1 = plain water)
+ * - caffeineMg / sugarG: optional amounts per 8 fl oz, null when unknown
+ * - archived: hidden from the picker but kept so old entries still resolve
+ */
+export const DEFAULT_BEVERAGES = [
+  { id: 'water', name: 'Water', hydrationFactor: 1, caffeineMg: 0, sugarG: 0 },
+  { id: 'sparkling', name: 'Sparkling water', hydrationFactor: 1, caffeineMg: 0, sugarG: 0 },
+  { id: 'tea', name: 'Tea', hydrationFactor: 0.9, caffeineMg: 47, sugarG: 0 },
+  { id: 'coffee', name: 'Coffee', hydrationFactor: 0.8, caffeineMg: 95, sugarG: 0 },
+  { id: 'milk', name: 'Milk', hydrationFactor: 1.1, caffeineMg: 0, sugarG: 12 },
+  { id: 'electrolyte', name: 'Electrolyte drink', hydrationFactor: 1.1, caffeineMg: 0, sugarG: 14 },
+  { id: 'juice', name: 'Juice', hydrationFactor: 0.9, caffeineMg: 0, sugarG: 24 },
+  { id: 'soda', name: 'Soda', hydrationFactor: 0.8, caffeineMg: 25, sugarG: 26 },
+];
+
+export const DEFAULT_BEVERAGE_ID = 'water';
+
+// fallback for entries whose beverage can't be found (treated as water)
+const UNKNOWN_BEVERAGE = { id: DEFAULT_BEVERAGE_ID, name: 'Water', hydrationFactor: 1, caffeineMg: 0, sugarG: 0 };
+
+// name to show: built-in drinks the user hasn't renamed follow the app language
+export function beverageName(beverage) {
+  const builtIn = DEFAULT_BEVERAGES.find(b => b.id === beverage.id);
+  return builtIn && builtIn.name === beverage.name ? t(`beverages.${beverage.id}`) : beverage.name;
+}
+
+// beverages shown in the picker
+export function activeBeverages(beverages) {
+  return beverages.filter(b => !b.archived);
+}
+
+export function findBeverage(beverages, id) {
+  return beverages.find(b => b.id === id) || UNKNOWN_BEVERAGE;
+}
+
+// ounces an entry counts toward the goal: logged volume x the drink's hydration factor
+export function hydratedOunces(entry, beverages) {
+  return entryOunces(entry) * findBeverage(beverages, entry.beverageId).hydrationFactor;
+}
+
+// caffeine (mg) / sugar (g) in a given volume of a beverage, null when not tracked for it
+export function nutrientAmount(beverage, key, volumeOunces) {
+  const per8 = beverage[key];
+  return per8 == null ? null : (per8 * volumeOunces) / 8;
+}
+
+// caffeine (mg) an entry counts: what was logged with it, otherwise what its drink has
+export function entryCaffeine(entry, beverages) {
+  if (entry.caffeineMg != null) return entry.caffeineMg;
+  return nutrientAmount(findBeverage(beverages, entry.beverageId), 'caffeineMg', entryOunces(entry)) || 0;
+}
+
+/**
+ * breakdownByBeverage(entries, beverages)
+ * - groups a day's entries by drink: [{ beverage, volume, hydrated, count, caffeineMg, sugarG }],
+ *   largest first
+ * - volume is what was drunk, hydrated is what counted toward the goal (both in ounces)
+ */
+export function breakdownByBeverage(entries, beverages) {
+  const groups = {};
+  entries.forEach(e => {
+    const beverage = findBeverage(beverages, e.beverageId);
+    const volume = entryOunces(e);
+    const group = groups[beverage.id]
+      || (groups[beverage.id] = { beverage, volume: 0, hydrated: 0, count: 0, caffeineMg: 0, sugarG: 0 });
+    group.volume += volume;
+    group.hydrated += volume * beverage.hydrationFactor;
+    group.count += 1;
+    group.caffeineMg += entryCaffeine(e, beverages);
+    group.sugarG += nutrientAmount(beverage, 'sugarG', volume) || 0;
+  });
+  return Object.values(groups).sort((a, b) => b.volume - a.volume);
+}
+
+// normalize a stored / edited beverage; returns null if unusable
+export function sanitizeBeverage(b) {
+  if (!b || typeof b !== 'object' || typeof b.name !== 'string' || !b.name.trim() || b.id == null) return null;
+
+  const factor = Number(b.hydrationFactor);
+  const optional = v => (v == null || v === '' || !Number.isFinite(Number(v)) || Number(v) < 0 ? null : Number(v));
+
+  return {
+    ...b,
+    id: String(b.id),
+    name: b.name.trim(),
+    hydrationFactor: Number.isFinite(factor) && factor >= 0 ? factor : 1,
+    caffeineMg: optional(b.caffeineMg),
+    sugarG: optional(b.sugarG),
+    archived: Boolean(b.archived),
+  };
+}
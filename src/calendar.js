@@ -0,0 +1,49 @@
+// Calendar layout and heatmap helpers
+// Context (#): pure functions for CalendarScreen; every day is a local 'YYYY-MM-DD' key
+// (dates.js) so grids line up with totalsByDate and the goal history
+
+import { formatDateKey, parseDateKey, shiftDateKey } from './dates';
+
+/**
+ * monthCells(year, month, firstDay?)
+ * - leading nulls for the weekdays before the 1st (weeks start on firstDay, 0 = Sunday), then
+ *   one { day, iso } per day of the month
+ */
+export function monthCells(year, month, firstDay = 0) {
+  const leading = (new Date(year, month, 1).getDay() - firstDay + 7) % 7;
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+  const cells = Array(leading).fill(null);
+  for (let d = 1; d <= daysInMonth; d++) cells.push({ day: d, iso: formatDateKey(year, month, d) });
+  return cells;
+}
+
+// the 7 { day, iso } cells of the week (starting on firstDay, 0 = Sunday) containing day `key`
+export function weekCells(key, firstDay = 0) {
+  const first = shiftDateKey(key, -((parseDateKey(key).getDay() - firstDay + 7) % 7));
+  return Array.from({ length: 7 }, (_, i) => {
+    const iso = shiftDateKey(first, i);
+    return { day: parseDateKey(iso).getDate(), iso };
+  });
+}
+
+/**
+ * heatColor(total, target, max, scale)
+ * - background for a day from the theme's heatmap scale ({ empty, under, over }, see
+ *   theme.buildTheme): empty when nothing was logged, an accent shade by share of the target
+ *   while under it, and a success shade that darkens with how far past the target it went
+ *   (100%, 125%, 150%+)
+ * - without a target the under-goal shades scale against `max` (the biggest day in view)
+ */
+export function heatColor(total, target, max, { empty, under, over }) {
+  if (!(total > 0)) return empty;
+
+  if (target != null && target > 0) {
+    const ratio = total / target;
+    if (ratio >= 1) return over[Math.min(Math.floor((ratio - 1) / 0.25), over.length - 1)];
+    return under[Math.min(Math.floor(ratio * under.length), under.length - 1)];
+  }
+
+  const ratio = max > 0 ? total / max : 0;
+  return under[Math.min(Math.floor(ratio * under.length), under.length - 1)];
+}
@@ -0,0 +1,114 @@
+// Per-entry change log and the "recently deleted" bin
+// Context (#): every entry carries `log: [{ at, action, changes? }]` (action is 'created',
+// 'edited', 'deleted' or 'restored'; changes maps a field to [from, to]). Deleted entries move
+// to state.deletedEntries with a `deletedAt` stamp and can be restored for TRASH_DAYS days
+
+import { UNITS, formatVolume, toOunces } from './units';
+import { beverageName, findBeverage } from './beverages';
+import { timeOfDayLabel } from './timeOfDay';
+import { standardDrinks } from './intake';
+import { formatDateTime, formatNumber, t } from './i18n';
+
+export const TRASH_DAYS = 30;
+
+// fields whose edits are logged
+const LOGGED_FIELDS = ['amount', 'unit', 'beverageId', 'timeOfDay', 'createdAt', 'caffeineMg', 'alcoholDrinks'];
+
+const ACTIONS = ['created', 'edited', 'deleted', 'restored'];
+
+// append a log item to an entry; returns a new entry
+export function withLog(entry, action, changes, at = new Date().toISOString()) {
+  const item = changes ? { at, action, changes } : { at, action };
+  return { ...entry, log: [...(entry.log || []), item] };
+}
+
+/**
+ * logEdit(before, after, at?)
+ * - `after` with an 'edited' log item listing the fields that changed; unchanged when nothing did
+ * - amount and unit are always logged together so the old volume can be shown
+ */
+export function logEdit(before, after, at) {
+  const changes = {};
+  LOGGED_FIELDS.forEach(field => {
+    // a missing optional field (caffeineMg, alcoholDrinks) is the same as an empty one
+    if ((before[field] ?? null) !== (after[field] ?? null)) changes[field] = [before[field] ?? null, after[field] ?? null];
+  });
+  if (changes.amount || changes.unit) {
+    changes.amount = [before.amount, after.amount];
+    changes.unit = [before.unit, after.unit];
+  }
+  return Object.keys(changes).length ? withLog(after, 'edited', changes, at) : after;
+}
+
+// deleted entry for the bin / restored entry for the list
+export function markDeleted(entry, at = new Date().toISOString()) {
+  return { ...withLog(entry, 'deleted', null, at), deletedAt: at };
+}
+
+export function markRestored(entry, at = new Date().toISOString()) {
+  const { deletedAt, ...rest } = entry;
+  return withLog(rest, 'restored', null, at);
+}
+
+// whether a deleted entry is past the restore window (gone for good, even before the next load
+// purges it)
+export function isExpired(entry, now = new Date()) {
+  return new Date(entry.deletedAt).getTime() < now.getTime() - TRASH_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// deleted entries still inside the restore window
+export function purgeExpired(deletedEntries, now = new Date()) {
+  return deletedEntries.filter(e => !isExpired(e, now));
+}
+
+// whole days left before a deleted entry is gone for good (at least 0)
+export function daysLeft(entry, now = new Date()) {
+  const expires = new Date(entry.deletedAt).getTime() + TRASH_DAYS * 24 * 60 * 60 * 1000;
+  return Math.max(Math.ceil((expires - now.getTime()) / (24 * 60 * 60 * 1000)), 0);
+}
+
+// keep only well-formed log items
+export function sanitizeLog(log) {
+  if (!Array.isArray(log)) return [];
+  return log.filter(item => item && typeof item.at === 'string' && ACTIONS.includes(item.action));
+}
+
+/**
+ * describeLogItem(item, { unit, beverages })
+ * - one readable line, e.g. 'Edited: 8 fl oz → 12 fl oz, water → tea'
+ */
+export function describeLogItem(item, { unit, beverages }) {
+  const title = t(`changeLog.${item.action}`);
+  if (!item.changes) return title;
+
+  const c = item.changes;
+  const parts = [];
+
+  // amount and unit are shown together as a volume
+  if (c.amount && c.unit) {
+    const volume = i => (UNITS[c.unit[i]] ? formatVolume(toOunces(c.amount[i], c.unit[i]), unit) : '?');
+    parts.push(`${volume(0)} → ${volume(1)}`);
+  }
+  if (c.beverageId) {
+    parts.push(c.beverageId.map(id => beverageName(findBeverage(beverages, id)).toLowerCase()).join(' → '));
+  }
+  if (c.timeOfDay) {
+    parts.push(c.timeOfDay.map(bucket => (bucket ? timeOfDayLabel(bucket) : t('timeOfDay.auto'))).join(' → '));
+  }
+  if (c.caffeineMg) {
+    parts.push(c.caffeineMg.map(mg => (mg == null ? t('intake.none') : t('day.caffeine', { mg: formatNumber(mg) }))).join(' → '));
+  }
+  if (c.alcoholDrinks) {
+    parts.push(c.alcoholDrinks.map(count => (count == null ? t('intake.none') : standardDrinks(count))).join(' → '));
+  }
+  if (c.createdAt) {
+    parts.push(c.createdAt.map(at => formatDateTime(at, {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    })).join(' → '));
+  }
+
+  return `${title}: ${parts.join(', ')}`;
+}
@@ -0,0 +1,54 @@
+import React, { useEffect, useRef } from 'react';
+import { Modal, View, Text, Pressable, Animated, AccessibilityInfo } from 'react-native';
+
+import { useTheme } from '../styles';
+import { t } from '../i18n';
+
+// how long the celebration stays up before closing itself (ms)
+const SHOW_FOR = 3000;
+
+/**
+ * AchievementCelebration
+ * - Pops a just-unlocked badge into the middle of the screen (spring + fade), then closes itself;
+ *   tapping anywhere closes it early
+ * - Props:
+ *    achievement: the badge to show ({ icon, title, description }); nothing renders when null
+ *    onDone: called once the celebration is over
+ */
+function AchievementCelebration({ achievement, onDone }) {
+  const { styles } = useTheme();
+  const scale = useRef(new Animated.Value(0.3)).current;
+  const opacity = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    if (!achievement) return;
+
+    scale.setValue(0.3);
+    opacity.setValue(0);
+    Animated.parallel([
+      Animated.spring(scale, { toValue: 1, friction: 4, tension: 80, useNativeDriver: true }),
+      Animated.timing(opacity, { toValue: 1, duration: 200, useNativeDriver: true }),
+    ]).start();
+    AccessibilityInfo.announceForAccessibility(t('achievementsScreen.unlockedAnnouncement', { title: achievement.title }));
+
+    const timer = setTimeout(onDone, SHOW_FOR);
+    return () => clearTimeout(timer);
+  }, [achievement]);
+
+  if (!achievement) return null;
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onDone}>
+      <Pressable style={[styles.modalBackdrop, { alignItems: 'center' }]} onPress={onDone}>
+        <Animated.View style={[styles.modal, styles.celebration, { opacity, transform: [{ scale }] }]}>
+          <Text style={styles.celebrationIcon}>{achievement.icon}</Text>
+          <Text style={styles.celebrationLabel}>{t('achievementsScreen.unlocked')}</Text>
+          <Text style={styles.modalTitle}>{achievement.title}</Text>
+          <Text style={[styles.itemSub, { textAlign: 'center' }]}>{achievement.description}</Text>
+        </Animated.View>
+      </Pressable>
+    </Modal>
+  );
+}
+
+export default AchievementCelebration;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, Modal, TextInput, Pressable, Alert } from 'react-native';
+
+import { useTheme } from '../styles';
+import { formatVolume } from '../units';
+import { ACTIVITY_TYPES, INTENSITIES, MAX_MINUTES, activityBonus, intensityName, typeLabel } from '../activities';
+import { t } from '../i18n';
+import { parseDecimal } from '../validation';
+
+/**
+ * ActivityModal
+ * - Logs an exercise session: type, duration and intensity, with the bonus it adds to the target
+ * - Props:
+ *    visible: whether the modal is shown
+ *    unit: display unit for the bonus preview
+ *    onCancel: close without saving
+ *    onSubmit: called with { type, minutes, intensity } once the duration is valid
+ */
+function ActivityModal({ visible, unit, onCancel, onSubmit }) {
+  const { styles, colors } = useTheme();
+  const [type, setType] = useState('walk');
+  const [minutes, setMinutes] = useState('');
+  const [intensity, setIntensity] = useState('moderate');
+
+  // start from a blank duration each time the modal opens (type/intensity are remembered)
+  useEffect(() => {
+    if (visible) setMinutes('');
+  }, [visible]);
+
+  const parsedMinutes = parseDecimal(minutes);
+  const valid = Number.isInteger(parsedMinutes) && parsedMinutes > 0 && parsedMinutes <= MAX_MINUTES;
+
+  function submit() {
+    if (!valid) {
+      Alert.alert(t('workout.invalidTitle'), t('workout.invalidMinutes', { max: MAX_MINUTES }));
+      return;
+    }
+    onSubmit({ type, minutes: parsedMinutes, intensity });
+  }
+
+  // one row of option chips, named by `label(id)`
+  function renderChoices(options, label, value, onChange) {
+    return (
+      <View style={[styles.timeRow, { marginBottom: 12 }]}>
+        {options.map(o => (
+          <Pressable
+            key={o.id}
+            onPress={() => onChange(o.id)}
+            style={[styles.timeButton, value === o.id && styles.timeButtonActive]}
+          >
+            <Text style={[styles.timeButtonText, value === o.id && styles.timeButtonTextActive]}>{label(o.id)}</Text>
+          </Pressable>
+        ))}
+      </View>
+    );
+  }
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onCancel}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modal}>
+          <Text style={styles.modalTitle}>{t('workout.title')}</Text>
+
+          <Text style={styles.inputLabel}>{t('workout.type')}</Text>
+          {renderChoices(ACTIVITY_TYPES, typeLabel, type, setType)}
+
+          <Text style={styles.inputLabel}>{t('workout.duration')}</Text>
+          <TextInput
+            value={minutes}
+            onChangeText={setMinutes}
+            keyboardType="number-pad"
+            placeholder={t('common.example', { value: 30 })}
+            placeholderTextColor={colors.textSecondary}
+            style={styles.input}
+          />
+
+          <Text style={styles.inputLabel}>{t('workout.intensity')}</Text>
+          {renderChoices(INTENSITIES, intensityName, intensity, setIntensity)}
+
+          {/* what this session adds to the day's target */}
+          <Text style={styles.settingHint}>
+            {valid
+              ? t('workout.adds', { volume: formatVolume(activityBonus({ minutes: parsedMinutes, intensity }), unit) })
+              : t('workout.hint')}
+          </Text>
+
+          <View style={styles.modalActions}>
+            <TouchableOpacity onPress={onCancel} style={[styles.modalBtn, styles.modalCancel]}>
+              <Text style={styles.modalBtnText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity onPress={submit} style={[styles.modalBtn, styles.modalAdd]}>
+              <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.add')}</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+export default ActivityModal;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { View, Text } from 'react-native';
+
+import { useTheme } from '../styles';
+
+const CHART_HEIGHT = 120;
+
+/**
+ * BarChart
+ * - Plain View-based bar chart of daily totals with a goal line that steps with each day's goal
+ * - Props:
+ *    data: [{ key, total, goal }] oldest first; goal is the target that day was judged against
+ *      (null when none applied); bars at or over it are highlighted
+ *    formatLabel: key -> label under the first / last bar
+ */
+function BarChart({ data, formatLabel }) {
+  const { styles } = useTheme();
+  const max = Math.max(...data.map(d => Math.max(d.total, d.goal || 0)), 1);
+
+  return (
+    <View>
+      <View style={[styles.chart, { height: CHART_HEIGHT }]}>
+        {data.map(d => (
+          <View key={d.key} style={styles.chartSlot}>
+            {/* this day's piece of the goal line */}
+            {d.goal ? <View style={[styles.chartGoalLine, { bottom: (d.goal / max) * CHART_HEIGHT }]} /> : null}
+            <View
+              style={[
+                styles.chartBar,
+                { height: (d.total / max) * CHART_HEIGHT },
+                d.goal && d.total >= d.goal && styles.chartBarReached,
+              ]}
+            />
+          </View>
+        ))}
+      </View>
+
+      {/* first and last day under the chart */}
+      {data.length ? (
+        <View style={styles.chartAxis}>
+          <Text style={styles.itemSub}>{formatLabel(data[0].key)}</Text>
+          <Text style={styles.itemSub}>{formatLabel(data[data.length - 1].key)}</Text>
+        </View>
+      ) : null}
+    </View>
+  );
+}
+
+export default BarChart;
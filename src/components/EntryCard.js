@@ -0,0 +1,68 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+
+import { useTheme } from '../styles';
+import { entryOunces, formatVolume } from '../units';
+import { beverageName, findBeverage } from '../beverages';
+import { entryTimeOfDay, timeOfDayLabel } from '../timeOfDay';
+import { standardDrinks } from '../intake';
+import { formatNumber, formatTime, t } from '../i18n';
+
+/**
+ * EntryCard
+ * - One logged drink with edit / delete actions
+ * - Props:
+ *    entry: { id, amount, unit, beverageId, timeOfDay, createdAt, caffeineMg?, alcoholDrinks? }
+ *    unit: display unit (the amount is converted from the unit it was logged in)
+ *    beverages: beverage list, to show the drink name and how much counted
+ *    timeOfDayStarts: bucket start hours for entries without a hand-picked time of day
+ *    onEdit: called with the entry
+ *    onDelete: called with the entry id
+ */
+function EntryCard({ entry, unit, beverages, timeOfDayStarts, onEdit, onDelete }) {
+  const { styles, colors } = useTheme();
+  const time = formatTime(entry.createdAt);
+  const beverage = findBeverage(beverages, entry.beverageId);
+  const volume = entryOunces(entry);
+
+  // caffeine / alcohol logged with the entry, e.g. "120 mg caffeine • 1 standard drink"
+  const intake = [
+    entry.caffeineMg != null ? t('day.caffeine', { mg: formatNumber(entry.caffeineMg) }) : null,
+    entry.alcoholDrinks ? standardDrinks(entry.alcoholDrinks) : null,
+  ].filter(Boolean);
+
+  return (
+    <View style={styles.card}>
+      <View style={{ flex: 1 }}>
+        {/* amount, drink and small metadata */}
+        <Text style={styles.itemName}>{formatVolume(volume, unit)} {beverageName(beverage).toLowerCase()}</Text>
+        <Text style={styles.itemSub}>{timeOfDayLabel(entryTimeOfDay(entry, timeOfDayStarts))} • {time}</Text>
+        {beverage.hydrationFactor !== 1 ? (
+          <Text style={styles.itemSub}>{t('entry.countsAs', { volume: formatVolume(volume * beverage.hydrationFactor, unit) })}</Text>
+        ) : null}
+        {intake.length ? <Text style={styles.itemSub}>{intake.join(' • ')}</Text> : null}
+      </View>
+
+      {/* edit / delete actions for the entry */}
+      <View style={styles.actionRow}>
+        <TouchableOpacity
+          onPress={() => onEdit(entry)}
+          style={[styles.smallBtn, styles.editBtn]}
+          accessibilityLabel={t('entry.editLabel')}
+        >
+          <Text style={styles.smallBtnText}>{t('common.edit')}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          onPress={() => onDelete(entry.id)}
+          style={[styles.smallBtn, styles.deleteBtn]}
+          accessibilityLabel={t('entry.deleteLabel')}
+        >
+          <Text style={[styles.smallBtnText, { color: colors.danger }]}>{t('common.delete')}</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+export default EntryCard;
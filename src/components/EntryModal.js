@@ -0,0 +1,339 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, Modal, TextInput, Pressable, Platform, ScrollView } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+
+import { useTheme } from '../styles';
+import { UNITS, entryOunces, formatVolume, roundedAmount, toOunces, unitLabel } from '../units';
+import { DEFAULT_BEVERAGE_ID, activeBeverages, beverageName, entryCaffeine, findBeverage, hydratedOunces, nutrientAmount } from '../beverages';
+import { currentUtcOffset, entryDateKey } from '../dates';
+import { amountErrorMessage, amountWarnings, parseAmount, parseOptionalAmount } from '../validation';
+import { alcoholOffset, overCaffeineLimit } from '../intake';
+import { TIMES, classifyTimeOfDay, timeOfDayLabel } from '../timeOfDay';
+import { formatDate, formatNumber, formatTime, t } from '../i18n';
+
+/**
+ * EntryModal
+ * - Add/Edit form for a single entry; keeps its own input state while open
+ * - A bad amount shows an error under the field; an amount past the limits (one entry, or the
+ *   day's new total) shows warnings there and the next tap on Add/Save saves it anyway
+ * - Caffeine (mg) and alcohol (standard drinks) are optional; left empty, the entry counts its
+ *   drink's usual caffeine. Taking the day past the caffeine limit warns the same way
+ * - Props:
+ *    visible: whether the modal is shown
+ *    entry: entry being edited, or null when adding
+ *    unit: unit the amount is typed in
+ *    beverages: beverage list for the drink picker
+ *    timeOfDayStarts: bucket start hours used for the "Auto" time of day
+ *    totalsByDate / dayStartHour: saved daily totals and the day boundary, for the day total warning
+ *    limits: settings.limits (see validation.js)
+ *    intakeByDate / intake: saved daily caffeine and alcohol and settings.intake (see intake.js)
+ *    onCancel: close without saving
+ *    onSubmit: called with { amount, unit, beverageId, timeOfDay, caffeineMg, alcoholDrinks,
+ *      createdAt, utcOffset } once the input is valid; timeOfDay is null for "Auto" (derived from
+ *      createdAt), caffeineMg / alcoholDrinks null when left empty
+ */
+function EntryModal({
+  visible,
+  entry,
+  unit,
+  beverages,
+  timeOfDayStarts,
+  totalsByDate,
+  dayStartHour,
+  limits,
+  intakeByDate,
+  intake,
+  onCancel,
+  onSubmit,
+}) {
+  const { styles, colors, dark } = useTheme();
+  const [amount, setAmount] = useState('');
+  const [beverageId, setBeverageId] = useState(DEFAULT_BEVERAGE_ID);
+  const [timeOfDay, setTimeOfDay] = useState(null); // null = Auto
+  const [caffeine, setCaffeine] = useState(''); // mg, empty = the drink's usual
+  const [alcohol, setAlcohol] = useState(''); // standard drinks, empty = none
+
+  // when the drink was had; timeEdited flips once the user backdates it with the picker
+  const [loggedAt, setLoggedAt] = useState(() => new Date());
+  const [timeEdited, setTimeEdited] = useState(false);
+  const [pickerMode, setPickerMode] = useState(null); // 'date' | 'time' | null
+
+  // inline feedback under the amount: an error message, or warnings the next tap saves past
+  const [error, setError] = useState(null);
+  const [warnings, setWarnings] = useState([]);
+  const [intakeErrors, setIntakeErrors] = useState({}); // { caffeineMg, alcoholDrinks } messages
+
+  // archived drinks stay selectable only for the entry that already uses one
+  const choices = activeBeverages(beverages);
+  const editingArchived = entry && !choices.some(b => b.id === entry.beverageId)
+    ? beverages.filter(b => b.id === entry.beverageId)
+    : [];
+
+  // prefilled amount text when editing, in the current unit
+  const initialAmount = entry ? String(roundedAmount(entryOunces(entry), unit)) : '';
+
+  // refill the form each time the modal opens: entry values when editing, blanks otherwise
+  useEffect(() => {
+    if (!visible) return;
+    setAmount(initialAmount);
+    setBeverageId(entry?.beverageId ?? DEFAULT_BEVERAGE_ID);
+    setTimeOfDay(entry?.timeOfDay ?? null);
+    setCaffeine(entry?.caffeineMg != null ? String(entry.caffeineMg) : '');
+    setAlcohol(entry?.alcoholDrinks != null ? String(entry.alcoholDrinks) : '');
+    setLoggedAt(entry ? new Date(entry.createdAt) : new Date());
+    setTimeEdited(false);
+    setPickerMode(null);
+  }, [visible, entry]);
+
+  // any change to what would be saved asks again
+  useEffect(() => {
+    setError(null);
+    setWarnings([]);
+    setIntakeErrors({});
+  }, [visible, amount, beverageId, loggedAt, caffeine, alcohol]);
+
+  // what "Auto" resolves to for the current time (an unedited entry keeps the offset it was logged at)
+  const autoTimeOfDay = classifyTimeOfDay(
+    loggedAt,
+    timeOfDayStarts,
+    entry && !timeEdited ? entry.utcOffset : undefined
+  );
+
+  // date/time picker result; Android closes the dialog itself, iOS stays open until Done
+  function onPickerChange(event, date) {
+    if (Platform.OS !== 'ios') setPickerMode(null);
+    if (event.type === 'set' && date) {
+      setLoggedAt(date > new Date() ? new Date() : date);
+      setTimeEdited(true);
+    }
+  }
+
+  // timestamp fields to save: untouched edits keep theirs, untouched adds are logged "now"
+  function timestamp() {
+    if (!timeEdited) {
+      if (entry) return { createdAt: entry.createdAt, utcOffset: entry.utcOffset };
+      return { createdAt: new Date().toISOString(), utcOffset: currentUtcOffset() };
+    }
+    return { createdAt: loggedAt.toISOString(), utcOffset: currentUtcOffset(loggedAt) };
+  }
+
+  // a day's sum once `values` is saved: saved(key) is what the day has now, share(entry) what one
+  // entry adds to it (an edited entry's old share is taken out)
+  function dayAfter(values, saved, share) {
+    const key = entryDateKey(values, dayStartHour);
+    const replaced = entry && entryDateKey(entry, dayStartHour) === key ? share(entry) : 0;
+    return saved(key) - replaced + share(values);
+  }
+
+  // the picked drink's usual caffeine for the typed amount (null when unknown), the field's placeholder
+  const typedAmount = parseAmount(amount).value;
+  const usualCaffeine = typedAmount != null
+    ? nutrientAmount(findBeverage(beverages, beverageId), 'caffeineMg', toOunces(typedAmount, unit))
+    : null;
+
+  // water the typed alcohol adds to the day's target
+  const typedAlcohol = parseOptionalAmount(alcohol).value;
+  const alcoholWater = typedAlcohol ? alcoholOffset(typedAlcohol, intake) : 0;
+
+  function submit() {
+    // amount untouched while editing: keep the stored value + unit so display rounding
+    // never leaks into the saved history
+    const untouched = entry && amount === initialAmount;
+    let volume = { amount: entry?.amount, unit: entry?.unit };
+    if (!untouched) {
+      const parsed = parseAmount(amount);
+      if (parsed.error) {
+        setError(amountErrorMessage(parsed.error, unitLabel(unit), UNITS[unit].entryExample));
+        return;
+      }
+      volume = { amount: parsed.value, unit };
+    }
+
+    // optional caffeine / alcohol: empty means not logged
+    const caffeineMg = parseOptionalAmount(caffeine);
+    const alcoholDrinks = parseOptionalAmount(alcohol);
+    if (caffeineMg.error || alcoholDrinks.error) {
+      setIntakeErrors({
+        caffeineMg: amountErrorMessage(caffeineMg.error, 'mg', 95),
+        alcoholDrinks: amountErrorMessage(alcoholDrinks.error, '', 1),
+      });
+      return;
+    }
+    const values = {
+      ...volume,
+      beverageId,
+      timeOfDay,
+      caffeineMg: caffeineMg.value,
+      alcoholDrinks: alcoholDrinks.value,
+      ...timestamp(),
+    };
+
+    // implausible amounts are saved on the second tap, once their warnings have been seen
+    if (!warnings.length) {
+      const found = amountWarnings(
+        {
+          entryOunces: untouched ? null : toOunces(values.amount, values.unit),
+          dayOunces: dayAfter(values, key => totalsByDate[key] || 0, e => hydratedOunces(e, beverages)),
+        },
+        limits,
+        unit
+      );
+      // caffeine only warns for an entry that has some
+      const dayCaffeine = dayAfter(values, key => intakeByDate[key]?.caffeineMg || 0, e => entryCaffeine(e, beverages));
+      if (entryCaffeine(values, beverages) > 0 && overCaffeineLimit(dayCaffeine, intake)) {
+        found.push(t('validation.caffeineHigh', {
+          mg: formatNumber(Math.round(dayCaffeine)),
+          limit: formatNumber(intake.caffeineLimitMg),
+        }));
+      }
+      if (found.length) {
+        setWarnings(found);
+        return;
+      }
+    }
+    onSubmit(values);
+  }
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onCancel}
+    >
+      <View style={styles.modalBackdrop}>
+        <View style={[styles.modal, { flexShrink: 1 }]}>
+          <Text style={styles.modalTitle}>{entry ? t('entry.editTitle') : t('entry.addTitle')}</Text>
+
+          {/* the form scrolls when it doesn't fit; the actions below stay in view */}
+          <ScrollView style={{ flexGrow: 0 }} keyboardShouldPersistTaps="handled">
+            {/* amount input in the chosen unit */}
+            <Text style={styles.inputLabel}>{t('entry.amount', { unit: unitLabel(unit) })}</Text>
+            <TextInput
+              value={amount ?? ''}
+              onChangeText={setAmount}
+              keyboardType="numeric"
+              placeholder={t('common.example', { value: formatNumber(UNITS[unit].entryExample) })}
+              placeholderTextColor={colors.textSecondary}
+              style={[styles.input, error && styles.inputInvalid]}
+              accessibilityHint={error ?? undefined}
+            />
+            {error ? <Text style={styles.fieldError} accessibilityLiveRegion="polite">{error}</Text> : null}
+            {warnings.map(w => (
+              <Text key={w} style={styles.fieldWarning} accessibilityLiveRegion="polite">{w}</Text>
+            ))}
+            {warnings.length ? <Text style={styles.fieldWarning}>{t('validation.tapAgain')}</Text> : null}
+
+            {/* choose the drink */}
+            <Text style={[styles.inputLabel, { marginTop: 12 }]}>{t('entry.drink')}</Text>
+            <View style={styles.timeRow}>
+              {[...choices, ...editingArchived].map(b => (
+                <Pressable
+                  key={b.id}
+                  onPress={() => setBeverageId(b.id)}
+                  style={[styles.timeButton, beverageId === b.id && styles.timeButtonActive]}
+                >
+                  <Text style={[styles.timeButtonText, beverageId === b.id && styles.timeButtonTextActive]}>
+                    {beverageName(b)}
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+
+            {/* optional caffeine and alcohol */}
+            <Text style={[styles.inputLabel, { marginTop: 12 }]}>{t('intake.caffeine')}</Text>
+            <TextInput
+              value={caffeine}
+              onChangeText={setCaffeine}
+              keyboardType="numeric"
+              placeholder={usualCaffeine > 0
+                ? t('intake.usualCaffeine', { mg: formatNumber(Math.round(usualCaffeine)) })
+                : t('intake.optional')}
+              placeholderTextColor={colors.textSecondary}
+              style={[styles.input, intakeErrors.caffeineMg && styles.inputInvalid]}
+              accessibilityHint={intakeErrors.caffeineMg ?? undefined}
+            />
+            {intakeErrors.caffeineMg ? (
+              <Text style={styles.fieldError} accessibilityLiveRegion="polite">{intakeErrors.caffeineMg}</Text>
+            ) : null}
+
+            <Text style={[styles.inputLabel, { marginTop: 12 }]}>{t('intake.alcohol')}</Text>
+            <TextInput
+              value={alcohol}
+              onChangeText={setAlcohol}
+              keyboardType="numeric"
+              placeholder={t('intake.optional')}
+              placeholderTextColor={colors.textSecondary}
+              style={[styles.input, intakeErrors.alcoholDrinks && styles.inputInvalid]}
+              accessibilityHint={intakeErrors.alcoholDrinks ?? t('intake.alcoholHint')}
+            />
+            {intakeErrors.alcoholDrinks ? (
+              <Text style={styles.fieldError} accessibilityLiveRegion="polite">{intakeErrors.alcoholDrinks}</Text>
+            ) : alcoholWater > 0 ? (
+              <Text style={styles.settingHint}>{t('intake.alcoholAdds', { volume: formatVolume(alcoholWater, unit) })}</Text>
+            ) : null}
+
+            {/* when: defaults to now, can be backdated */}
+            <Text style={[styles.inputLabel, { marginTop: 12 }]}>{t('entry.when')}</Text>
+            <View style={styles.timeRow}>
+              <Pressable onPress={() => setPickerMode('date')} style={styles.timeButton}>
+                <Text style={styles.timeButtonText}>{formatDate(loggedAt)}</Text>
+              </Pressable>
+              <Pressable onPress={() => setPickerMode('time')} style={styles.timeButton}>
+                <Text style={styles.timeButtonText}>{formatTime(loggedAt)}</Text>
+              </Pressable>
+              {pickerMode && Platform.OS === 'ios' ? (
+                <Pressable onPress={() => setPickerMode(null)} style={styles.timeButton}>
+                  <Text style={styles.timeButtonText}>{t('common.done')}</Text>
+                </Pressable>
+              ) : null}
+            </View>
+            {pickerMode ? (
+              <DateTimePicker
+                value={loggedAt}
+                mode={pickerMode}
+                maximumDate={new Date()}
+                onChange={onPickerChange}
+                themeVariant={dark ? 'dark' : 'light'}
+              />
+            ) : null}
+
+            {/* time of day: Auto follows the time above, or pick one by hand */}
+            <Text style={[styles.inputLabel, { marginTop: 12 }]}>{t('entry.timeOfDay')}</Text>
+            <View style={styles.timeRow}>
+              {[null, ...TIMES].map(bucket => (
+                <Pressable
+                  key={bucket ?? 'auto'}
+                  onPress={() => setTimeOfDay(bucket)}
+                  style={[
+                    styles.timeButton,
+                    timeOfDay === bucket && styles.timeButtonActive,
+                  ]}
+                >
+                  <Text style={[styles.timeButtonText, timeOfDay === bucket && styles.timeButtonTextActive]}>
+                    {bucket ? timeOfDayLabel(bucket) : t('entry.autoTimeOfDay', { bucket: timeOfDayLabel(autoTimeOfDay) })}
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+          </ScrollView>
+
+          {/* modal actions */}
+          <View style={styles.modalActions}>
+            <TouchableOpacity onPress={onCancel} style={[styles.modalBtn, styles.modalCancel]}>
+              <Text style={styles.modalBtnText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity onPress={submit} style={[styles.modalBtn, styles.modalAdd]}>
+              <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>
+                {warnings.length ? t('validation.saveAnyway') : entry ? t('common.save') : t('common.add')}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+export default EntryModal;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+
+import { useTheme } from '../styles';
+import { formatVolume } from '../units';
+import { activityBonus, activityLabel, intensityLabel } from '../activities';
+import { t } from '../i18n';
+
+/**
+ * GoalBreakdown
+ * - Line items that make up a day's target: the base goal, then one line per workout bonus;
+ *   nothing renders on days without workouts (the target is just the goal)
+ * - Props:
+ *    baseGoal: the day's goal from the goal history (number) or null
+ *    activities: that day's exercise sessions
+ *    unit: display unit
+ *    onDelete: called with a session id to remove it (omit to hide the remove buttons)
+ */
+function GoalBreakdown({ baseGoal, activities, unit, onDelete }) {
+  const { styles, colors } = useTheme();
+  if (!activities.length) return null;
+
+  const bonus = activities.reduce((sum, a) => sum + activityBonus(a), 0);
+
+  return (
+    <View style={styles.breakdown}>
+      <View style={styles.breakdownRow}>
+        <Text style={styles.breakdownName}>{t('workout.baseGoal')}</Text>
+        <Text style={styles.itemSub}>{baseGoal != null ? formatVolume(baseGoal, unit) : t('workout.notSet')}</Text>
+      </View>
+
+      {activities.map(a => (
+        <View key={a.id} style={styles.breakdownRow}>
+          <Text style={[styles.itemSub, { flex: 1 }]}>
+            {t('workout.line', { type: activityLabel(a), minutes: a.minutes, intensity: intensityLabel(a).toLowerCase() })}
+          </Text>
+          <Text style={styles.itemSub}>+{formatVolume(activityBonus(a), unit)}</Text>
+          {onDelete ? (
+            <TouchableOpacity onPress={() => onDelete(a.id)} style={styles.navBtn} accessibilityLabel={t('workout.removeLabel')}>
+              <Text style={[styles.smallBtnText, { color: colors.danger }]}>✕</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+      ))}
+
+      {baseGoal != null ? (
+        <View style={styles.breakdownRow}>
+          <Text style={styles.breakdownName}>{t('workout.target')}</Text>
+          <Text style={styles.breakdownName}>{formatVolume(baseGoal + bonus, unit)}</Text>
+        </View>
+      ) : null}
+    </View>
+  );
+}
+
+export default GoalBreakdown;
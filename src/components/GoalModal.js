@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, Modal, TextInput } from 'react-native';
+
+import { useTheme } from '../styles';
+import { UNITS, formatVolume, roundedAmount, toOunces, unitLabel } from '../units';
+import { suggestGoal } from '../goalCalculator';
+import { amountErrorMessage, amountWarnings, parseAmount } from '../validation';
+import { formatNumber, t } from '../i18n';
+
+/**
+ * GoalModal
+ * - Daily goal form: manual amount, optional reason, and the profile-based suggestion beside it
+ *   (the user can use it as is, adjust it in the input, or ignore it)
+ * - A bad amount shows an error under the field; a goal above the daily limit shows a warning
+ *   there and the next tap on Save saves it anyway
+ * - Props:
+ *    visible: whether the modal is shown
+ *    goalOunces: today's goal (number) or null
+ *    unit: unit the goal is typed in
+ *    profile: settings.profile, for the suggestion
+ *    limits: settings.limits (see validation.js)
+ *    hasHistory: show the link to the goal history
+ *    onCancel: close without saving
+ *    onSubmit: called with { ounces, reason }; ounces is the exact stored goal when the input
+ *      wasn't changed
+ *    onOpenHistory / onOpenProfile: leave the modal for the goal history / profile screens
+ */
+function GoalModal({ visible, goalOunces, unit, profile, limits, hasHistory, onCancel, onSubmit, onOpenHistory, onOpenProfile }) {
+  const { styles, colors } = useTheme();
+  const [input, setInput] = useState('');
+  const [reason, setReason] = useState('');
+
+  // inline feedback under the amount: an error message, or warnings the next tap saves past
+  const [error, setError] = useState(null);
+  const [warnings, setWarnings] = useState([]);
+
+  // goal as shown in the input, in the current unit
+  const initialInput = goalOunces != null ? String(roundedAmount(goalOunces, unit)) : '';
+  const suggestion = suggestGoal(profile);
+
+  // refill the form each time the modal opens
+  useEffect(() => {
+    if (!visible) return;
+    setInput(initialInput);
+    setReason('');
+  }, [visible]);
+
+  // a changed amount asks again
+  useEffect(() => {
+    setError(null);
+    setWarnings([]);
+  }, [visible, input]);
+
+  // copy the suggestion into the input (still editable before saving)
+  function applySuggestion() {
+    setInput(String(roundedAmount(suggestion.ounces, unit)));
+    if (!reason.trim()) setReason(t('goal.suggestedReason'));
+  }
+
+  function submit() {
+    // unchanged input: keep the exact stored goal rather than its rounded display value
+    if (input === initialInput && goalOunces != null) {
+      onSubmit({ ounces: goalOunces, reason });
+      return;
+    }
+
+    const parsed = parseAmount(input);
+    if (parsed.error) {
+      setError(amountErrorMessage(parsed.error, unitLabel(unit), UNITS[unit].goalExample));
+      return;
+    }
+
+    const ounces = toOunces(parsed.value, unit);
+    if (!warnings.length) {
+      const found = amountWarnings({ goalOunces: ounces }, limits, unit);
+      if (found.length) {
+        setWarnings(found);
+        return;
+      }
+    }
+    onSubmit({ ounces, reason });
+  }
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onCancel}>
+      <View style={styles.modalBackdrop}>
+        <View style={styles.modal}>
+          <Text style={styles.modalTitle}>{t('goal.title', { unit: unitLabel(unit) })}</Text>
+
+          {/* goal input */}
+          <Text style={styles.inputLabel}>{t('entry.amount', { unit: unitLabel(unit) })}</Text>
+          <TextInput
+            value={input}
+            onChangeText={setInput}
+            keyboardType="numeric"
+            placeholder={t('common.example', { value: formatNumber(UNITS[unit].goalExample) })}
+            placeholderTextColor={colors.textSecondary}
+            style={[styles.input, error && styles.inputInvalid]}
+            accessibilityHint={error ?? undefined}
+          />
+          {error ? <Text style={styles.fieldError} accessibilityLiveRegion="polite">{error}</Text> : null}
+          {warnings.map(w => (
+            <Text key={w} style={styles.fieldWarning} accessibilityLiveRegion="polite">{w}</Text>
+          ))}
+          {warnings.length ? <Text style={styles.fieldWarning}>{t('validation.tapAgain')}</Text> : null}
+
+          {/* suggestion from the profile, with how it adds up */}
+          {suggestion ? (
+            <View style={styles.suggestion}>
+              <View style={styles.breakdownRow}>
+                <Text style={styles.settingLabel}>{t('goal.suggested', { volume: formatVolume(suggestion.ounces, unit) })}</Text>
+                <TouchableOpacity onPress={applySuggestion}>
+                  <Text style={styles.goalEditText}>{t('common.use')}</Text>
+                </TouchableOpacity>
+              </View>
+              {suggestion.steps.map((step, i) => (
+                <Text key={step.label} style={styles.itemSub}>
+                  {i > 0 ? '+ ' : ''}{step.label}: {formatVolume(step.ounces, unit)}
+                </Text>
+              ))}
+              <TouchableOpacity onPress={onOpenProfile}>
+                <Text style={styles.settingHint}>{t('goal.changeDetails')}</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity onPress={onOpenProfile} style={{ marginBottom: 8 }}>
+              <Text style={styles.goalEditText}>{t('goal.getSuggestion')}</Text>
+            </TouchableOpacity>
+          )}
+
+          {/* optional note kept in the goal history */}
+          <Text style={styles.inputLabel}>{t('goal.reason')}</Text>
+          <TextInput
+            value={reason}
+            onChangeText={setReason}
+            placeholder={t('goal.reasonExample')}
+            placeholderTextColor={colors.textSecondary}
+            style={styles.input}
+          />
+          <Text style={styles.settingHint}>{t('goal.appliesFromToday')}</Text>
+
+          {hasHistory ? (
+            <TouchableOpacity onPress={onOpenHistory} style={{ marginTop: 8 }}>
+              <Text style={styles.goalEditText}>{t('goal.viewHistory')}</Text>
+            </TouchableOpacity>
+          ) : null}
+
+          <View style={styles.modalActions}>
+            <TouchableOpacity onPress={onCancel} style={[styles.modalBtn, styles.modalCancel]}>
+              <Text style={styles.modalBtnText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity onPress={submit} style={[styles.modalBtn, styles.modalAdd]}>
+              <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>
+                {warnings.length ? t('validation.saveAnyway') : t('common.save')}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+export default GoalModal;
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, Modal, Pressable } from 'react-native';
+
+import { useTheme } from '../styles';
+import { t } from '../i18n';
+
+/**
+ * MemberSwitcher
+ * - Header button with the active profile's name; opens a list to switch profiles
+ * - Props:
+ *    members: [{ id, name }] household members
+ *    activeMemberId: id of the profile in use
+ *    onSwitch: called with a member id
+ *    onManage: open the profile management screen
+ */
+function MemberSwitcher({ members, activeMemberId, onSwitch, onManage }) {
+  const { styles, colors } = useTheme();
+  const [open, setOpen] = useState(false);
+  const active = members.find(m => m.id === activeMemberId);
+
+  function choose(id) {
+    setOpen(false);
+    if (id !== activeMemberId) onSwitch(id);
+  }
+
+  function manage() {
+    setOpen(false);
+    onManage();
+  }
+
+  return (
+    <>
+      <TouchableOpacity
+        onPress={() => setOpen(true)}
+        style={styles.goalEditBtn}
+        accessibilityLabel={t('household.switcherLabel', { name: active ? active.name : '' })}
+      >
+        <Text style={styles.goalEditText}>{active ? active.name : t('household.profile')} ▾</Text>
+      </TouchableOpacity>
+
+      <Modal visible={open} animationType="fade" transparent onRequestClose={() => setOpen(false)}>
+        <Pressable style={styles.modalBackdrop} onPress={() => setOpen(false)}>
+          <View style={styles.modal}>
+            <Text style={styles.modalTitle}>{t('household.switchTitle')}</Text>
+
+            {members.map(m => (
+              <TouchableOpacity key={m.id} onPress={() => choose(m.id)} style={styles.settingRow}>
+                <Text style={[styles.settingLabel, m.id === activeMemberId && { color: colors.accent }]}>{m.name}</Text>
+                {m.id === activeMemberId ? <Text style={styles.goalEditText}>✓</Text> : null}
+              </TouchableOpacity>
+            ))}
+
+            <TouchableOpacity onPress={manage} style={{ marginTop: 12 }}>
+              <Text style={styles.goalEditText}>{t('household.manage')}</Text>
+            </TouchableOpacity>
+          </View>
+        </Pressable>
+      </Modal>
+    </>
+  );
+}
+
+export default MemberSwitcher;
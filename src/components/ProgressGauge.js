@@ -0,0 +1,105 @@
+import React, { useEffect, useRef } from 'react';
+import { View, Text, Animated } from 'react-native';
+
+import { useTheme } from '../styles';
+import { formatVolume } from '../units';
+import { expectedByTime } from '../reminders';
+import { formatNumber, formatTime, t } from '../i18n';
+
+// shares of the goal that get a pace tick, labelled with the time they should be reached by
+const PACE_TICKS = [0.25, 0.5, 0.75];
+
+/**
+ * ProgressGauge
+ * - Horizontal "bottle" that fills toward the day's target and animates whenever the total
+ *   changes (add, edit, delete, undo); past 100% it stays full and shows how far over it is
+ * - Pace: ticks at 25/50/75% labelled with the time they should be reached by (the target spread
+ *   over the reminder window, see reminders.expectedByTime), plus a "now" marker on today
+ * - Nothing renders without a target
+ * - Props:
+ *    total: hydrated ounces for the shown day
+ *    target: that day's target in ounces, or null
+ *    unit: display unit
+ *    paceWindow: { activeFrom, activeUntil } minutes after midnight the drinking day is spread over
+ *    now: current Date when showing today (enables the "now" marker), null for other days
+ */
+function ProgressGauge({ total, target, unit, paceWindow, now }) {
+  const { styles } = useTheme();
+  const hasTarget = target != null && target > 0;
+  const share = hasTarget ? total / target : 0;
+
+  // animate toward the new fill (capped at a full bottle)
+  const fill = useRef(new Animated.Value(Math.min(share, 1))).current;
+  useEffect(() => {
+    Animated.timing(fill, { toValue: Math.min(share, 1), duration: 450, useNativeDriver: false }).start();
+  }, [share]);
+
+  if (!hasTarget) return null;
+
+  const percent = Math.round(share * 100);
+  const percentText = formatNumber(percent / 100, { style: 'percent' });
+  const reached = share >= 1;
+  const pace = now ? expectedByTime(target, now, paceWindow) / target : null;
+  const behind = pace != null && share < pace;
+
+  const label = [
+    t('gauge.label', { percent: percentText, total: formatVolume(total, unit), target: formatVolume(target, unit) }),
+    pace != null ? t(behind ? 'gauge.behindLabel' : 'gauge.onPace') : null,
+  ].filter(Boolean).join(', ');
+
+  // clock time a tick's share of the target should be reached by
+  const tickTime = share => {
+    const minutes = Math.round(paceWindow.activeFrom + share * (paceWindow.activeUntil - paceWindow.activeFrom));
+    return formatTime(new Date(2000, 0, 1, 0, minutes));
+  };
+
+  return (
+    <View
+      style={styles.gauge}
+      accessible
+      accessibilityRole="progressbar"
+      accessibilityLabel={label}
+      accessibilityValue={{ min: 0, max: 100, now: Math.min(percent, 100), text: percentText }}
+    >
+      <View style={styles.gaugeHeader}>
+        <Text style={styles.gaugePercent}>{percentText}</Text>
+        {reached && percent > 100 ? (
+          <Text style={styles.gaugeOverflow}>
+            {t('gauge.over', { percent: formatNumber((percent - 100) / 100, { style: 'percent' }) })}
+          </Text>
+        ) : pace != null ? (
+          <Text style={behind ? styles.remaining : styles.goalHint}>
+            {behind ? t('gauge.behind', { volume: formatVolume(target * pace - total, unit) }) : t('gauge.onPace')}
+          </Text>
+        ) : null}
+      </View>
+
+      {/* the bottle: fill, then pace ticks and the "now" marker on top */}
+      <View style={styles.gaugeTrack}>
+        <Animated.View
+          style={[
+            styles.gaugeFill,
+            reached && styles.gaugeFillReached,
+            { width: fill.interpolate({ inputRange: [0, 1], outputRange: ['0%', '100%'] }) },
+          ]}
+        />
+        {reached && percent > 100 ? <View style={styles.gaugeOverflowCap} /> : null}
+        {PACE_TICKS.map(tick => (
+          <View key={tick} style={[styles.gaugeTick, { left: `${tick * 100}%` }]} />
+        ))}
+        {pace != null && pace > 0 && pace < 1 ? <View style={[styles.gaugeNow, { left: `${pace * 100}%` }]} /> : null}
+      </View>
+
+      {/* time each tick should be reached by */}
+      <View style={styles.gaugeLabels}>
+        {PACE_TICKS.map(tick => (
+          <Text key={tick} style={[styles.gaugeTickLabel, { left: `${tick * 100}%` }]} maxFontSizeMultiplier={1.4}>
+            {tickTime(tick)}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+export default ProgressGauge;
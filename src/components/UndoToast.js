@@ -0,0 +1,28 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+
+import { useTheme } from '../styles';
+import { t } from '../i18n';
+
+/**
+ * UndoToast
+ * - Small bar pinned to the bottom of the screen with an Undo action
+ * - Props:
+ *    message: text to show; nothing renders when empty
+ *    onUndo: called when Undo is pressed
+ */
+function UndoToast({ message, onUndo }) {
+  const { styles } = useTheme();
+  if (!message) return null;
+
+  return (
+    <View style={styles.toast} accessibilityLiveRegion="polite">
+      <Text style={styles.toastText}>{message}</Text>
+      <TouchableOpacity onPress={onUndo} style={styles.navBtn} accessibilityLabel={t('undo.undo')}>
+        <Text style={styles.toastAction}>{t('undo.undo')}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+export default UndoToast;
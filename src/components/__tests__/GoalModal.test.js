@@ -0,0 +1,61 @@
+// Goal form: inline validation and the limit warning before a goal is saved
+
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react-native';
+
+import GoalModal from '../GoalModal';
+import { DEFAULT_LIMITS } from '../../validation';
+import { t } from '../../i18n';
+
+function renderModal(props = {}) {
+  const onSubmit = jest.fn();
+  render(
+    <GoalModal
+      visible
+      goalOunces={null}
+      unit="oz"
+      profile={null}
+      limits={DEFAULT_LIMITS}
+      hasHistory={false}
+      onCancel={jest.fn()}
+      onSubmit={onSubmit}
+      onOpenHistory={jest.fn()}
+      onOpenProfile={jest.fn()}
+      {...props}
+    />
+  );
+  return onSubmit;
+}
+
+const amountInput = () => screen.getByPlaceholderText(t('common.example', { value: '64' }));
+
+it('shows an error under the field and saves nothing for an invalid goal', () => {
+  const onSubmit = renderModal();
+
+  fireEvent.changeText(amountInput(), '0');
+  fireEvent.press(screen.getByText(t('common.save')));
+
+  expect(screen.getByText(t('validation.notPositive'))).toBeTruthy();
+  expect(onSubmit).not.toHaveBeenCalled();
+});
+
+it('saves a valid goal with its reason', () => {
+  const onSubmit = renderModal();
+
+  fireEvent.changeText(amountInput(), '80');
+  fireEvent.changeText(screen.getByPlaceholderText(t('goal.reasonExample')), 'Summer');
+  fireEvent.press(screen.getByText(t('common.save')));
+
+  expect(onSubmit).toHaveBeenCalledWith({ ounces: 80, reason: 'Summer' });
+});
+
+it('warns about a goal above the daily limit and saves it on the second tap', () => {
+  const onSubmit = renderModal();
+
+  fireEvent.changeText(amountInput(), '300');
+  fireEvent.press(screen.getByText(t('common.save')));
+  expect(onSubmit).not.toHaveBeenCalled();
+
+  fireEvent.press(screen.getByText(t('validation.saveAnyway')));
+  expect(onSubmit).toHaveBeenCalledWith({ ounces: 300, reason: '' });
+});
@@ -0,0 +1,72 @@
+// Day-key helpers: every place that groups entries by day goes through toDateKey so the
+// home totals, the calendar grid and stored data all agree on which day an entry belongs to
+// Context (#): keys are 'YYYY-MM-DD' strings in the user's *local* calendar, never UTC
+
+const pad = n => String(n).padStart(2, '0');
+
+// build a key from calendar parts (month is 0-based like Date#getMonth)
+export function formatDateKey(year, month, day) {
+  // normalize overflow (e.g. day 0 or day 32) through UTC so DST can't shift the result
+  const d = new Date(Date.UTC(year, month, day));
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+}
+
+// current UTC offset of the device in minutes (e.g. -300 for New York in winter)
+export function currentUtcOffset(date = new Date()) {
+  return -date.getTimezoneOffset();
+}
+
+/**
+ * wallClock(date, utcOffset?)
+ * - returns the calendar parts { year, month, day, hour } a clock showed at that instant
+ * - with utcOffset (minutes) the parts are for that offset, i.e. where the entry was logged;
+ *   without it they're for the device's current timezone
+ */
+export function wallClock(date, utcOffset) {
+  const d = new Date(date);
+  if (utcOffset == null || !Number.isFinite(utcOffset)) {
+    return { year: d.getFullYear(), month: d.getMonth(), day: d.getDate(), hour: d.getHours() };
+  }
+
+  const shifted = new Date(d.getTime() + utcOffset * 60000);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth(),
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+  };
+}
+
+/**
+ * toDateKey(date, options?)
+ * - options.dayStartHour: hour (0-23) the tracking day begins; times before it count toward
+ *   the previous day (e.g. 4 => a 2 AM glass belongs to yesterday)
+ * - options.utcOffset: minutes east of UTC to read the wall clock in (see wallClock)
+ * - the day-start rollback works on wall-clock hours, not elapsed time, so DST switches
+ *   (23/25-hour days) never move an entry to a different day
+ */
+export function toDateKey(date, { dayStartHour = 0, utcOffset } = {}) {
+  const { year, month, day, hour } = wallClock(date, utcOffset);
+  return formatDateKey(year, month, hour < dayStartHour ? day - 1 : day);
+}
+
+/**
+ * entryDateKey(entry, dayStartHour?)
+ * - the day an entry counts toward, using the offset recorded when it was logged so that
+ *   travelling to another timezone doesn't move past entries between days
+ */
+export function entryDateKey(entry, dayStartHour = 0) {
+  return toDateKey(entry.createdAt, { dayStartHour, utcOffset: entry.utcOffset });
+}
+
+// local Date for a 'YYYY-MM-DD' key (noon, so formatting never lands on a neighbouring day)
+export function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day, 12);
+}
+
+// key `days` calendar days before/after the given key
+export function shiftDateKey(key, days) {
+  const [year, month, day] = key.split('-').map(Number);
+  return formatDateKey(year, month - 1, day + days);
+}
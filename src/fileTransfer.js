@@ -0,0 +1,41 @@
+// File I/O for backups: write a file and hand it to the native share sheet, or let the user
+// pick a file to import
+// Context (#): backup.js builds/parses the contents; this file only touches the device
+
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+
+import { t } from './i18n';
+
+/**
+ * shareFile(name, contents, mimeType)
+ * - writes `contents` to a cache file and opens the share sheet for it
+ * - throws if sharing isn't available on this device
+ */
+export async function shareFile(name, contents, mimeType) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error(t('backupScreen.noSharing'));
+  }
+
+  const file = new File(Paths.cache, name);
+  file.create({ overwrite: true });
+  file.write(contents);
+
+  await Sharing.shareAsync(file.uri, { mimeType, dialogTitle: t('backupScreen.shareTitle') });
+}
+
+/**
+ * pickTextFile()
+ * - resolves to { name, text } for the chosen JSON/CSV file, or null if the user cancelled
+ */
+export async function pickTextFile() {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['application/json', 'text/csv', 'text/comma-separated-values', 'text/plain'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets?.length) return null;
+
+  const asset = result.assets[0];
+  return { name: asset.name, text: await new File(asset.uri).text() };
+}
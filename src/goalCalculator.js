@@ -0,0 +1,96 @@
+// Personalized goal suggestion from the optional profile in settings
+// Context (#): pure functions only; the goal modal shows suggestGoal(settings.profile) next to the
+// manual input and the user decides whether to use it. Everything here is in fl oz
+
+import { formatNumber, t } from './i18n';
+
+// one pound is this many kilograms
+const KG_PER_LB = 0.45359237;
+
+// baseline: half an ounce of fluid per pound of body weight
+const OUNCES_PER_LB = 0.5;
+
+// extra fluid on top of the weight baseline, per option; option names are translated
+// (locales: profile.<field>.<id>), see optionLabel
+export const ACTIVITY_LEVELS = [
+  { id: 'sedentary', extraOunces: 0 },
+  { id: 'light', extraOunces: 12 },
+  { id: 'moderate', extraOunces: 24 },
+  { id: 'very', extraOunces: 36 },
+];
+
+export const CLIMATES = [
+  { id: 'temperate', extraOunces: 0 },
+  { id: 'warm', extraOunces: 8 },
+  { id: 'hot', extraOunces: 16 },
+];
+
+export const LIFE_STAGES = [
+  { id: 'none', extraOunces: 0 },
+  { id: 'pregnant', extraOunces: 10 },
+  { id: 'nursing', extraOunces: 32 },
+];
+
+// name of an option for a profile field ('activity', 'climate' or 'lifeStage')
+export function optionLabel(field, id) {
+  return t(`profile.${field}.${id}`);
+}
+
+export const WEIGHT_UNITS = ['lb', 'kg'];
+
+// weight null = no profile yet (no suggestion)
+export const DEFAULT_PROFILE = {
+  weight: null,
+  weightUnit: 'lb',
+  activity: 'sedentary',
+  climate: 'temperate',
+  lifeStage: 'none',
+};
+
+const hasOption = (options, id) => options.some(o => o.id === id);
+
+// true when every field holds a known option and the weight is empty or plausible
+export function isValidProfile(p) {
+  if (!p || typeof p !== 'object') return false;
+  const weightOk = p.weight === null || (typeof p.weight === 'number' && p.weight > 0 && p.weight < 1500);
+  return (
+    weightOk
+    && WEIGHT_UNITS.includes(p.weightUnit)
+    && hasOption(ACTIVITY_LEVELS, p.activity)
+    && hasOption(CLIMATES, p.climate)
+    && hasOption(LIFE_STAGES, p.lifeStage)
+  );
+}
+
+// body weight in pounds
+export function weightInPounds(weight, weightUnit) {
+  return weightUnit === 'kg' ? weight / KG_PER_LB : weight;
+}
+
+/**
+ * suggestGoal(profile)
+ * - { ounces, steps } or null when there's no weight to start from
+ * - steps is the explanation: [{ label, ounces }] whose ounces add up to the suggestion; options
+ *   that add nothing are left out
+ * - rounded to whole ounces
+ */
+export function suggestGoal(profile) {
+  if (!isValidProfile(profile) || profile.weight == null) return null;
+
+  const base = weightInPounds(profile.weight, profile.weightUnit) * OUNCES_PER_LB;
+  const steps = [{
+    label: t('profile.baseStep', { weight: formatNumber(profile.weight), unit: profile.weightUnit }),
+    ounces: Math.round(base),
+  }];
+
+  [
+    ['activity', ACTIVITY_LEVELS],
+    ['climate', CLIMATES],
+    ['lifeStage', LIFE_STAGES],
+  ].forEach(([field, options]) => {
+    const option = options.find(o => o.id === profile[field]);
+    if (option.extraOunces) steps.push({ label: optionLabel(field, option.id), ounces: option.extraOunces });
+  });
+
+  return { ounces: steps.reduce((sum, s) => sum + s.ounces, 0), steps };
+}
@@ -0,0 +1,66 @@
+// Goal history: every goal change is kept with the day it took effect, so past days are
+// judged against the goal that applied to them rather than today's goal
+// Context (#): state.goalHistory is a list of { id, ounces, effectiveDate, changedAt, reason }
+// sorted by effectiveDate; the "current goal" is just goalForDay(history, today)
+
+/**
+ * goalForDay(history, key)
+ * - goal (ounces) in effect on day `key`, or null if no goal had been set by then
+ */
+export function goalForDay(history, key) {
+  let goal = null;
+  for (const record of history) {
+    if (record.effectiveDate > key) break;
+    goal = record.ounces;
+  }
+  return goal;
+}
+
+/**
+ * setGoal(history, { ounces, effectiveDate, reason, changedAt? })
+ * - returns a new history with the change applied from effectiveDate on; a second change on
+ *   the same day replaces the first (the day only ever had one goal)
+ * - no-op when the goal in effect that day is already `ounces`
+ */
+export function setGoal(history, { ounces, effectiveDate, reason = '', changedAt = new Date().toISOString() }) {
+  if (goalForDay(history, effectiveDate) === ounces) return history;
+
+  const record = {
+    id: `${effectiveDate}-${Date.parse(changedAt)}`,
+    ounces,
+    effectiveDate,
+    changedAt,
+    reason: reason.trim(),
+  };
+
+  return [...history.filter(r => r.effectiveDate !== effectiveDate), record]
+    .sort((a, b) => (a.effectiveDate < b.effectiveDate ? -1 : a.effectiveDate > b.effectiveDate ? 1 : 0));
+}
+
+// a goal history seeded from a single pre-history goal (migrations and old backups)
+export function goalHistoryFromGoal(goalOunces, effectiveDate) {
+  if (goalOunces == null) return [];
+  return [{
+    id: `${effectiveDate}-initial`,
+    ounces: goalOunces,
+    effectiveDate,
+    changedAt: new Date().toISOString(),
+    reason: '',
+  }];
+}
+
+// keep only well-formed records, sorted by effective date
+export function sanitizeGoalHistory(list) {
+  if (!Array.isArray(list)) return [];
+
+  return list
+    .filter(r => r && /^\d{4}-\d{2}-\d{2}$/.test(r.effectiveDate) && Number(r.ounces) > 0)
+    .map(r => ({
+      id: String(r.id ?? r.effectiveDate),
+      ounces: Number(r.ounces),
+      effectiveDate: r.effectiveDate,
+      changedAt: typeof r.changedAt === 'string' ? r.changedAt : new Date().toISOString(),
+      reason: typeof r.reason === 'string' ? r.reason : '',
+    }))
+    .sort((a, b) => (a.effectiveDate < b.effectiveDate ? -1 : a.effectiveDate > b.effectiveDate ? 1 : 0));
+}
@@ -0,0 +1,69 @@
+// Household view: every member's progress side by side (calendar "Household" mode), and the
+// reminders the device schedules for all of them
+// Context (#): pure functions over the stored members (see storage.createMember); each member's
+// days use their own day start hour, goal history and workouts, drinks are shared
+
+import { totalsByDay } from './stats';
+import { goalForDay } from './goals';
+import { bonusByDay } from './activities';
+import { toDateKey } from './dates';
+import { planReminders } from './reminders';
+
+/**
+ * householdSummaries(members, beverages)
+ * - [{ id, name, totals, targetFor }] per member: totals is { 'YYYY-MM-DD': hydrated ounces }
+ *   and targetFor(key) that day's goal + workout bonus (null when no goal applied)
+ */
+export function householdSummaries(members, beverages) {
+  return members.map(m => {
+    const { dayStartHour } = m.settings;
+    const bonus = bonusByDay(m.activities, dayStartHour);
+    return {
+      id: m.id,
+      name: m.name,
+      totals: totalsByDay(m.entries, { beverages, dayStartHour }),
+      targetFor: key => {
+        const goal = goalForDay(m.goalHistory, key);
+        return goal != null ? goal + (bonus[key] || 0) : null;
+      },
+    };
+  });
+}
+
+// [{ id, name, total, target, reached }] for day `key`
+export function householdDay(summaries, key) {
+  return summaries.map(s => {
+    const total = s.totals[key] || 0;
+    const target = s.targetFor(key);
+    return { id: s.id, name: s.name, total, target, reached: target != null && total >= target };
+  });
+}
+
+/**
+ * householdReminders(members, beverages, now)
+ * - [{ date, name }] soonest first: each member's reminders planned with their own reminder
+ *   settings, day start, today's target and total (see reminders.planReminders)
+ * - name says whose reminder it is, null when there's only one profile to remind
+ */
+export function householdReminders(members, beverages, now) {
+  const labelled = members.length > 1;
+  return householdSummaries(members, beverages)
+    .flatMap((s, i) => {
+      const { reminders, dayStartHour } = members[i].settings;
+      const todayKey = toDateKey(now, { dayStartHour });
+      return planReminders({
+        now,
+        settings: reminders,
+        goalOunces: s.targetFor(todayKey),
+        totalToday: s.totals[todayKey] || 0,
+        dayStartHour,
+      }).map(date => ({ date, name: labelled ? s.name : null }));
+    })
+    .sort((a, b) => a.date - b.date);
+}
+
+// share (0..1) of the members with a goal that day who reached it; null when nobody had a goal
+export function householdCompletion(summaries, key) {
+  const withGoal = householdDay(summaries, key).filter(d => d.target != null);
+  return withGoal.length ? withGoal.filter(d => d.reached).length / withGoal.length : null;
+}
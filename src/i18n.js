@@ -0,0 +1,132 @@
+// Translations and locale-aware formatting
+// Context (#): App calls setLanguage() with the active profile's settings before rendering, so
+// t() and the format helpers below can be used anywhere (screens and the pure modules that build
+// labels) without threading the language through every prop. Strings live in src/locales/*.js
+
+import { getCalendars, getLocales } from 'expo-localization';
+
+import en from './locales/en';
+import es from './locales/es';
+
+// translations by language code; `name` is shown in the language picker in its own language
+export const LANGUAGES = {
+  en: { name: 'English', strings: en },
+  es: { name: 'Español', strings: es },
+};
+
+// settings.language: 'system' follows the device, otherwise a LANGUAGES key
+export const DEFAULT_LANGUAGE = 'system';
+
+export function isValidLanguage(language) {
+  return language === DEFAULT_LANGUAGE || Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+}
+
+// settings.firstDayOfWeek: null follows the device calendar, otherwise 0 (Sunday) .. 6 (Saturday)
+export function isValidFirstDayOfWeek(day) {
+  return day === null || (Number.isInteger(day) && day >= 0 && day <= 6);
+}
+
+// the device's preferred locale, e.g. { languageCode: 'es', languageTag: 'es-MX' }
+function deviceLocale() {
+  try {
+    return getLocales()[0] || null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * resolveLanguage(preference)
+ * - { language, locale } for a settings.language value: the language picks the strings, the
+ *   locale (BCP 47 tag) formats dates and numbers; the device's region is kept when its
+ *   language matches (Spanish on an 'es-MX' phone formats like Mexico)
+ */
+export function resolveLanguage(preference) {
+  const device = deviceLocale();
+  const wanted = preference === DEFAULT_LANGUAGE || !LANGUAGES[preference] ? device?.languageCode : preference;
+  const language = LANGUAGES[wanted] ? wanted : 'en';
+  const locale = device && device.languageCode === language ? device.languageTag : language;
+  return { language, locale };
+}
+
+let current = resolveLanguage(DEFAULT_LANGUAGE);
+
+// switch every t() / format call to a settings.language value
+export function setLanguage(preference) {
+  current = resolveLanguage(preference);
+}
+
+export function getLanguage() {
+  return current.language;
+}
+
+export function getLocale() {
+  return current.locale;
+}
+
+// value at a dotted path ('home.title') in a strings object
+function lookup(strings, key) {
+  return key.split('.').reduce((node, part) => (node != null ? node[part] : undefined), strings);
+}
+
+/**
+ * t(key, params?)
+ * - the string for `key` in the current language, falling back to English, then the key itself
+ * - {name} placeholders are replaced from params; strings given as { one, other } are picked
+ *   by params.count
+ */
+export function t(key, params = {}) {
+  let value = lookup(LANGUAGES[current.language].strings, key);
+  if (value == null) value = lookup(en, key);
+  if (value == null) return key;
+  if (typeof value === 'object') value = params.count === 1 ? value.one : value.other;
+
+  return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+}
+
+// number in the current locale, e.g. 1234.5 -> '1,234.5' / '1234,5'
+export function formatNumber(value, options) {
+  return Number(value).toLocaleString(current.locale, options);
+}
+
+// date (Date, ISO string or timestamp) in the current locale, date parts only
+export function formatDate(date, options) {
+  return new Date(date).toLocaleDateString(current.locale, options);
+}
+
+// date + time in the current locale
+export function formatDateTime(date, options) {
+  return new Date(date).toLocaleString(current.locale, options);
+}
+
+// time of day in the current locale, e.g. '8:05 AM' / '8:05'
+export function formatTime(date) {
+  return new Date(date).toLocaleTimeString(current.locale, { hour: 'numeric', minute: '2-digit' });
+}
+
+// first day of the week on the device calendar (0 = Sunday), Sunday if unknown
+export function deviceFirstDayOfWeek() {
+  try {
+    const weekday = getCalendars()[0]?.firstWeekday; // 1 = Sunday .. 7 = Saturday
+    return Number.isInteger(weekday) ? (weekday - 1) % 7 : 0;
+  } catch (err) {
+    return 0;
+  }
+}
+
+// settings.firstDayOfWeek with null resolved to the device's
+export function firstDayOfWeek(setting) {
+  return setting ?? deviceFirstDayOfWeek();
+}
+
+/**
+ * weekdayNames(format?, firstDay?)
+ * - the seven weekday names in the current locale ('short' => 'Mon', 'long' => 'Monday'),
+ *   starting at firstDay (0 = Sunday)
+ */
+export function weekdayNames(format = 'short', firstDay = 0) {
+  // Jan 4 2026 is a Sunday
+  return Array.from({ length: 7 }, (_, i) =>
+    new Date(2026, 0, 4 + ((firstDay + i) % 7), 12).toLocaleDateString(current.locale, { weekday: format })
+  );
+}
@@ -0,0 +1,63 @@
+// Caffeine and alcohol: what entries carry besides their volume, the daily caffeine limit and
+// the extra water alcohol calls for
+// Context (#): an entry can have caffeineMg (mg) and alcoholDrinks (standard drinks), both
+// optional and typed in the Add/Edit modal; an entry without its own caffeineMg counts what its
+// drink has (beverages.entryCaffeine). settings.intake holds the caffeine limit (the calendar
+// marks days past it) and how much water each standard drink adds to what's left to drink today
+
+import { entryDateKey } from './dates';
+import { entryCaffeine } from './beverages';
+import { formatNumber, t } from './i18n';
+
+// about the most caffeine advised for an adult in a day, and a glass of water per drink (fl oz)
+export const DEFAULT_INTAKE = { caffeineLimitMg: 400, alcoholOffsetOunces: 8 };
+
+// an entry's caffeineMg / alcoholDrinks: not logged (null) or a number of at least 0
+export function isIntakeAmount(value) {
+  return value == null || (typeof value === 'number' && Number.isFinite(value) && value >= 0);
+}
+
+// stored copy of an entry's caffeineMg / alcoholDrinks, null when missing or unusable
+export function sanitizeIntakeAmount(value) {
+  const amount = value == null || value === '' ? NaN : Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+// e.g. '1 standard drink', '1.5 standard drinks'
+export function standardDrinks(count) {
+  return t('intake.drinks', { count, drinks: formatNumber(count) });
+}
+
+/**
+ * intakeByDay(entries, { beverages, dayStartHour })
+ * - { 'YYYY-MM-DD': { caffeineMg, alcoholDrinks } } for every day with entries (local days, as
+ *   stats.totalsByDay)
+ */
+export function intakeByDay(entries, { beverages, dayStartHour = 0 }) {
+  return entries.reduce((acc, e) => {
+    const key = entryDateKey(e, dayStartHour);
+    const day = acc[key] || (acc[key] = { caffeineMg: 0, alcoholDrinks: 0 });
+    day.caffeineMg += entryCaffeine(e, beverages);
+    day.alcoholDrinks += e.alcoholDrinks || 0;
+    return acc;
+  }, {});
+}
+
+// extra ounces of water a day's standard drinks add to its remaining target
+export function alcoholOffset(alcoholDrinks, intake) {
+  return (alcoholDrinks || 0) * intake.alcoholOffsetOunces;
+}
+
+// whether a day's caffeine (mg) went past the limit
+export function overCaffeineLimit(caffeineMg, intake) {
+  return caffeineMg > intake.caffeineLimitMg;
+}
+
+// stored settings.intake: a positive caffeine limit, and an offset of 0 (off) or more ounces
+export function isValidIntake(intake) {
+  return intake != null
+    && typeof intake === 'object'
+    && typeof intake.caffeineLimitMg === 'number' && Number.isFinite(intake.caffeineLimitMg) && intake.caffeineLimitMg > 0
+    && typeof intake.alcoholOffsetOunces === 'number' && Number.isFinite(intake.alcoholOffsetOunces)
+    && intake.alcoholOffsetOunces >= 0;
+}
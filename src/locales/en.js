@@ -0,0 +1,485 @@
+// English strings (the fallback for anything missing in another language)
+// Context (#): keys are grouped by screen/module; {name} is a placeholder filled by i18n.t, and
+// { one, other } strings are picked by the `count` param
+
+export default {
+  common: {
+    back: 'Back',
+    cancel: 'Cancel',
+    save: 'Save',
+    add: 'Add',
+    edit: 'Edit',
+    delete: 'Delete',
+    remove: 'Remove',
+    done: 'Done',
+    use: 'Use',
+    rename: 'Rename',
+    restore: 'Restore',
+    example: 'e.g. {value}',
+  },
+
+  units: {
+    oz: { label: 'fl oz', short: 'oz', spoken: { one: 'ounce', other: 'ounces' } },
+    ml: { label: 'mL', short: 'mL', spoken: { one: 'milliliter', other: 'milliliters' } },
+    l: { label: 'L', short: 'L', spoken: { one: 'liter', other: 'liters' } },
+    cup: { label: 'cups', short: { one: 'cup', other: 'cups' }, spoken: { one: 'cup', other: 'cups' } },
+  },
+
+  timeOfDay: {
+    Morning: 'Morning',
+    Afternoon: 'Afternoon',
+    Evening: 'Evening',
+    Night: 'Night',
+    auto: 'auto',
+  },
+
+  beverages: {
+    water: 'Water',
+    sparkling: 'Sparkling water',
+    tea: 'Tea',
+    coffee: 'Coffee',
+    milk: 'Milk',
+    electrolyte: 'Electrolyte drink',
+    juice: 'Juice',
+    soda: 'Soda',
+  },
+
+  presets: {
+    bottle: 'Bottle',
+    glass: 'Glass',
+    mug: 'Mug',
+  },
+
+  activities: {
+    types: {
+      walk: 'Walking',
+      run: 'Running',
+      cycle: 'Cycling',
+      swim: 'Swimming',
+      gym: 'Gym',
+      sports: 'Sports',
+      yoga: 'Yoga',
+      other: 'Other',
+    },
+    intensities: {
+      light: 'Light',
+      moderate: 'Moderate',
+      hard: 'Hard',
+    },
+  },
+
+  profile: {
+    activity: {
+      sedentary: 'Sedentary',
+      light: 'Lightly active',
+      moderate: 'Moderately active',
+      very: 'Very active',
+    },
+    climate: {
+      temperate: 'Mild climate',
+      warm: 'Warm climate',
+      hot: 'Hot or humid climate',
+    },
+    lifeStage: {
+      none: 'Neither',
+      pregnant: 'Pregnant',
+      nursing: 'Nursing',
+    },
+    baseStep: 'Body weight ({weight} {unit}) × ½ oz per lb',
+  },
+
+  changeLog: {
+    created: 'Created',
+    edited: 'Edited',
+    deleted: 'Deleted',
+    restored: 'Restored',
+  },
+
+  achievements: {
+    'first-goal': { title: 'On target', description: 'Reach your daily goal for the first time.' },
+    'streak-7': { title: 'Week streak', description: 'Reach your goal 7 days in a row.' },
+    'first-100': { title: 'Century', description: 'Drink 100 oz (about 3 L) in a single day.' },
+    'early-week': { title: 'Early bird', description: 'Log a drink before 9 AM every day for a week.' },
+    'perfect-month': { title: 'Perfect month', description: 'Reach your goal on every day of a calendar month.' },
+  },
+
+  backup: {
+    errors: {
+      empty: 'File is empty',
+      header: 'Header needs date + time (or createdAt) and ounces (or amount + unit) columns',
+      date: 'Unreadable date/time',
+      amount: 'Amount must be a positive number',
+      timeOfDay: 'Unknown time of day "{value}"',
+      intake: '{column} must be empty or a number of at least 0, not "{value}"',
+      unreadable: 'Not a readable backup: {reason}',
+      entry: 'Entry {number} is missing a valid amount, unit or date',
+    },
+  },
+
+  home: {
+    title: 'Hydration Tracker',
+    goal: '{volume} goal',
+    setGoal: 'Set goal',
+    previousDay: 'Previous day',
+    nextDay: 'Next day',
+    today: 'Today',
+    calendar: 'View Calendar',
+    stats: 'Stats',
+    todayIntake: "Today's intake ({count})",
+    intake: 'Intake ({count})',
+    emptyToday: 'No entries yet — add your first glass.',
+    emptyDay: 'Nothing logged this day.',
+    totalToday: 'Total today',
+    total: 'Total',
+    noGoal: 'No goal set',
+    remaining: '{volume} away from goal',
+    goalReached: 'Goal reached!',
+    addWorkout: '+ Workout',
+    quickAdd: 'Quick add {name}',
+    deleteMessage: 'You can restore it from Recently deleted for {days} days.',
+    dataResetTitle: 'Data reset',
+    dataResetMessage: 'Your saved history could not be read, so the app started fresh.',
+  },
+
+  stats: {
+    title: 'Statistics',
+    weekAverage: '7-day average',
+    monthAverage: '30-day average',
+    currentStreak: 'Current streak (days)',
+    longestStreak: 'Longest streak (days)',
+    noGoal: 'Set a goal to track streaks',
+    days: { one: '{count} day', other: '{count} days' },
+    byTimeOfDay: 'Average by time of day',
+    weekdays: 'Weekdays',
+    best: 'Best: {day}',
+    worst: 'Worst: {day}',
+    empty: 'No entries yet.',
+  },
+
+  entry: {
+    addTitle: 'Add Water Intake',
+    editTitle: 'Edit Water Intake',
+    amount: 'Amount ({unit})',
+    invalidTitle: 'Invalid input',
+    invalidAmount: 'Please enter a positive amount in {unit}.',
+    drink: 'Drink',
+    when: 'When',
+    timeOfDay: 'Time of day',
+    autoTimeOfDay: 'Auto ({bucket})',
+    countsAs: 'Counts as {volume}',
+    editLabel: 'Edit entry',
+    deleteLabel: 'Delete entry',
+  },
+
+  goal: {
+    title: 'Daily Goal ({unit})',
+    suggested: 'Suggested: {volume}',
+    suggestedReason: 'Suggested from profile',
+    changeDetails: 'Change your details',
+    getSuggestion: 'Get a suggestion from your weight and activity',
+    reason: 'Reason (optional)',
+    reasonExample: 'e.g. started running',
+    appliesFromToday: 'Applies from today; earlier days keep the goal they had.',
+    viewHistory: 'View goal history',
+  },
+
+  workout: {
+    title: 'Log Workout',
+    type: 'Type',
+    duration: 'Duration (minutes)',
+    intensity: 'Intensity',
+    invalidTitle: 'Invalid duration',
+    invalidMinutes: 'Please enter a number of minutes between 1 and {max}.',
+    adds: "Adds {volume} to the day's target",
+    hint: "Workouts add to the day's target",
+    baseGoal: 'Base goal',
+    notSet: 'Not set',
+    line: '{type} • {minutes} min, {intensity}',
+    removeLabel: 'Remove workout',
+    removeMessage: "Remove this workout and its bonus from the day's target?",
+    target: 'Target',
+  },
+
+  undo: {
+    undo: 'Undo',
+    undoLabel: 'Undo {action}',
+    redoLabel: 'Redo {action}',
+    nothingToUndo: 'Nothing to undo',
+    nothingToRedo: 'Nothing to redo',
+    addEntry: 'add entry',
+    editEntry: 'edit entry',
+    reclassify: 're-classify entries',
+    deleteEntry: 'delete entry',
+    restoreEntry: 'restore entry',
+    goalChange: 'goal change',
+    added: 'Added {name}',
+  },
+
+  achievementsScreen: {
+    title: 'Achievements',
+    summary: '{earned} of {total} earned. Badges follow your history, so editing old entries can earn or lose them.',
+    earned: 'Earned {date}',
+    unlocked: 'Achievement unlocked!',
+    unlockedAnnouncement: 'Achievement unlocked: {title}',
+  },
+
+  gauge: {
+    label: '{percent} of daily goal, {total} of {target}',
+    over: '+{percent} over goal',
+    behind: '{volume} behind pace',
+    behindLabel: 'behind pace',
+    onPace: 'On pace',
+  },
+
+  calendar: {
+    weekTitle: '{from} – {to}',
+    previous: { month: 'Previous month', week: 'Previous week' },
+    next: { month: 'Next month', week: 'Next week' },
+    month: 'Month',
+    week: 'Week',
+    rings: 'Rings',
+    heatmap: 'Heatmap',
+    mine: 'Mine',
+    household: 'Household',
+    rangeEndHint: 'Tap the last day of the range',
+    rangeTotal: { one: '{count} day: {total} total', other: '{count} days: {total} total' },
+    rangeAverage: '{average} a day on average',
+    rangeHitRate: { one: 'goal hit {reached} / {count} day ({percent})', other: 'goal hit {reached} / {count} days ({percent})' },
+    clear: 'Clear',
+    overCaffeine: 'Over the caffeine limit ({limit} mg)',
+    householdHint: "Tap a day to see everyone's progress",
+    progress: { one: "You've reached your goal {reached} / {count} day", other: "You've reached your goal {reached} / {count} days" },
+    a11y: {
+      amountOfGoal: '{total} of {goal}',
+      reached: 'goal reached',
+      notReached: 'goal not reached',
+      noGoal: 'no goal set',
+      today: 'today',
+      inRange: 'in selected range',
+      overCaffeine: 'over the caffeine limit',
+      household: { one: '{reached} of {count} person reached their goal', other: '{reached} of {count} people reached their goal' },
+      hint: 'Long press to start selecting a range',
+      rangeEndHint: 'Selects the last day of the range',
+    },
+  },
+
+  day: {
+    caffeine: '{mg} mg caffeine',
+    sugar: '{g} g sugar',
+    short: '{volume} short of goal',
+  },
+
+  deleted: {
+    title: 'Recently deleted',
+    logged: 'Logged {date}',
+    daysLeft: { one: '{count} day left', other: '{count} days left' },
+    restoreLabel: 'Restore entry',
+    empty: 'Nothing deleted in the last {days} days.',
+  },
+
+  settings: {
+    title: 'Settings',
+    language: 'Language',
+    systemLanguage: 'System',
+    weekStart: 'Week starts on',
+    weekStartAuto: 'Auto',
+    theme: 'Theme',
+    themes: { system: 'System', light: 'Light', dark: 'Dark' },
+    highContrast: 'High contrast',
+    highContrastHint: 'Stronger text, borders and colors',
+    accent: 'Accent color',
+    accents: { blue: 'Blue', teal: 'Teal', green: 'Green', purple: 'Purple', pink: 'Pink', orange: 'Orange' },
+    midnight: '{time} (midnight)',
+    dayStart: 'Day starts at',
+    dayStartHint: 'Drinks before this time count toward the previous day',
+    earlier: 'Earlier',
+    later: 'Later',
+    stepEarlier: '{name} earlier',
+    stepLater: '{name} later',
+    timeOfDay: 'Time of day',
+    timeOfDayHint: 'When each part of the day starts',
+    reclassifyAll: 'Re-classify all entries',
+    reclassifyTitle: 'Re-classify entries',
+    reclassifyMessage: 'Replace every hand-picked time of day with the one matching when the drink was logged?',
+    reclassify: 'Re-classify',
+    reminders: 'Reminders',
+    remindersHint: "Set for each profile. Skipped while you're on pace, stop once the goal is reached",
+    notificationsOffTitle: 'Notifications are off',
+    notificationsOffMessage: 'Allow notifications for Hydration Tracker in your device settings to get reminders.',
+    every: 'Every',
+    minutes: { one: '{count} min', other: '{count} min' },
+    lessOften: 'Less often',
+    moreOften: 'More often',
+    from: 'From',
+    until: 'Until',
+    units: 'Units',
+    limits: 'Sanity checks',
+    limitsHint: 'Saving more than this asks you to confirm, to catch typos',
+    limitFields: { entryOunces: 'One drink ({unit})', dayOunces: 'A whole day ({unit})' },
+    intake: 'Caffeine & alcohol',
+    intakeHint: 'Days over the caffeine limit are marked on the calendar; each alcoholic drink adds water to the day (0 turns this off)',
+    intakeFields: { caffeineLimitMg: 'Caffeine a day (mg)', alcoholOffsetOunces: 'Water per drink ({unit})' },
+    profile: 'About you',
+    profileHint: 'Weight, activity and climate for a suggested goal',
+    drinks: 'Drinks',
+    drinksHint: 'Drink types and how much each one hydrates',
+    presets: 'Quick-add presets',
+    presetsHint: 'Your usual bottle, glass or mug',
+    backup: 'Backup & restore',
+    backupHint: 'Export to JSON or CSV, or import from another phone',
+    deletedHint: 'Restore entries deleted in the last {days} days',
+    manage: 'Manage',
+    open: 'Open',
+  },
+
+  goalHistory: {
+    title: 'Goal history',
+    changed: 'From {effective} • changed {changed}',
+    empty: 'No goal set yet.',
+  },
+
+  household: {
+    profile: 'Profile',
+    switcherLabel: 'Profile: {name}. Switch profile',
+    switchTitle: 'Switch profile',
+    manage: 'Manage profiles',
+    title: 'Profiles',
+    inUse: 'In use',
+    add: 'Add profile',
+    addTitle: 'Add Profile',
+    renameTitle: 'Rename Profile',
+    name: 'Name',
+    namePlaceholder: 'e.g. Sam',
+    missingNameTitle: 'Missing name',
+    missingNameMessage: 'Please give the profile a name.',
+    deleteTitle: 'Delete profile',
+    deleteMessage: `Delete "{name}" and all of their entries? This can't be undone.`,
+  },
+
+  profileScreen: {
+    hint: 'Used only to suggest a daily goal. Leave the weight empty to turn suggestions off.',
+    weight: 'Body weight',
+    activity: 'Activity level',
+    climate: 'Climate',
+    lifeStage: 'Pregnant or nursing',
+    suggested: 'Suggested goal: {volume}',
+    noWeight: 'Enter your weight to see a suggested goal.',
+  },
+
+  drinks: {
+    hint: 'Caffeine and sugar are per 8 fl oz.',
+    factor: 'Hydration × {factor}',
+    caffeine: '{mg} mg caffeine',
+    sugar: '{g} g sugar',
+    hidden: '{name} (hidden)',
+    hide: 'Hide',
+    add: 'Add drink',
+    addTitle: 'Add Drink',
+    editTitle: 'Edit Drink',
+    name: 'Name',
+    namePlaceholder: 'e.g. Green tea',
+    factorLabel: 'Hydration factor (water = 1)',
+    caffeineLabel: 'Caffeine, mg (optional)',
+    sugarLabel: 'Sugar, g (optional)',
+    missingNameTitle: 'Missing name',
+    missingNameMessage: 'Please give the drink a name.',
+    invalidFactorTitle: 'Invalid factor',
+    invalidFactorMessage: 'Hydration factor should be between 0 and 2 (water is 1).',
+    invalidNutritionTitle: 'Invalid amount',
+    invalidNutritionMessage: 'Caffeine and sugar should be numbers of 0 or more, or left empty.',
+  },
+
+  presetsScreen: {
+    empty: 'No presets — add your usual bottle or glass.',
+    add: 'Add preset',
+    addTitle: 'Add Preset',
+    name: 'Name',
+    namePlaceholder: 'e.g. Bottle',
+    moveUp: 'Move {name} up',
+    moveDown: 'Move {name} down',
+    missingNameTitle: 'Missing name',
+    missingNameMessage: 'Please give the preset a name, like "Bottle".',
+    deleteTitle: 'Delete preset',
+    deleteMessage: 'Remove "{name}" from quick add?',
+  },
+
+  backupScreen: {
+    exportFailed: 'Export failed',
+    importFailed: 'Import failed',
+    importComplete: 'Import complete',
+    entriesAdded: { one: '{count} entry added.', other: '{count} entries added.' },
+    toAdd: { one: '{count} new entry to add', other: '{count} new entries to add' },
+    duplicates: { one: '{count} already in your history (skipped)', other: '{count} already in your history (skipped)' },
+    workouts: { one: '{count} workout to add', other: '{count} workouts to add' },
+    newDrinks: 'New drinks: {names}',
+    errors: { one: '{count} row could not be read', other: '{count} rows could not be read' },
+    line: 'Line {line}: {message}',
+    restoreSettings: 'Also restore goal and settings',
+    restoreSettingsHint: 'Replaces your current goal, settings and presets',
+    noUndo: "An import can't be undone, and it clears the undo history",
+    import: 'Import',
+    importHint: "A JSON backup or CSV file; you'll see a preview first",
+    chooseFile: 'Choose file',
+    json: 'Full backup (JSON)',
+    jsonHint: 'Entries, workouts, goal, settings, drinks and presets',
+    csv: 'Spreadsheet (CSV)',
+    csvHint: 'One row per drink',
+    export: 'Export',
+    shareTitle: 'Export hydration history',
+    noSharing: 'Sharing is not available on this device',
+  },
+
+  notifications: {
+    channel: 'Hydration reminders',
+    title: 'Time for some water',
+    titleFor: 'Time for some water, {name}',
+    body: 'A glass now keeps you on track for your daily goal.',
+  },
+
+  tabs: {
+    home: 'Today',
+    calendar: 'Calendar',
+    stats: 'Stats',
+    settings: 'Settings',
+  },
+
+  validation: {
+    empty: 'Enter an amount in {unit}.',
+    invalid: "That isn't a number. Try something like {example}.",
+    ambiguous: 'That could be a decimal or a thousand. Use the separator for decimals only, like {example}.',
+    notPositive: 'The amount has to be more than 0.',
+    negative: "This can't be less than 0.",
+    entryHigh: '{volume} in one drink is more than {limit}.',
+    dayHigh: 'That brings the day to {volume}, above {limit}.',
+    goalHigh: 'A daily goal above {limit} is unusually high.',
+    caffeineHigh: 'That brings the day to {mg} mg caffeine, above your {limit} mg limit.',
+    tapAgain: 'Tap again to save it anyway.',
+    saveAnyway: 'Save anyway',
+    confirmTitle: 'Log {name}?',
+  },
+
+  quickLog: {
+    glass: 'Log a glass',
+    bottle: 'Log a bottle',
+  },
+
+  widget: {
+    title: 'Today',
+    progress: '{total} of {goal}',
+    noGoal: 'No goal set',
+    add: '+{volume}',
+  },
+
+  intake: {
+    caffeine: 'Caffeine (mg)',
+    usualCaffeine: 'About {mg} mg if left empty',
+    alcohol: 'Alcohol (standard drinks)',
+    alcoholHint: 'One standard drink is a beer, a glass of wine or a shot',
+    alcoholAdds: "Adds {volume} to the day's target",
+    optional: 'Optional',
+    none: 'none',
+    drinks: { one: '{drinks} standard drink', other: '{drinks} standard drinks' },
+    alcoholOffset: { one: 'Includes {volume} for {drinks} drink', other: 'Includes {volume} for {drinks} drinks' },
+    caffeineOver: '{mg} mg caffeine, over the {limit} mg limit',
+  },
+};
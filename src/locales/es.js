@@ -0,0 +1,483 @@
+// Spanish strings (same keys as en.js; anything missing falls back to English)
+
+export default {
+  common: {
+    back: 'Volver',
+    cancel: 'Cancelar',
+    save: 'Guardar',
+    add: 'Añadir',
+    edit: 'Editar',
+    delete: 'Eliminar',
+    remove: 'Quitar',
+    done: 'Listo',
+    use: 'Usar',
+    rename: 'Renombrar',
+    restore: 'Restaurar',
+    example: 'p. ej. {value}',
+  },
+
+  units: {
+    oz: { label: 'fl oz', short: 'oz', spoken: { one: 'onza', other: 'onzas' } },
+    ml: { label: 'mL', short: 'mL', spoken: { one: 'mililitro', other: 'mililitros' } },
+    l: { label: 'L', short: 'L', spoken: { one: 'litro', other: 'litros' } },
+    cup: { label: 'tazas', short: { one: 'taza', other: 'tazas' }, spoken: { one: 'taza', other: 'tazas' } },
+  },
+
+  timeOfDay: {
+    Morning: 'Mañana',
+    Afternoon: 'Tarde',
+    Evening: 'Atardecer',
+    Night: 'Noche',
+    auto: 'auto',
+  },
+
+  beverages: {
+    water: 'Agua',
+    sparkling: 'Agua con gas',
+    tea: 'Té',
+    coffee: 'Café',
+    milk: 'Leche',
+    electrolyte: 'Bebida isotónica',
+    juice: 'Zumo',
+    soda: 'Refresco',
+  },
+
+  presets: {
+    bottle: 'Botella',
+    glass: 'Vaso',
+    mug: 'Taza',
+  },
+
+  activities: {
+    types: {
+      walk: 'Caminar',
+      run: 'Correr',
+      cycle: 'Ciclismo',
+      swim: 'Natación',
+      gym: 'Gimnasio',
+      sports: 'Deportes',
+      yoga: 'Yoga',
+      other: 'Otro',
+    },
+    intensities: {
+      light: 'Suave',
+      moderate: 'Moderada',
+      hard: 'Intensa',
+    },
+  },
+
+  profile: {
+    activity: {
+      sedentary: 'Sedentario',
+      light: 'Poco activo',
+      moderate: 'Moderadamente activo',
+      very: 'Muy activo',
+    },
+    climate: {
+      temperate: 'Clima templado',
+      warm: 'Clima cálido',
+      hot: 'Clima caluroso o húmedo',
+    },
+    lifeStage: {
+      none: 'Ninguno',
+      pregnant: 'Embarazada',
+      nursing: 'Lactancia',
+    },
+    baseStep: 'Peso corporal ({weight} {unit}) × ½ oz por lb',
+  },
+
+  changeLog: {
+    created: 'Creada',
+    edited: 'Editada',
+    deleted: 'Eliminada',
+    restored: 'Restaurada',
+  },
+
+  achievements: {
+    'first-goal': { title: 'En el blanco', description: 'Alcanza tu objetivo diario por primera vez.' },
+    'streak-7': { title: 'Racha semanal', description: 'Alcanza tu objetivo 7 días seguidos.' },
+    'first-100': { title: 'Centenario', description: 'Bebe 100 oz (unos 3 L) en un solo día.' },
+    'early-week': { title: 'Madrugador', description: 'Registra una bebida antes de las 9:00 todos los días durante una semana.' },
+    'perfect-month': { title: 'Mes perfecto', description: 'Alcanza tu objetivo todos los días de un mes natural.' },
+  },
+
+  backup: {
+    errors: {
+      empty: 'El archivo está vacío',
+      header: 'La cabecera necesita columnas de fecha + hora (o createdAt) y onzas (o cantidad + unidad)',
+      date: 'Fecha u hora ilegible',
+      amount: 'La cantidad debe ser un número positivo',
+      timeOfDay: 'Momento del día desconocido "{value}"',
+      intake: '{column} debe estar vacío o ser un número mayor o igual que 0, no "{value}"',
+      unreadable: 'No es una copia de seguridad legible: {reason}',
+      entry: 'A la entrada {number} le falta una cantidad, unidad o fecha válida',
+    },
+  },
+
+  home: {
+    title: 'Control de hidratación',
+    goal: 'Objetivo: {volume}',
+    setGoal: 'Fijar objetivo',
+    previousDay: 'Día anterior',
+    nextDay: 'Día siguiente',
+    today: 'Hoy',
+    calendar: 'Ver calendario',
+    stats: 'Estadísticas',
+    todayIntake: 'Consumo de hoy ({count})',
+    intake: 'Consumo ({count})',
+    emptyToday: 'Aún no hay registros: añade tu primer vaso.',
+    emptyDay: 'No se registró nada este día.',
+    totalToday: 'Total de hoy',
+    total: 'Total',
+    noGoal: 'Sin objetivo',
+    remaining: 'Faltan {volume} para el objetivo',
+    goalReached: '¡Objetivo alcanzado!',
+    addWorkout: '+ Ejercicio',
+    quickAdd: 'Añadir rápido: {name}',
+    deleteMessage: 'Podrás restaurarla desde Eliminadas recientemente durante {days} días.',
+    dataResetTitle: 'Datos restablecidos',
+    dataResetMessage: 'No se pudo leer tu historial guardado, así que la app empezó de cero.',
+  },
+
+  stats: {
+    title: 'Estadísticas',
+    weekAverage: 'Media de 7 días',
+    monthAverage: 'Media de 30 días',
+    currentStreak: 'Racha actual (días)',
+    longestStreak: 'Racha más larga (días)',
+    noGoal: 'Fija un objetivo para seguir tus rachas',
+    days: { one: '{count} día', other: '{count} días' },
+    byTimeOfDay: 'Media por momento del día',
+    weekdays: 'Días de la semana',
+    best: 'Mejor: {day}',
+    worst: 'Peor: {day}',
+    empty: 'Aún no hay registros.',
+  },
+
+  entry: {
+    addTitle: 'Añadir consumo de agua',
+    editTitle: 'Editar consumo de agua',
+    amount: 'Cantidad ({unit})',
+    invalidTitle: 'Dato no válido',
+    invalidAmount: 'Introduce una cantidad positiva en {unit}.',
+    drink: 'Bebida',
+    when: 'Cuándo',
+    timeOfDay: 'Momento del día',
+    autoTimeOfDay: 'Auto ({bucket})',
+    countsAs: 'Cuenta como {volume}',
+    editLabel: 'Editar registro',
+    deleteLabel: 'Eliminar registro',
+  },
+
+  goal: {
+    title: 'Objetivo diario ({unit})',
+    suggested: 'Sugerido: {volume}',
+    suggestedReason: 'Sugerido según el perfil',
+    changeDetails: 'Cambiar tus datos',
+    getSuggestion: 'Obtén una sugerencia según tu peso y actividad',
+    reason: 'Motivo (opcional)',
+    reasonExample: 'p. ej. empecé a correr',
+    appliesFromToday: 'Se aplica desde hoy; los días anteriores conservan su objetivo.',
+    viewHistory: 'Ver historial de objetivos',
+  },
+
+  workout: {
+    title: 'Registrar ejercicio',
+    type: 'Tipo',
+    duration: 'Duración (minutos)',
+    intensity: 'Intensidad',
+    invalidTitle: 'Duración no válida',
+    invalidMinutes: 'Introduce un número de minutos entre 1 y {max}.',
+    adds: 'Suma {volume} al objetivo del día',
+    hint: 'El ejercicio suma al objetivo del día',
+    baseGoal: 'Objetivo base',
+    notSet: 'Sin fijar',
+    line: '{type} • {minutes} min, {intensity}',
+    removeLabel: 'Quitar ejercicio',
+    removeMessage: '¿Quitar este ejercicio y lo que suma al objetivo del día?',
+    target: 'Objetivo',
+  },
+
+  undo: {
+    undo: 'Deshacer',
+    undoLabel: 'Deshacer: {action}',
+    redoLabel: 'Rehacer: {action}',
+    nothingToUndo: 'Nada que deshacer',
+    nothingToRedo: 'Nada que rehacer',
+    addEntry: 'añadir registro',
+    editEntry: 'editar registro',
+    reclassify: 'reclasificar registros',
+    deleteEntry: 'eliminar registro',
+    restoreEntry: 'restaurar registro',
+    goalChange: 'cambio de objetivo',
+    added: '{name} añadido',
+  },
+
+  achievementsScreen: {
+    title: 'Logros',
+    summary: '{earned} de {total} conseguidos. Las insignias siguen tu historial, así que editar registros antiguos puede darlas o quitarlas.',
+    earned: 'Conseguido el {date}',
+    unlocked: '¡Logro desbloqueado!',
+    unlockedAnnouncement: 'Logro desbloqueado: {title}',
+  },
+
+  gauge: {
+    label: '{percent} del objetivo diario, {total} de {target}',
+    over: '+{percent} sobre el objetivo',
+    behind: '{volume} por detrás del ritmo',
+    behindLabel: 'por detrás del ritmo',
+    onPace: 'A buen ritmo',
+  },
+
+  calendar: {
+    weekTitle: '{from} – {to}',
+    previous: { month: 'Mes anterior', week: 'Semana anterior' },
+    next: { month: 'Mes siguiente', week: 'Semana siguiente' },
+    month: 'Mes',
+    week: 'Semana',
+    rings: 'Anillos',
+    heatmap: 'Mapa de calor',
+    mine: 'Mío',
+    household: 'Hogar',
+    rangeEndHint: 'Toca el último día del intervalo',
+    rangeTotal: { one: '{count} día: {total} en total', other: '{count} días: {total} en total' },
+    rangeAverage: '{average} al día de media',
+    rangeHitRate: { one: 'objetivo cumplido {reached} / {count} día ({percent})', other: 'objetivo cumplido {reached} / {count} días ({percent})' },
+    clear: 'Borrar',
+    overCaffeine: 'Por encima del límite de cafeína ({limit} mg)',
+    householdHint: 'Toca un día para ver el progreso de todos',
+    progress: { one: 'Has alcanzado tu objetivo {reached} / {count} día', other: 'Has alcanzado tu objetivo {reached} / {count} días' },
+    a11y: {
+      amountOfGoal: '{total} de {goal}',
+      reached: 'objetivo alcanzado',
+      notReached: 'objetivo no alcanzado',
+      noGoal: 'sin objetivo',
+      today: 'hoy',
+      inRange: 'en el intervalo seleccionado',
+      overCaffeine: 'por encima del límite de cafeína',
+      household: { one: '{reached} de {count} persona alcanzó su objetivo', other: '{reached} de {count} personas alcanzaron su objetivo' },
+      hint: 'Mantén pulsado para empezar a seleccionar un intervalo',
+      rangeEndHint: 'Selecciona el último día del intervalo',
+    },
+  },
+
+  day: {
+    caffeine: '{mg} mg de cafeína',
+    sugar: '{g} g de azúcar',
+    short: 'Faltan {volume} para el objetivo',
+  },
+
+  deleted: {
+    title: 'Eliminadas recientemente',
+    logged: 'Registrada {date}',
+    daysLeft: { one: 'queda {count} día', other: 'quedan {count} días' },
+    restoreLabel: 'Restaurar registro',
+    empty: 'No se eliminó nada en los últimos {days} días.',
+  },
+
+  settings: {
+    title: 'Ajustes',
+    language: 'Idioma',
+    systemLanguage: 'Sistema',
+    weekStart: 'La semana empieza el',
+    weekStartAuto: 'Auto',
+    theme: 'Tema',
+    themes: { system: 'Sistema', light: 'Claro', dark: 'Oscuro' },
+    highContrast: 'Alto contraste',
+    highContrastHint: 'Texto, bordes y colores más marcados',
+    accent: 'Color de acento',
+    accents: { blue: 'Azul', teal: 'Verde azulado', green: 'Verde', purple: 'Morado', pink: 'Rosa', orange: 'Naranja' },
+    midnight: '{time} (medianoche)',
+    dayStart: 'El día empieza a las',
+    dayStartHint: 'Las bebidas antes de esta hora cuentan para el día anterior',
+    earlier: 'Antes',
+    later: 'Después',
+    stepEarlier: '{name}: antes',
+    stepLater: '{name}: después',
+    timeOfDay: 'Momento del día',
+    timeOfDayHint: 'Cuándo empieza cada parte del día',
+    reclassifyAll: 'Reclasificar todos los registros',
+    reclassifyTitle: 'Reclasificar registros',
+    reclassifyMessage: '¿Sustituir cada momento del día elegido a mano por el que corresponde a la hora del registro?',
+    reclassify: 'Reclasificar',
+    reminders: 'Recordatorios',
+    remindersHint: 'Se ajustan para cada perfil. Se omiten si vas a buen ritmo y se detienen al alcanzar el objetivo',
+    notificationsOffTitle: 'Notificaciones desactivadas',
+    notificationsOffMessage: 'Permite las notificaciones de Hydration Tracker en los ajustes del dispositivo para recibir recordatorios.',
+    every: 'Cada',
+    minutes: { one: '{count} min', other: '{count} min' },
+    lessOften: 'Con menos frecuencia',
+    moreOften: 'Con más frecuencia',
+    from: 'Desde',
+    until: 'Hasta',
+    units: 'Unidades',
+    limits: 'Comprobaciones',
+    limitsHint: 'Guardar más de esto pide confirmación, para detectar erratas',
+    limitFields: { entryOunces: 'Una bebida ({unit})', dayOunces: 'Un día entero ({unit})' },
+    intake: 'Cafeína y alcohol',
+    intakeHint: 'Los días por encima del límite de cafeína se marcan en el calendario; cada bebida alcohólica añade agua al día (0 lo desactiva)',
+    intakeFields: { caffeineLimitMg: 'Cafeína al día (mg)', alcoholOffsetOunces: 'Agua por bebida ({unit})' },
+    profile: 'Sobre ti',
+    profileHint: 'Peso, actividad y clima para sugerir un objetivo',
+    drinks: 'Bebidas',
+    drinksHint: 'Tipos de bebida y cuánto hidrata cada una',
+    presets: 'Accesos rápidos',
+    presetsHint: 'Tu botella, vaso o taza habitual',
+    backup: 'Copia de seguridad',
+    backupHint: 'Exporta a JSON o CSV, o importa desde otro teléfono',
+    deletedHint: 'Restaura registros eliminados en los últimos {days} días',
+    manage: 'Gestionar',
+    open: 'Abrir',
+  },
+
+  goalHistory: {
+    title: 'Historial de objetivos',
+    changed: 'Desde el {effective} • cambiado el {changed}',
+    empty: 'Aún no hay objetivo.',
+  },
+
+  household: {
+    profile: 'Perfil',
+    switcherLabel: 'Perfil: {name}. Cambiar de perfil',
+    switchTitle: 'Cambiar de perfil',
+    manage: 'Gestionar perfiles',
+    title: 'Perfiles',
+    inUse: 'En uso',
+    add: 'Añadir perfil',
+    addTitle: 'Añadir perfil',
+    renameTitle: 'Renombrar perfil',
+    name: 'Nombre',
+    namePlaceholder: 'p. ej. Sam',
+    missingNameTitle: 'Falta el nombre',
+    missingNameMessage: 'Ponle un nombre al perfil.',
+    deleteTitle: 'Eliminar perfil',
+    deleteMessage: '¿Eliminar "{name}" y todos sus registros? No se puede deshacer.',
+  },
+
+  profileScreen: {
+    hint: 'Solo se usa para sugerir un objetivo diario. Deja el peso vacío para desactivar las sugerencias.',
+    weight: 'Peso corporal',
+    activity: 'Nivel de actividad',
+    climate: 'Clima',
+    lifeStage: 'Embarazo o lactancia',
+    suggested: 'Objetivo sugerido: {volume}',
+    noWeight: 'Introduce tu peso para ver un objetivo sugerido.',
+  },
+
+  drinks: {
+    hint: 'La cafeína y el azúcar son por cada 8 fl oz.',
+    factor: 'Hidratación × {factor}',
+    caffeine: '{mg} mg de cafeína',
+    sugar: '{g} g de azúcar',
+    hidden: '{name} (oculta)',
+    hide: 'Ocultar',
+    add: 'Añadir bebida',
+    addTitle: 'Añadir bebida',
+    editTitle: 'Editar bebida',
+    name: 'Nombre',
+    namePlaceholder: 'p. ej. Té verde',
+    factorLabel: 'Factor de hidratación (agua = 1)',
+    caffeineLabel: 'Cafeína, mg (opcional)',
+    sugarLabel: 'Azúcar, g (opcional)',
+    missingNameTitle: 'Falta el nombre',
+    missingNameMessage: 'Ponle un nombre a la bebida.',
+    invalidFactorTitle: 'Factor no válido',
+    invalidFactorMessage: 'El factor de hidratación debe estar entre 0 y 2 (el agua es 1).',
+    invalidNutritionTitle: 'Cantidad no válida',
+    invalidNutritionMessage: 'La cafeína y el azúcar deben ser números de 0 o más, o quedar vacíos.',
+  },
+
+  presetsScreen: {
+    empty: 'No hay accesos rápidos: añade tu botella o vaso habitual.',
+    add: 'Añadir acceso rápido',
+    addTitle: 'Añadir acceso rápido',
+    name: 'Nombre',
+    namePlaceholder: 'p. ej. Botella',
+    moveUp: 'Subir {name}',
+    moveDown: 'Bajar {name}',
+    missingNameTitle: 'Falta el nombre',
+    missingNameMessage: 'Ponle un nombre al acceso rápido, como "Botella".',
+    deleteTitle: 'Eliminar acceso rápido',
+    deleteMessage: '¿Quitar "{name}" de los accesos rápidos?',
+  },
+
+  backupScreen: {
+    exportFailed: 'Error al exportar',
+    importFailed: 'Error al importar',
+    importComplete: 'Importación completada',
+    entriesAdded: { one: 'Se añadió {count} registro.', other: 'Se añadieron {count} registros.' },
+    toAdd: { one: '{count} registro nuevo para añadir', other: '{count} registros nuevos para añadir' },
+    duplicates: { one: '{count} ya está en tu historial (omitido)', other: '{count} ya están en tu historial (omitidos)' },
+    workouts: { one: '{count} ejercicio para añadir', other: '{count} ejercicios para añadir' },
+    newDrinks: 'Bebidas nuevas: {names}',
+    errors: { one: 'No se pudo leer {count} fila', other: 'No se pudieron leer {count} filas' },
+    line: 'Línea {line}: {message}',
+    restoreSettings: 'Restaurar también objetivo y ajustes',
+    restoreSettingsHint: 'Sustituye tu objetivo, ajustes y accesos rápidos actuales',
+    noUndo: 'Una importación no se puede deshacer y borra el historial de deshacer',
+    import: 'Importar',
+    importHint: 'Una copia JSON o un archivo CSV; verás una vista previa antes',
+    chooseFile: 'Elegir archivo',
+    json: 'Copia completa (JSON)',
+    jsonHint: 'Registros, ejercicios, objetivo, ajustes, bebidas y accesos rápidos',
+    csv: 'Hoja de cálculo (CSV)',
+    csvHint: 'Una fila por bebida',
+    export: 'Exportar',
+    shareTitle: 'Exportar historial de hidratación',
+    noSharing: 'No se puede compartir en este dispositivo',
+  },
+
+  notifications: {
+    channel: 'Recordatorios de hidratación',
+    title: 'Hora de beber agua',
+    titleFor: 'Hora de beber agua, {name}',
+    body: 'Un vaso ahora te mantiene en camino hacia tu objetivo diario.',
+  },
+
+  tabs: {
+    home: 'Hoy',
+    calendar: 'Calendario',
+    stats: 'Estadísticas',
+    settings: 'Ajustes',
+  },
+
+  validation: {
+    empty: 'Introduce una cantidad en {unit}.',
+    invalid: 'Eso no es un número. Prueba algo como {example}.',
+    ambiguous: 'Eso podría ser un decimal o un millar. Usa el separador solo para decimales, como {example}.',
+    notPositive: 'La cantidad tiene que ser mayor que 0.',
+    negative: 'No puede ser menor que 0.',
+    entryHigh: '{volume} en una sola bebida es más de {limit}.',
+    dayHigh: 'Con esto el día llega a {volume}, por encima de {limit}.',
+    goalHigh: 'Un objetivo diario por encima de {limit} es inusualmente alto.',
+    caffeineHigh: 'Con esto el día llega a {mg} mg de cafeína, por encima de tu límite de {limit} mg.',
+    tapAgain: 'Toca de nuevo para guardarlo igualmente.',
+    saveAnyway: 'Guardar igualmente',
+    confirmTitle: '¿Registrar {name}?',
+  },
+
+  quickLog: {
+    glass: 'Registrar un vaso',
+    bottle: 'Registrar una botella',
+  },
+
+  widget: {
+    title: 'Hoy',
+    progress: '{total} de {goal}',
+    noGoal: 'Sin objetivo',
+    add: '+{volume}',
+  },
+
+  intake: {
+    caffeine: 'Cafeína (mg)',
+    usualCaffeine: 'Unos {mg} mg si lo dejas vacío',
+    alcohol: 'Alcohol (bebidas estándar)',
+    alcoholHint: 'Una bebida estándar es una cerveza, una copa de vino o un chupito',
+    alcoholAdds: 'Añade {volume} al objetivo del día',
+    optional: 'Opcional',
+    none: 'nada',
+    drinks: { one: '{drinks} bebida estándar', other: '{drinks} bebidas estándar' },
+    alcoholOffset: { one: 'Incluye {volume} por {drinks} bebida', other: 'Incluye {volume} por {drinks} bebidas' },
+    caffeineOver: '{mg} mg de cafeína, por encima del límite de {limit} mg',
+  },
+};
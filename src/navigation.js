@@ -0,0 +1,108 @@
+// Navigation: the stack + tab navigators, deep links and the navigation theme
+// Context (#): App renders every screen inside one NavigationContainer: bottom tabs (home,
+// calendar, stats, settings) at the root of a native stack that pushes the other screens on top.
+// Screens stay mounted while another is shown, so they keep their state (the calendar's month,
+// scroll positions); Android's back button pops the stack, then returns to the home tab.
+// Links use the app's scheme (app.json "scheme"), e.g. hydrationtracker://calendar/2026-10
+
+import { createNavigationContainerRef, DarkTheme, DefaultTheme } from '@react-navigation/native';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
+import * as Linking from 'expo-linking';
+
+import { isValidAmount } from './store';
+
+export const SCHEME = 'hydrationtracker';
+
+export const Stack = createNativeStackNavigator();
+export const Tabs = createBottomTabNavigator();
+
+// lets App navigate from outside a screen (modals, the home screen's buttons, links)
+export const navigationRef = createNavigationContainerRef();
+
+// emoji shown as each tab's icon
+export const TAB_ICONS = {
+  Home: '💧',
+  Calendar: '📅',
+  Stats: '📊',
+  Settings: '⚙️',
+};
+
+// 'YYYY-MM' in a calendar link, anything else opens the current month
+function parseMonth(value) {
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(value) ? value : undefined;
+}
+
+// link that logs `ounces` of water, e.g. hydrationtracker://log?oz=8
+export function logLink(ounces) {
+  return `${SCHEME}://log?oz=${ounces}`;
+}
+
+/**
+ * parseLogLink(url)
+ * - { ounces } for a log link (hydrationtracker://log?oz=8), ounces null without a usable oz
+ *   amount; null for any other link
+ */
+export function parseLogLink(url) {
+  const { hostname, path, queryParams } = Linking.parse(url);
+  // custom scheme: the route is the "hostname"; Expo Go (exp://host/--/log): it's the path
+  const route = path || hostname;
+  if (route !== 'log') return null;
+
+  const ounces = Number(queryParams?.oz);
+  return { ounces: queryParams?.oz != null && isValidAmount(ounces) ? ounces : null };
+}
+
+/**
+ * createLinking(onLink)
+ * - NavigationContainer `linking` option: log links open the home tab, calendar links the
+ *   calendar on that month (route param `month`), stats / settings their tab
+ * - onLink(url) sees every incoming URL (the one that opened the app, then each one while it
+ *   runs) before it's navigated to, for links that do something besides opening a screen
+ */
+export function createLinking(onLink) {
+  return {
+    prefixes: [Linking.createURL('/'), `${SCHEME}://`],
+    config: {
+      screens: {
+        Tabs: {
+          screens: {
+            Home: 'log',
+            Calendar: { path: 'calendar/:month?', parse: { month: parseMonth } },
+            Stats: 'stats',
+            Settings: 'settings',
+          },
+        },
+      },
+    },
+    async getInitialURL() {
+      const url = await Linking.getInitialURL();
+      if (url) onLink(url);
+      return url;
+    },
+    subscribe(listener) {
+      const subscription = Linking.addEventListener('url', ({ url }) => {
+        onLink(url);
+        listener(url);
+      });
+      return () => subscription.remove();
+    },
+  };
+}
+
+// React Navigation's theme from ours (screen backgrounds, tab bar, active tab color)
+export function navigationTheme({ dark, colors }) {
+  const base = dark ? DarkTheme : DefaultTheme;
+  return {
+    ...base,
+    colors: {
+      ...base.colors,
+      primary: colors.accent,
+      background: colors.background,
+      card: colors.surface,
+      text: colors.text,
+      border: colors.border,
+      notification: colors.highlight,
+    },
+  };
+}
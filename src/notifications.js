@@ -0,0 +1,83 @@
+// Local notifications for hydration reminders (no server, nothing leaves the device)
+// Context (#): reminders.js decides the times; this file only talks to expo-notifications
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+
+import { t } from './i18n';
+
+const CHANNEL_ID = 'reminders';
+
+// iOS keeps at most 64 pending local notifications per app
+const MAX_SCHEDULED = 60;
+
+// show reminders as banners even when the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+/**
+ * ensureNotificationPermission()
+ * - resolves true if notifications may be shown, asking the user if we haven't yet
+ */
+export async function ensureNotificationPermission() {
+  try {
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+        name: t('notifications.channel'),
+        importance: Notifications.AndroidImportance.DEFAULT,
+      });
+    }
+
+    const current = await Notifications.getPermissionsAsync();
+    if (current.granted) return true;
+
+    const requested = await Notifications.requestPermissionsAsync();
+    return requested.granted;
+  } catch (err) {
+    console.warn('Could not get notification permission', err);
+    return false;
+  }
+}
+
+// syncs are chained so two running at once can't interleave their cancel and schedule steps
+// (which would leave duplicate reminders); each one replaces everything the previous one left
+let pendingSync = Promise.resolve();
+
+/**
+ * syncReminders(reminders)
+ * - replaces every scheduled reminder with one per { date, name } in `reminders` (soonest first,
+ *   see household.householdReminders), once earlier syncs are done; a name goes in the title
+ * - errors are logged rather than thrown; the next sync will try again
+ */
+export function syncReminders(reminders) {
+  pendingSync = pendingSync.then(() => scheduleReminders(reminders));
+  return pendingSync;
+}
+
+async function scheduleReminders(reminders) {
+  try {
+    await Notifications.cancelAllScheduledNotificationsAsync();
+
+    for (const { date, name } of reminders.slice(0, MAX_SCHEDULED)) {
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: name ? t('notifications.titleFor', { name }) : t('notifications.title'),
+          body: t('notifications.body'),
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date,
+          channelId: CHANNEL_ID,
+        },
+      });
+    }
+  } catch (err) {
+    console.warn('Could not schedule reminders', err);
+  }
+}
@@ -0,0 +1,45 @@
+// Quick-add presets: favourite containers logged with one tap from the home screen
+// Context (#): saved with the entries (state.presets), in the order shown on the home screen
+
+import { isUnit } from './units';
+import { DEFAULT_BEVERAGE_ID } from './beverages';
+import { t } from './i18n';
+
+// amount + unit are kept as entered, same as entries (see units.js)
+export const DEFAULT_PRESETS = [
+  { id: 'bottle', name: 'Bottle', amount: 24, unit: 'oz', beverageId: DEFAULT_BEVERAGE_ID },
+  { id: 'glass', name: 'Glass', amount: 8, unit: 'oz', beverageId: DEFAULT_BEVERAGE_ID },
+  { id: 'mug', name: 'Mug', amount: 12, unit: 'oz', beverageId: DEFAULT_BEVERAGE_ID },
+];
+
+// name to show: built-in presets the user hasn't renamed follow the app language
+export function presetName(preset) {
+  const builtIn = DEFAULT_PRESETS.find(p => p.id === preset.id);
+  return builtIn && builtIn.name === preset.name ? t(`presets.${preset.id}`) : preset.name;
+}
+
+// move the preset at `index` up (-1) or down (+1); returns a new array
+export function movePreset(presets, index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= presets.length) return presets;
+
+  const next = [...presets];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+// normalize a stored / edited preset; returns null if unusable
+export function sanitizePreset(p) {
+  if (!p || typeof p !== 'object' || typeof p.name !== 'string' || !p.name.trim() || p.id == null) return null;
+
+  const amount = Number(p.amount);
+  if (!Number.isFinite(amount) || amount <= 0 || !isUnit(p.unit)) return null;
+
+  return {
+    ...p,
+    id: String(p.id),
+    name: p.name.trim(),
+    amount,
+    beverageId: p.beverageId != null ? String(p.beverageId) : DEFAULT_BEVERAGE_ID,
+  };
+}
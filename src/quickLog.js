@@ -0,0 +1,76 @@
+// One-tap logging from outside the app's screens: the home-screen widget and app shortcuts
+// Context (#): the widget runs headless (the app may not be open), so it reads the saved state,
+// adds the entry to the active profile through the same store reducer App uses and saves it
+// back; App merges anything logged this way when it returns to the foreground
+// (store.actions.mergeEntries). Shortcuts open the app on a log link instead (navigation.logLink),
+// and so does the widget when a glass would go past the sanity limits, since only the app can
+// ask to confirm
+
+import { loadState, saveState } from './storage';
+import { toDateKey } from './dates';
+import { DEFAULT_BEVERAGE_ID } from './beverages';
+import { goalForDay } from './goals';
+import { totalsByDay } from './stats';
+import { actions, createStoreState, hydrationReducer } from './store';
+import { amountWarnings } from './validation';
+
+/**
+ * QUICK_AMOUNTS
+ * - the fixed drinks the widget and shortcuts log, in fl oz (glass: 8 oz, bottle: 500 mL);
+ *   names are translated (locales: quickLog.<id>)
+ */
+export const QUICK_AMOUNTS = [
+  { id: 'glass', ounces: 8 },
+  { id: 'bottle', ounces: 16.9 },
+];
+
+/**
+ * todaySummary(state, now?)
+ * - { total, goal, unit, settings } for the saved state's active profile: today's hydrated
+ *   ounces and goal (null when none is set), as on the home screen
+ */
+export function todaySummary(state, now = new Date()) {
+  const member = state.members.find(m => m.id === state.activeMemberId) ?? state.members[0];
+  const { dayStartHour, unit } = member.settings;
+  const todayKey = toDateKey(now, { dayStartHour });
+  const totals = totalsByDay(member.entries, { beverages: state.beverages, dayStartHour });
+
+  return { total: totals[todayKey] || 0, goal: goalForDay(member.goalHistory, todayKey), unit, settings: member.settings };
+}
+
+/**
+ * quickLogWarnings(ounces, summary)
+ * - validation.amountWarnings for logging `ounces` of water on top of a todaySummary, against
+ *   that profile's settings.limits; [] when it can be logged without asking
+ */
+export function quickLogWarnings(ounces, { total, unit, settings }) {
+  return amountWarnings({ entryOunces: ounces, dayOunces: total + ounces }, settings.limits, unit);
+}
+
+/**
+ * logWater(ounces, now?)
+ * - adds `ounces` of water (logged now) to the saved active profile and saves; resolves to
+ *   the new todaySummary, or null when nothing was saved (unreadable data is never overwritten
+ *   from here, the app deals with it on its next start; nothing past the sanity limits is
+ *   logged unconfirmed, see quickLogWarnings)
+ */
+export async function logWater(ounces, now = new Date()) {
+  const { state, recovered } = await loadState();
+  if (recovered) return null;
+  if (quickLogWarnings(ounces, todaySummary(state, now)).length) return null;
+
+  const member = state.members.find(m => m.id === state.activeMemberId) ?? state.members[0];
+  const before = createStoreState(member);
+  const after = hydrationReducer(
+    before,
+    actions.addEntry({ amount: ounces, unit: 'oz', beverageId: DEFAULT_BEVERAGE_ID, timeOfDay: null }, now)
+  );
+  if (after === before) return null;
+
+  const next = {
+    ...state,
+    members: state.members.map(m => (m.id === member.id ? { ...m, entries: after.entries } : m)),
+  };
+  await saveState(next);
+  return todaySummary(next, now);
+}
@@ -0,0 +1,83 @@
+// Reminder scheduling: decides *when* to nudge the user to drink; notifications.js does the
+// actual (local, on-device) scheduling
+// Context (#): pure functions only, every "now" is passed in so the plan can be computed for
+// any clock; App re-plans whenever entries, the goal or reminder settings change
+
+import { toDateKey } from './dates';
+
+// minutes since midnight are used for all times of day here (8:00 => 480)
+export const DEFAULT_REMINDER_SETTINGS = {
+  enabled: false,
+  intervalMinutes: 90,
+  activeFrom: 8 * 60,
+  activeUntil: 21 * 60,
+};
+
+// how many days ahead to schedule, so reminders keep coming if the app isn't opened
+const PLAN_DAYS = 2;
+
+// true when the settings are usable (interval >= 15 min, window inside one day and non-empty)
+export function isValidReminderSettings(r) {
+  if (!r || typeof r !== 'object') return false;
+  const { intervalMinutes, activeFrom, activeUntil } = r;
+  return (
+    typeof r.enabled === 'boolean'
+    && Number.isInteger(intervalMinutes) && intervalMinutes >= 15
+    && Number.isInteger(activeFrom) && Number.isInteger(activeUntil)
+    && activeFrom >= 0 && activeUntil <= 24 * 60 && activeFrom < activeUntil
+  );
+}
+
+// local Date for a number of minutes after midnight on `day`'s date
+function atMinutes(day, minutes) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+}
+
+/**
+ * expectedByTime(goal, at, settings)
+ * - how much should have been drunk by `at` to be on pace: the goal spread evenly across
+ *   the active window (0 before it starts, the whole goal once it ends)
+ */
+export function expectedByTime(goal, at, settings) {
+  const minutes = at.getHours() * 60 + at.getMinutes();
+  const { activeFrom, activeUntil } = settings;
+  const share = (minutes - activeFrom) / (activeUntil - activeFrom);
+  return goal * Math.min(Math.max(share, 0), 1);
+}
+
+/**
+ * planReminders({ now, settings, goalOunces, totalToday, dayStartHour })
+ * - returns the Dates to remind at, soonest first: every `intervalMinutes` from activeFrom,
+ *   up to activeUntil, for today and the following day(s)
+ * - "today" is the tracking day `now` falls in (dates.toDateKey with dayStartHour), the day
+ *   `totalToday` was summed for; its slots are skipped while `totalToday` is already at or above
+ *   the pace for that slot, which also stops them once the goal is reached
+ * - slots in later tracking days start from zero, so they're all kept; App re-plans as entries
+ *   come in
+ * - nothing is planned when reminders are off
+ */
+export function planReminders({ now, settings, goalOunces, totalToday = 0, dayStartHour = 0 }) {
+  if (!settings || !settings.enabled || !isValidReminderSettings(settings)) return [];
+
+  const { intervalMinutes, activeFrom, activeUntil } = settings;
+  const hasGoal = goalOunces != null && goalOunces > 0;
+  const todayKey = toDateKey(now, { dayStartHour });
+  const plan = [];
+
+  for (let dayOffset = 0; dayOffset < PLAN_DAYS; dayOffset++) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset);
+
+    for (let m = activeFrom; m <= activeUntil; m += intervalMinutes) {
+      const at = atMinutes(day, m);
+      if (at <= now) continue;
+
+      // ahead of pace for this slot (or done for the day): no need to nag
+      const isToday = toDateKey(at, { dayStartHour }) === todayKey;
+      if (isToday && hasGoal && totalToday >= expectedByTime(goalOunces, at, settings)) continue;
+
+      plan.push(at);
+    }
+  }
+
+  return plan;
+}
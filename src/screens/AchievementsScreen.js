@@ -0,0 +1,60 @@
+import React from 'react';
+import { SafeAreaView, View, Text, TouchableOpacity, FlatList } from 'react-native';
+
+import { parseDateKey } from '../dates';
+import { useTheme } from '../styles';
+import { formatDate, t } from '../i18n';
+
+/**
+ * AchievementsScreen
+ * - The trophy case: every badge, earned ones with the day they were earned, locked ones greyed
+ *   out with what it takes to earn them
+ * - Props:
+ *    onBack: callback to return to the home screen
+ *    achievements: achievements.evaluateAchievements() result
+ */
+function AchievementsScreen({ onBack, achievements }) {
+  const { styles, colors } = useTheme();
+  const earned = achievements.filter(a => a.unlockedOn != null).length;
+
+  function renderItem({ item }) {
+    const unlocked = item.unlockedOn != null;
+
+    return (
+      <View style={[styles.card, !unlocked && styles.badgeLocked]}>
+        <Text style={styles.badgeIcon}>{unlocked ? item.icon : '🔒'}</Text>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.itemName}>{item.title}</Text>
+          <Text style={styles.itemSub}>{item.description}</Text>
+          {unlocked ? (
+            <Text style={styles.goalReached}>
+              {t('achievementsScreen.earned', {
+                date: formatDate(parseDateKey(item.unlockedOn), { month: 'short', day: 'numeric', year: 'numeric' }),
+              })}
+            </Text>
+          ) : null}
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={[styles.modal, { margin: 16, flex: 1 }]}>
+        <Text style={styles.modalTitle}>{t('achievementsScreen.title')}</Text>
+        <Text style={styles.settingHint}>{t('achievementsScreen.summary', { earned, total: achievements.length })}</Text>
+
+        <FlatList data={achievements} keyExtractor={item => item.id} renderItem={renderItem} style={[styles.list, { marginTop: 8 }]} />
+
+        {/* back button styled like the modal action */}
+        <View style={{ marginTop: 12, alignItems: 'flex-end' }}>
+          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+export default AchievementsScreen;
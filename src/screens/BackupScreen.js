@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { SafeAreaView, ScrollView, View, Text, TouchableOpacity, Switch, Alert } from 'react-native';
+
+import { useTheme } from '../styles';
+import { toDateKey } from '../dates';
+import { buildCsv, buildJsonBackup, parseCsv, parseJsonBackup, planMerge } from '../backup';
+import { pickTextFile, shareFile } from '../fileTransfer';
+import { t } from '../i18n';
+
+/**
+ * BackupScreen
+ * - Export everything as JSON or the entries as CSV through the share sheet
+ * - Import either format: shows a preview (new / duplicate / malformed rows) before merging
+ * - Props:
+ *    onBack: callback to return to settings
+ *    data: { name, entries, deletedEntries, goalHistory, activities, settings, beverages, presets } of the
+ *      active profile
+ *    onImport: called with { entries, beverages, activities, goalHistory?, settings?, presets? } to merge;
+ *      goal history/settings/presets are only present when the user chose to restore them
+ */
+function BackupScreen({ onBack, data, onImport }) {
+  const { styles, colors } = useTheme();
+  // import preview: { fileName, parsed, toAdd, duplicates, newBeverages, newActivities } or null
+  const [preview, setPreview] = useState(null);
+  const [restoreSettings, setRestoreSettings] = useState(false);
+
+  async function exportAs(format) {
+    const stamp = toDateKey(new Date());
+    try {
+      if (format === 'json') {
+        await shareFile(`hydration-backup-${stamp}.json`, buildJsonBackup(data), 'application/json');
+      } else {
+        const csv = buildCsv(data.entries, {
+          beverages: data.beverages,
+          timeOfDayStarts: data.settings.timeOfDayStarts,
+        });
+        await shareFile(`hydration-history-${stamp}.csv`, csv, 'text/csv');
+      }
+    } catch (err) {
+      Alert.alert(t('backupScreen.exportFailed'), err.message);
+    }
+  }
+
+  async function startImport() {
+    let file;
+    try {
+      file = await pickTextFile();
+    } catch (err) {
+      Alert.alert(t('backupScreen.importFailed'), err.message);
+      return;
+    }
+    if (!file) return;
+
+    // JSON by extension or content, CSV otherwise
+    const isJson = /\.json$/i.test(file.name) || file.text.trim().startsWith('{');
+    const parsed = isJson
+      ? parseJsonBackup(file.text)
+      : parseCsv(file.text, { beverages: data.beverages, timeOfDayStarts: data.settings.timeOfDayStarts });
+
+    const { toAdd, duplicates } = planMerge(data.entries, parsed.entries, data.deletedEntries);
+    const knownIds = new Set(data.beverages.map(b => b.id));
+    const newBeverages = isJson ? parsed.beverages.filter(b => !knownIds.has(b.id)) : parsed.newBeverages;
+    const knownActivityIds = new Set(data.activities.map(a => a.id));
+    const newActivities = isJson ? parsed.activities.filter(a => !knownActivityIds.has(a.id)) : [];
+
+    setRestoreSettings(false);
+    setPreview({ fileName: file.name, parsed, toAdd, duplicates, newBeverages, newActivities });
+  }
+
+  function confirmImport() {
+    const { parsed, toAdd, newBeverages, newActivities } = preview;
+    const restore = parsed.format === 'json' && restoreSettings
+      ? { goalHistory: parsed.goalHistory, settings: parsed.settings, presets: parsed.presets }
+      : {};
+
+    onImport({ entries: toAdd, beverages: newBeverages, activities: newActivities, ...restore });
+    setPreview(null);
+    Alert.alert(t('backupScreen.importComplete'), t('backupScreen.entriesAdded', { count: toAdd.length }));
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView style={[styles.modal, { margin: 16 }]}>
+        <Text style={styles.modalTitle}>{t('settings.backup')}</Text>
+
+        {preview ? (
+          <>
+            {/* merge preview */}
+            <Text style={styles.settingLabel}>{preview.fileName}</Text>
+            <Text style={styles.itemSub}>{t('backupScreen.toAdd', { count: preview.toAdd.length })}</Text>
+            <Text style={styles.itemSub}>{t('backupScreen.duplicates', { count: preview.duplicates })}</Text>
+            {preview.newActivities.length ? (
+              <Text style={styles.itemSub}>{t('backupScreen.workouts', { count: preview.newActivities.length })}</Text>
+            ) : null}
+            {preview.newBeverages.length ? (
+              <Text style={styles.itemSub}>
+                {t('backupScreen.newDrinks', { names: preview.newBeverages.map(b => b.name).join(', ') })}
+              </Text>
+            ) : null}
+
+            {preview.parsed.errors.length ? (
+              <View style={styles.breakdown}>
+                <Text style={styles.remaining}>{t('backupScreen.errors', { count: preview.parsed.errors.length })}</Text>
+                {preview.parsed.errors.map((e, i) => (
+                  <Text key={i} style={styles.itemSub}>{e.line != null ? t('backupScreen.line', { line: e.line, message: e.message }) : e.message}</Text>
+                ))}
+              </View>
+            ) : null}
+
+            {preview.parsed.format === 'json' ? (
+              <View style={styles.settingRow}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.settingLabel}>{t('backupScreen.restoreSettings')}</Text>
+                  <Text style={styles.settingHint}>{t('backupScreen.restoreSettingsHint')}</Text>
+                </View>
+                <Switch value={restoreSettings} onValueChange={setRestoreSettings} />
+              </View>
+            ) : null}
+
+            <Text style={styles.settingHint}>{t('backupScreen.noUndo')}</Text>
+
+            <View style={styles.modalActions}>
+              <TouchableOpacity onPress={() => setPreview(null)} style={[styles.modalBtn, styles.modalCancel]}>
+                <Text style={styles.modalBtnText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={confirmImport} style={[styles.modalBtn, styles.modalAdd]}>
+                <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('backupScreen.import')}</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        ) : (
+          <>
+            {/* export */}
+            <View style={styles.settingRow}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.settingLabel}>{t('backupScreen.json')}</Text>
+                <Text style={styles.settingHint}>{t('backupScreen.jsonHint')}</Text>
+              </View>
+              <TouchableOpacity onPress={() => exportAs('json')} style={styles.calendarBtn}>
+                <Text style={styles.calendarBtnText}>{t('backupScreen.export')}</Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.settingRow}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.settingLabel}>{t('backupScreen.csv')}</Text>
+                <Text style={styles.settingHint}>{t('backupScreen.csvHint')}</Text>
+              </View>
+              <TouchableOpacity onPress={() => exportAs('csv')} style={styles.calendarBtn}>
+                <Text style={styles.calendarBtnText}>{t('backupScreen.export')}</Text>
+              </TouchableOpacity>
+            </View>
+
+            {/* import */}
+            <View style={styles.settingRow}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.settingLabel}>{t('backupScreen.import')}</Text>
+                <Text style={styles.settingHint}>{t('backupScreen.importHint')}</Text>
+              </View>
+              <TouchableOpacity onPress={startImport} style={styles.calendarBtn}>
+                <Text style={styles.calendarBtnText}>{t('backupScreen.chooseFile')}</Text>
+              </TouchableOpacity>
+            </View>
+
+            {/* back button styled like the modal action */}
+            <View style={{ marginTop: 12, alignItems: 'flex-end' }}>
+              <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+                <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+export default BackupScreen;
@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { SafeAreaView, View, Text, TouchableOpacity, Modal, TextInput, FlatList, Alert } from 'react-native';
+
+import { useTheme } from '../styles';
+import { DEFAULT_BEVERAGE_ID, beverageName, sanitizeBeverage } from '../beverages';
+import { formatNumber, t } from '../i18n';
+import { parseDecimal } from '../validation';
+
+// text field value for an optional number (blank when not set)
+const fieldText = v => (v == null ? '' : String(v));
+
+/**
+ * BeveragesScreen
+ * - Lists drink types with their hydration factor and caffeine/sugar amounts
+ * - Drinks can be added, edited, hidden from the picker and restored; they are never deleted
+ *   outright so entries that used them keep their name and factor
+ * - Props:
+ *    onBack: callback to return to settings
+ *    beverages: current beverage list
+ *    onChangeBeverages: setState-style updater for the list
+ */
+function BeveragesScreen({ onBack, beverages, onChangeBeverages }) {
+  const { styles, colors } = useTheme();
+  // edit modal state; editing holds the beverage being edited, or null when adding
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [name, setName] = useState('');
+  const [factor, setFactor] = useState('');
+  const [caffeine, setCaffeine] = useState('');
+  const [sugar, setSugar] = useState('');
+
+  function openEditor(beverage = null) {
+    setEditing(beverage);
+    setName(beverage ? beverageName(beverage) : '');
+    setFactor(beverage ? String(beverage.hydrationFactor) : '1');
+    setCaffeine(fieldText(beverage?.caffeineMg));
+    setSugar(fieldText(beverage?.sugarG));
+    setModalVisible(true);
+  }
+
+  function saveBeverage() {
+    const f = parseDecimal(factor);
+    // optional fields: empty means unknown (null)
+    const caffeineMg = caffeine.trim() ? parseDecimal(caffeine) : null;
+    const sugarG = sugar.trim() ? parseDecimal(sugar) : null;
+    if (!name.trim()) {
+      Alert.alert(t('drinks.missingNameTitle'), t('drinks.missingNameMessage'));
+      return;
+    }
+    if (Number.isNaN(f) || f < 0 || f > 2) {
+      Alert.alert(t('drinks.invalidFactorTitle'), t('drinks.invalidFactorMessage'));
+      return;
+    }
+    if ([caffeineMg, sugarG].some(v => v != null && (Number.isNaN(v) || v < 0))) {
+      Alert.alert(t('drinks.invalidNutritionTitle'), t('drinks.invalidNutritionMessage'));
+      return;
+    }
+
+    // an unchanged translated name keeps the stored one, so built-ins still follow the language
+    const beverage = sanitizeBeverage({
+      ...(editing || { id: Date.now().toString() }),
+      name: editing && name.trim() === beverageName(editing) ? editing.name : name,
+      hydrationFactor: f,
+      caffeineMg,
+      sugarG,
+    });
+
+    onChangeBeverages(prev =>
+      editing ? prev.map(b => (b.id === editing.id ? beverage : b)) : [...prev, beverage]
+    );
+    setModalVisible(false);
+  }
+
+  // hide from the picker / bring back
+  function setArchived(id, archived) {
+    onChangeBeverages(prev => prev.map(b => (b.id === id ? { ...b, archived } : b)));
+  }
+
+  function renderItem({ item }) {
+    const details = [t('drinks.factor', { factor: formatNumber(item.hydrationFactor) })];
+    if (item.caffeineMg) details.push(t('drinks.caffeine', { mg: formatNumber(item.caffeineMg) }));
+    if (item.sugarG) details.push(t('drinks.sugar', { g: formatNumber(item.sugarG) }));
+
+    return (
+      <View style={[styles.card, item.archived && { opacity: 0.5 }]}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.itemName}>
+            {item.archived ? t('drinks.hidden', { name: beverageName(item) }) : beverageName(item)}
+          </Text>
+          <Text style={styles.itemSub}>{details.join(' • ')}</Text>
+        </View>
+
+        <View style={styles.actionRow}>
+          <TouchableOpacity onPress={() => openEditor(item)} style={[styles.smallBtn, styles.editBtn]}>
+            <Text style={styles.smallBtnText}>{t('common.edit')}</Text>
+          </TouchableOpacity>
+
+          {item.id === DEFAULT_BEVERAGE_ID ? null : item.archived ? (
+            <TouchableOpacity onPress={() => setArchived(item.id, false)} style={[styles.smallBtn, styles.editBtn]}>
+              <Text style={styles.smallBtnText}>{t('common.restore')}</Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity onPress={() => setArchived(item.id, true)} style={[styles.smallBtn, styles.deleteBtn]}>
+              <Text style={[styles.smallBtnText, { color: colors.danger }]}>{t('drinks.hide')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={[styles.modal, { margin: 16, flex: 1 }]}>
+        <Text style={styles.modalTitle}>{t('settings.drinks')}</Text>
+        <Text style={styles.settingHint}>{t('drinks.hint')}</Text>
+
+        <FlatList
+          data={beverages}
+          keyExtractor={item => item.id}
+          renderItem={renderItem}
+          style={[styles.list, { marginTop: 8 }]}
+        />
+
+        <View style={styles.modalActions}>
+          <TouchableOpacity onPress={() => openEditor()} style={[styles.modalBtn, styles.modalCancel]}>
+            <Text style={styles.modalBtnText}>{t('drinks.add')}</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Add/Edit Drink Modal */}
+      <Modal
+        visible={modalVisible}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setModalVisible(false)}
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modal}>
+            <Text style={styles.modalTitle}>{editing ? t('drinks.editTitle') : t('drinks.addTitle')}</Text>
+
+            <Text style={styles.inputLabel}>{t('drinks.name')}</Text>
+            <TextInput
+              value={name}
+              onChangeText={setName}
+              placeholder={t('drinks.namePlaceholder')}
+              placeholderTextColor={colors.textSecondary}
+              style={styles.input}
+            />
+
+            <Text style={[styles.inputLabel, { marginTop: 12 }]}>{t('drinks.factorLabel')}</Text>
+            <TextInput
+              value={factor}
+              onChangeText={setFactor}
+              keyboardType="numeric"
+              placeholder={t('common.example', { value: formatNumber(0.9) })}
+              placeholderTextColor={colors.textSecondary}
+              style={styles.input}
+            />
+
+            <Text style={[styles.inputLabel, { marginTop: 12 }]}>{t('drinks.caffeineLabel')}</Text>
+            <TextInput
+              value={caffeine}
+              onChangeText={setCaffeine}
+              keyboardType="numeric"
+              placeholder={t('common.example', { value: 30 })}
+              placeholderTextColor={colors.textSecondary}
+              style={styles.input}
+            />
+
+            <Text style={[styles.inputLabel, { marginTop: 12 }]}>{t('drinks.sugarLabel')}</Text>
+            <TextInput
+              value={sugar}
+              onChangeText={setSugar}
+              keyboardType="numeric"
+              placeholder={t('common.example', { value: 0 })}
+              placeholderTextColor={colors.textSecondary}
+              style={styles.input}
+            />
+
+            <View style={styles.modalActions}>
+              <TouchableOpacity onPress={() => setModalVisible(false)} style={[styles.modalBtn, styles.modalCancel]}>
+                <Text style={styles.modalBtnText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity onPress={saveBeverage} style={[styles.modalBtn, styles.modalAdd]}>
+                <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.save')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+}
+
+export default BeveragesScreen;
@@ -0,0 +1,374 @@
+import React, { useState, useEffect } from 'react';
+import { SafeAreaView, View, Text, TouchableOpacity, Pressable, useWindowDimensions } from 'react-native';
+
+import { useTheme } from '../styles';
+import { parseDateKey, toDateKey } from '../dates';
+import { formatVolume, roundedAmount, spokenVolume } from '../units';
+import { rangeSummary } from '../stats';
+import { householdCompletion, householdDay } from '../household';
+import { heatColor, monthCells, weekCells } from '../calendar';
+import { countDaysReached } from '../store';
+import { overCaffeineLimit } from '../intake';
+import { formatDate, formatNumber, t, weekdayNames } from '../i18n';
+
+// the grid grows with the system text size up to this factor, then the text stops growing
+const MAX_FONT_SCALE = 1.6;
+
+/**
+ * CalendarScreen
+ * - Shows a month or week grid; today is outlined and days after it are greyed out, and
+ *   you can't page past the current month/week
+ * - "Rings": each day has an outer ring and an inner fill that scales by percent of that day's
+ *   goal (or relative to max when no goal applied)
+ * - "Heatmap": each day is shaded by how close it got to its goal, in greens once over it
+ * - Long-press a day, then tap another, to total up that span (total, average, goal hit rate)
+ * - Days over the caffeine limit get a small mark in the corner (not in household mode)
+ * - Stays mounted in its tab, so the shown month/week and modes survive trips to a day's detail
+ * - Props:
+ *    onBack: callback to return to home screen
+ *    onSelectDay: called with 'YYYY-MM-DD' when a day is pressed
+ *    month: 'YYYY-MM' to show (from a calendar link); the current month when not given, and
+ *      whenever it changes the grid jumps to that month
+ *    todayKey: today's 'YYYY-MM-DD' (respects the day start hour)
+ *    firstDayOfWeek: weekday the grid starts on (0 = Sunday)
+ *    totalsByDate: object mapping 'YYYY-MM-DD' -> total ounces for that day
+ *    goalFor: 'YYYY-MM-DD' -> that day's target (goal + workout bonus) or null
+ *    intakeByDate / intake: daily caffeine and alcohol and settings.intake (see intake.js)
+ *    household: household.householdSummaries for every profile, or null with a single profile;
+ *      enables the "Household" mode where rings fill by the share of members who reached
+ *      their goal and pressing a day lists each member's progress
+ *    unit: display unit for totals
+ */
+function CalendarScreen({
+  onBack,
+  onSelectDay,
+  month,
+  todayKey,
+  firstDayOfWeek,
+  totalsByDate,
+  goalFor,
+  intakeByDate,
+  intake,
+  household,
+  unit,
+}) {
+  const { styles, colors } = useTheme();
+  // the shown period: any day inside it, plus 'month' or 'week'
+  // (a linked month after the current one shows the current one: no paging into the future)
+  const monthStart = m => (m && `${m}-01` < todayKey ? `${m}-01` : todayKey);
+  const [anchorKey, setAnchorKey] = useState(() => monthStart(month));
+  const [period, setPeriod] = useState('month');
+
+  // a link to another month while the screen is already open
+  useEffect(() => {
+    if (!month) return;
+    setAnchorKey(monthStart(month));
+    setPeriod('month');
+  }, [month]);
+
+  // 'rings' or 'heatmap'
+  const [style, setStyle] = useState('rings');
+
+  // 'mine' or 'household', and the day picked in household mode
+  const [mode, setMode] = useState('mine');
+  const [selectedKey, setSelectedKey] = useState(null);
+  const showHousehold = household != null && mode === 'household';
+
+  // range selection: started by a long press, finished by the next tap ({ from, to } keys)
+  const [range, setRange] = useState(null);
+  const [pickingRangeEnd, setPickingRangeEnd] = useState(false);
+
+  // cell size follows the grid's measured width (7 columns); rings grow with the text size
+  // but never past their column
+  const [cellSize, setCellSize] = useState(44);
+  const textScale = Math.min(useWindowDimensions().fontScale, MAX_FONT_SCALE);
+  const ringSize = Math.min(Math.max(cellSize - 8, 28 * textScale), 56 * textScale, cellSize - 2);
+
+  // cells for the shown period + its title
+  const anchor = parseDateKey(anchorKey);
+  const cells = period === 'month'
+    ? monthCells(anchor.getFullYear(), anchor.getMonth(), firstDayOfWeek)
+    : weekCells(anchorKey, firstDayOfWeek);
+  const days = cells.filter(Boolean);
+  const title = period === 'month'
+    ? formatDate(anchor, { month: 'long', year: 'numeric' })
+    : t('calendar.weekTitle', {
+      from: formatDate(parseDateKey(days[0].iso), { month: 'short', day: 'numeric' }),
+      to: formatDate(parseDateKey(days[6].iso), { month: 'short', day: 'numeric', year: 'numeric' }),
+    });
+
+  // the next period would start after today: no paging into the future
+  const atLatest = days[days.length - 1].iso >= todayKey;
+
+  // totals in view and maximum to scale fills when no goal is set
+  const maxInView = Math.max(0, ...days.map(d => totalsByDate[d.iso] || 0));
+
+  // how many days in view and how many reached the goal that applied on them
+  const hasGoal = days.some(d => goalFor(d.iso) != null);
+  const daysReached = countDaysReached(days.map(d => d.iso), totalsByDate, goalFor);
+
+  // days past the caffeine limit are marked (your own days only)
+  const overCaffeine = iso => !showHousehold && overCaffeineLimit(intakeByDate[iso]?.caffeineMg || 0, intake);
+  const anyOverCaffeine = days.some(d => overCaffeine(d.iso));
+
+  // page back/forward by a month or a week
+  function shift(delta) {
+    if (delta > 0 && atLatest) return;
+    if (period === 'month') {
+      setAnchorKey(toDateKey(new Date(anchor.getFullYear(), anchor.getMonth() + delta, 1)));
+    } else {
+      setAnchorKey(toDateKey(new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + 7 * delta)));
+    }
+  }
+
+  // switching to weeks shows the week of today (if it's in the shown month) or of the 1st
+  function changePeriod(next) {
+    if (next === 'week' && period === 'month') {
+      const inMonth = todayKey.slice(0, 7) === anchorKey.slice(0, 7);
+      setAnchorKey(inMonth ? todayKey : days[0].iso);
+    }
+    setPeriod(next);
+  }
+
+  function onPressDay(iso) {
+    if (pickingRangeEnd) {
+      setRange(r => ({ ...r, to: iso }));
+      setPickingRangeEnd(false);
+    } else if (showHousehold) {
+      setSelectedKey(iso);
+    } else {
+      onSelectDay(iso);
+    }
+  }
+
+  function onLongPressDay(iso) {
+    setRange({ from: iso, to: iso });
+    setPickingRangeEnd(true);
+  }
+
+  const inRange = iso => range != null && iso >= (range.from < range.to ? range.from : range.to)
+    && iso <= (range.from < range.to ? range.to : range.from);
+  const summary = range && !pickingRangeEnd ? rangeSummary(totalsByDate, range.from, range.to, goalFor) : null;
+
+  // what a screen reader says for a day, e.g. "March 3, 48 of 64 ounces, goal not reached"
+  function dayLabel(iso, total, goal) {
+    const parts = [formatDate(parseDateKey(iso), { month: 'long', day: 'numeric' })];
+
+    if (showHousehold) {
+      const members = householdDay(household, iso);
+      parts.push(t('calendar.a11y.household', { reached: members.filter(m => m.reached).length, count: members.length }));
+    } else if (goal != null) {
+      parts.push(t('calendar.a11y.amountOfGoal', { total: formatNumber(roundedAmount(total, unit)), goal: spokenVolume(goal, unit) }));
+      if (iso <= todayKey) parts.push(t(total >= goal ? 'calendar.a11y.reached' : 'calendar.a11y.notReached'));
+    } else {
+      parts.push(spokenVolume(total, unit), t('calendar.a11y.noGoal'));
+    }
+
+    if (overCaffeine(iso)) parts.push(t('calendar.a11y.overCaffeine'));
+    if (iso === todayKey) parts.push(t('calendar.a11y.today'));
+    if (inRange(iso)) parts.push(t('calendar.a11y.inRange'));
+    return parts.join(', ');
+  }
+
+  // one segmented row of option chips
+  function renderToggle(options, value, onChange) {
+    return (
+      <View style={styles.timeRow}>
+        {options.map(([optionValue, label]) => (
+          <Pressable
+            key={optionValue}
+            onPress={() => onChange(optionValue)}
+            style={[styles.timeButton, value === optionValue && styles.timeButtonActive]}
+          >
+            <Text style={[styles.timeButtonText, value === optionValue && styles.timeButtonTextActive]}>{label}</Text>
+          </Pressable>
+        ))}
+      </View>
+    );
+  }
+
+  function renderDay(cell) {
+    const total = totalsByDate[cell.iso] || 0;
+    const goal = goalFor(cell.iso);
+    const isFuture = cell.iso > todayKey;
+    const isToday = cell.iso === todayKey;
+
+    // compute fill percent: share of the household at goal, else goal-based, otherwise
+    // relative to max in view
+    const percent = showHousehold
+      ? householdCompletion(household, cell.iso) ?? 0
+      : goal != null && goal > 0
+        ? Math.min(total / goal, 1)
+        : maxInView > 0
+          ? Math.min(total / maxInView, 1)
+          : 0;
+
+    // size the inner fill circle (visual cue)
+    const innerSize = (ringSize - 10) * percent + 6;
+
+    return (
+      <Pressable
+        key={cell.iso}
+        style={[styles.cell, { height: ringSize + 12 }, inRange(cell.iso) && styles.cellInRange, isFuture && styles.cellFuture]}
+        onPress={() => onPressDay(cell.iso)}
+        onLongPress={() => onLongPressDay(cell.iso)}
+        disabled={isFuture}
+        accessibilityRole="button"
+        accessibilityLabel={dayLabel(cell.iso, total, goal)}
+        accessibilityHint={pickingRangeEnd ? t('calendar.a11y.rangeEndHint') : t('calendar.a11y.hint')}
+        accessibilityState={{ disabled: isFuture, selected: inRange(cell.iso) }}
+      >
+        {style === 'heatmap' && !showHousehold ? (
+          <View
+            style={[
+              styles.heatCell,
+              { width: ringSize, height: ringSize, backgroundColor: heatColor(total, goal, maxInView, colors.heatmap) },
+              isToday && styles.cellToday,
+            ]}
+          >
+            <Text style={styles.dayText} maxFontSizeMultiplier={MAX_FONT_SCALE}>{cell.day}</Text>
+            {overCaffeine(cell.iso) ? <View style={styles.caffeineMark} /> : null}
+          </View>
+        ) : (
+          <View style={[styles.ringWrap, { width: ringSize, height: ringSize }]}>
+            {/* outer ring; blue if any amount, grey otherwise; today is outlined */}
+            <View
+              style={[
+                styles.ring,
+                { width: ringSize, height: ringSize, borderRadius: ringSize / 2, borderColor: percent > 0 ? colors.accent : colors.ringTrack },
+                isToday && styles.cellToday,
+              ]}
+            />
+
+            {/* inner fill scaled by percent */}
+            {percent > 0 ? (
+              <View style={[styles.innerFill, { width: innerSize, height: innerSize, borderRadius: innerSize / 2 }]} />
+            ) : null}
+
+            {/* day number label in center */}
+            <Text style={styles.dayText} maxFontSizeMultiplier={MAX_FONT_SCALE}>{cell.day}</Text>
+
+            {/* corner mark for a day over the caffeine limit */}
+            {overCaffeine(cell.iso) ? <View style={styles.caffeineMark} /> : null}
+          </View>
+        )}
+      </Pressable>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={[styles.modal, { margin: 16 }]}>
+        {/* header with period label and navigation */}
+        <View style={styles.calendarHeader}>
+          <TouchableOpacity onPress={() => shift(-1)} style={styles.navBtn} accessibilityLabel={t(`calendar.previous.${period}`)}>
+            <Text style={styles.navText}>◀</Text>
+          </TouchableOpacity>
+
+          <View style={{ alignItems: 'center' }}>
+            <Text style={styles.calendarTitle}>{title}</Text>
+          </View>
+
+          <TouchableOpacity onPress={() => shift(1)} disabled={atLatest} style={styles.navBtn} accessibilityLabel={t(`calendar.next.${period}`)}>
+            <Text style={[styles.navText, atLatest && styles.navTextDisabled]}>▶</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* week/month, rings/heatmap and (with several profiles) mine/household */}
+        <View style={styles.calendarToggles}>
+          {renderToggle([['month', t('calendar.month')], ['week', t('calendar.week')]], period, changePeriod)}
+          {renderToggle([['rings', t('calendar.rings')], ['heatmap', t('calendar.heatmap')]], style, setStyle)}
+          {household
+            ? renderToggle([['mine', t('calendar.mine')], ['household', t('calendar.household')]], mode, setMode)
+            : null}
+        </View>
+
+        {/* weekday labels */}
+        <View style={styles.weekRow}>
+          {weekdayNames('short', firstDayOfWeek).map(w => (
+            <Text key={w} style={styles.weekDay} maxFontSizeMultiplier={MAX_FONT_SCALE}>{w}</Text>
+          ))}
+        </View>
+
+        {/* calendar grid: 7 columns sized to the available width */}
+        <View style={styles.grid} onLayout={e => setCellSize(Math.floor(e.nativeEvent.layout.width / 7))}>
+          {cells.map((cell, idx) => (cell ? renderDay(cell) : <View key={`b${idx}`} style={styles.cellEmpty} />))}
+        </View>
+
+        {/* what the corner mark means, when any shown day has it */}
+        {anyOverCaffeine ? (
+          <View style={styles.caffeineLegend}>
+            <View style={[styles.caffeineMark, { position: 'relative' }]} />
+            <Text style={styles.itemSub}>{t('calendar.overCaffeine', { limit: formatNumber(intake.caffeineLimitMg) })}</Text>
+          </View>
+        ) : null}
+
+        {/* range selection summary */}
+        {pickingRangeEnd ? (
+          <Text style={styles.calendarProgressAlt}>{t('calendar.rangeEndHint')}</Text>
+        ) : summary ? (
+          <View style={styles.breakdown}>
+            <View style={styles.breakdownRow}>
+              <Text style={styles.breakdownName}>
+                {t('calendar.rangeTotal', { count: summary.days, total: formatVolume(summary.total, unit) })}
+              </Text>
+              <TouchableOpacity onPress={() => setRange(null)} style={styles.navBtn}>
+                <Text style={styles.goalEditText}>{t('calendar.clear')}</Text>
+              </TouchableOpacity>
+            </View>
+            <Text style={styles.itemSub}>
+              {t('calendar.rangeAverage', { average: formatVolume(summary.average, unit) })}
+              {summary.hitRate != null
+                ? ` • ${t('calendar.rangeHitRate', {
+                  reached: summary.daysReached,
+                  count: summary.daysWithGoal,
+                  percent: formatNumber(summary.hitRate, { style: 'percent' }),
+                })}`
+                : ''}
+            </Text>
+          </View>
+        ) : null}
+
+        {/* progress summary moved below the calendar grid */}
+        <View style={{ marginTop: 8, alignItems: 'center' }}>
+          {showHousehold ? (
+            selectedKey ? (
+              <View style={{ alignSelf: 'stretch' }}>
+                <Text style={styles.calendarProgress}>
+                  {formatDate(parseDateKey(selectedKey), { month: 'long', day: 'numeric' })}
+                </Text>
+                {householdDay(household, selectedKey).map(m => (
+                  <View key={m.id} style={styles.breakdownRow}>
+                    <Text style={styles.breakdownName}>{m.name}</Text>
+                    <Text style={m.reached ? styles.goalReached : styles.itemSub}>
+                      {formatVolume(m.total, unit)}
+                      {m.target != null ? ` / ${formatVolume(m.target, unit)}` : ''}
+                      {m.reached ? ' ✓' : ''}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+            ) : (
+              <Text style={styles.calendarProgressAlt}>{t('calendar.householdHint')}</Text>
+            )
+          ) : hasGoal ? (
+            <Text style={styles.calendarProgress}>
+              {t('calendar.progress', { reached: daysReached, count: days.length })}
+            </Text>
+          ) : (
+            <Text style={styles.calendarProgressAlt}>{t('home.noGoal')}</Text>
+          )}
+        </View>
+
+        {/* back button styled like the modal action */}
+        <View style={{ marginTop: 12, alignItems: 'flex-end' }}>
+          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+export default CalendarScreen;
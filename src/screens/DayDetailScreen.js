@@ -0,0 +1,125 @@
+import React from 'react';
+import { SafeAreaView, View, Text, TouchableOpacity, FlatList } from 'react-native';
+
+import EntryCard from '../components/EntryCard';
+import { parseDateKey } from '../dates';
+import { useTheme } from '../styles';
+import { formatVolume } from '../units';
+import { beverageName, breakdownByBeverage } from '../beverages';
+import GoalBreakdown from '../components/GoalBreakdown';
+import { formatDate, formatNumber, t } from '../i18n';
+
+/**
+ * DayDetailScreen
+ * - Full entry list for one day (opened from the calendar), with edit / delete
+ * - Props:
+ *    dateKey: 'YYYY-MM-DD' of the day shown
+ *    entries: entries that belong to that day
+ *    total: hydrated ounces for the day (what counts toward the goal)
+ *    goalOunces: that day's target (goal + workout bonus) or null
+ *    baseGoal: the goal that applied on that day, before workouts (number) or null
+ *    activities: workouts logged that day
+ *    onDeleteActivity: called with a workout id to remove it
+ *    unit: display unit for amounts
+ *    beverages: beverage list, for entry names and the per-drink breakdown
+ *    timeOfDayStarts: bucket start hours, passed through to the entry cards
+ *    onEdit / onDelete: entry actions, same as on the home screen
+ *    onBack: callback to return to the calendar
+ */
+function DayDetailScreen({
+  dateKey,
+  entries,
+  total,
+  goalOunces,
+  baseGoal,
+  activities,
+  unit,
+  beverages,
+  timeOfDayStarts,
+  onEdit,
+  onDelete,
+  onDeleteActivity,
+  onBack,
+}) {
+  const { styles, colors } = useTheme();
+  const dateStr = formatDate(parseDateKey(dateKey), {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+  });
+
+  const breakdown = breakdownByBeverage(entries, beverages);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={[styles.modal, { margin: 16, flex: 1 }]}>
+        <Text style={styles.modalTitle}>{dateStr}</Text>
+
+        <FlatList
+          data={entries}
+          keyExtractor={item => item.id}
+          renderItem={({ item }) => (
+            <EntryCard
+              entry={item}
+              unit={unit}
+              beverages={beverages}
+              timeOfDayStarts={timeOfDayStarts}
+              onEdit={onEdit}
+              onDelete={onDelete}
+            />
+          )}
+          ListEmptyComponent={<Text style={styles.emptyText}>{t('home.emptyDay')}</Text>}
+          style={styles.list}
+        />
+
+        {/* per-drink breakdown: volume drunk and how much of it counted */}
+        {breakdown.length ? (
+          <View style={styles.breakdown}>
+            {breakdown.map(g => (
+              <View key={g.beverage.id} style={styles.breakdownRow}>
+                <Text style={styles.breakdownName}>{beverageName(g.beverage)} ({g.count})</Text>
+                <Text style={styles.itemSub}>
+                  {formatVolume(g.volume, unit)}
+                  {g.hydrated !== g.volume ? ` → ${formatVolume(g.hydrated, unit)}` : ''}
+                  {g.caffeineMg > 0 ? ` • ${t('day.caffeine', { mg: formatNumber(Math.round(g.caffeineMg)) })}` : ''}
+                  {g.sugarG > 0 ? ` • ${t('day.sugar', { g: formatNumber(Math.round(g.sugarG)) })}` : ''}
+                </Text>
+              </View>
+            ))}
+          </View>
+        ) : null}
+
+        {/* day total vs goal */}
+        <View style={styles.totalRow}>
+          <View>
+            <Text style={styles.totalLabel}>{t('home.total')}</Text>
+            <Text style={styles.totalValue}>{formatVolume(total, unit)}</Text>
+          </View>
+
+          <View style={{ alignItems: 'flex-end' }}>
+            {goalOunces == null ? (
+              <Text style={styles.goalHint}>{t('home.noGoal')}</Text>
+            ) : total < goalOunces ? (
+              <Text style={styles.remaining}>{t('day.short', { volume: formatVolume(goalOunces - total, unit) })}</Text>
+            ) : (
+              <Text style={styles.goalReached}>{t('home.goalReached')}</Text>
+            )}
+          </View>
+        </View>
+
+        {/* base goal + workout bonuses */}
+        <GoalBreakdown baseGoal={baseGoal} activities={activities} unit={unit} onDelete={onDeleteActivity} />
+
+        {/* back button styled like the modal action */}
+        <View style={{ marginTop: 12, alignItems: 'flex-end' }}>
+          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+export default DayDetailScreen;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { SafeAreaView, View, Text, TouchableOpacity, FlatList } from 'react-native';
+
+import { parseDateKey } from '../dates';
+import { useTheme } from '../styles';
+import { formatVolume } from '../units';
+import { formatDate, formatDateTime, t } from '../i18n';
+
+/**
+ * GoalHistoryScreen
+ * - Every goal change, newest first: old -> new goal, the day it took effect and the reason
+ * - Props:
+ *    onBack: callback to return to the home screen
+ *    goalHistory: [{ id, ounces, effectiveDate, changedAt, reason }] sorted by effectiveDate
+ *    unit: display unit for the goals
+ */
+function GoalHistoryScreen({ onBack, goalHistory, unit }) {
+  const { styles, colors } = useTheme();
+  // pair each change with the goal it replaced, then show the latest change first
+  const changes = goalHistory
+    .map((record, i) => ({ ...record, previous: i > 0 ? goalHistory[i - 1].ounces : null }))
+    .reverse();
+
+  function renderItem({ item }) {
+    const effective = formatDate(parseDateKey(item.effectiveDate), {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+    const changed = formatDateTime(item.changedAt, {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+
+    return (
+      <View style={styles.card}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.itemName}>
+            {item.previous != null ? `${formatVolume(item.previous, unit)} → ` : ''}
+            {formatVolume(item.ounces, unit)}
+          </Text>
+          <Text style={styles.itemSub}>{t('goalHistory.changed', { effective, changed })}</Text>
+          {item.reason ? <Text style={styles.itemSub}>{item.reason}</Text> : null}
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={[styles.modal, { margin: 16, flex: 1 }]}>
+        <Text style={styles.modalTitle}>{t('goalHistory.title')}</Text>
+
+        <FlatList
+          data={changes}
+          keyExtractor={item => item.id}
+          renderItem={renderItem}
+          ListEmptyComponent={<Text style={styles.emptyText}>{t('goalHistory.empty')}</Text>}
+          style={styles.list}
+        />
+
+        {/* back button styled like the modal action */}
+        <View style={{ marginTop: 12, alignItems: 'flex-end' }}>
+          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+export default GoalHistoryScreen;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { SafeAreaView, View, Text, TouchableOpacity, Modal, TextInput, FlatList, Alert } from 'react-native';
+
+import { useTheme } from '../styles';
+import { t } from '../i18n';
+
+/**
+ * HouseholdScreen
+ * - Add, rename and delete the profiles sharing this device; each has its own entries, goal,
+ *   units and reminders
+ * - Props:
+ *    onBack: callback to return to the home screen
+ *    members: [{ id, name }] household members
+ *    activeMemberId: id of the profile in use (marked in the list)
+ *    onAdd: called with a name for a new, empty profile
+ *    onRename: called with (id, name)
+ *    onDelete: called with an id; never offered for the last profile
+ */
+function HouseholdScreen({ onBack, members, activeMemberId, onAdd, onRename, onDelete }) {
+  const { styles, colors } = useTheme();
+  // name modal: editingId is null when adding a profile
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState('');
+
+  function openEditor(member = null) {
+    setEditingId(member ? member.id : null);
+    setName(member ? member.name : '');
+    setModalVisible(true);
+  }
+
+  function saveName() {
+    if (!name.trim()) {
+      Alert.alert(t('household.missingNameTitle'), t('household.missingNameMessage'));
+      return;
+    }
+    if (editingId) onRename(editingId, name.trim());
+    else onAdd(name.trim());
+    setModalVisible(false);
+  }
+
+  // confirm and delete a profile together with all of its data
+  function confirmDelete(member) {
+    Alert.alert(t('household.deleteTitle'), t('household.deleteMessage', { name: member.name }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      { text: t('common.delete'), style: 'destructive', onPress: () => onDelete(member.id) },
+    ]);
+  }
+
+  function renderItem({ item }) {
+    return (
+      <View style={styles.card}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.itemName}>{item.name}</Text>
+          {item.id === activeMemberId ? <Text style={styles.itemSub}>{t('household.inUse')}</Text> : null}
+        </View>
+
+        <View style={styles.actionRow}>
+          <TouchableOpacity onPress={() => openEditor(item)} style={[styles.smallBtn, styles.editBtn]}>
+            <Text style={styles.smallBtnText}>{t('common.rename')}</Text>
+          </TouchableOpacity>
+          {members.length > 1 ? (
+            <TouchableOpacity onPress={() => confirmDelete(item)} style={[styles.smallBtn, styles.deleteBtn]}>
+              <Text style={[styles.smallBtnText, { color: colors.danger }]}>{t('common.delete')}</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={[styles.modal, { margin: 16, flex: 1 }]}>
+        <Text style={styles.modalTitle}>{t('household.title')}</Text>
+
+        <FlatList data={members} keyExtractor={item => item.id} renderItem={renderItem} style={styles.list} />
+
+        <View style={styles.modalActions}>
+          <TouchableOpacity onPress={() => openEditor()} style={[styles.modalBtn, styles.modalCancel]}>
+            <Text style={styles.modalBtnText}>{t('household.add')}</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Add / Rename Profile Modal */}
+      <Modal
+        visible={modalVisible}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setModalVisible(false)}
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modal}>
+            <Text style={styles.modalTitle}>{editingId ? t('household.renameTitle') : t('household.addTitle')}</Text>
+
+            <Text style={styles.inputLabel}>{t('household.name')}</Text>
+            <TextInput
+              value={name}
+              onChangeText={setName}
+              placeholder={t('household.namePlaceholder')}
+              placeholderTextColor={colors.textSecondary}
+              style={styles.input}
+            />
+
+            <View style={styles.modalActions}>
+              <TouchableOpacity onPress={() => setModalVisible(false)} style={[styles.modalBtn, styles.modalCancel]}>
+                <Text style={styles.modalBtnText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity onPress={saveName} style={[styles.modalBtn, styles.modalAdd]}>
+                <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{editingId ? t('common.save') : t('common.add')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+}
+
+export default HouseholdScreen;
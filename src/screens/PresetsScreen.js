@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { SafeAreaView, View, Text, TouchableOpacity, Modal, TextInput, FlatList, Pressable, Alert } from 'react-native';
+
+import { useTheme } from '../styles';
+import { UNITS, formatVolume, toOunces, unitLabel } from '../units';
+import { DEFAULT_BEVERAGE_ID, activeBeverages, beverageName, findBeverage } from '../beverages';
+import { movePreset, presetName, sanitizePreset } from '../presets';
+import { formatNumber, t } from '../i18n';
+import { parseAmount } from '../validation';
+
+/**
+ * PresetsScreen
+ * - Create, reorder and delete the one-tap quick-add presets shown on the home screen
+ * - Props:
+ *    onBack: callback to return to settings
+ *    presets: current preset list (home screen order)
+ *    onChangePresets: setState-style updater for the list
+ *    unit: unit new preset amounts are typed in
+ *    beverages: beverage list for the drink picker
+ */
+function PresetsScreen({ onBack, presets, onChangePresets, unit, beverages }) {
+  const { styles, colors } = useTheme();
+  // add modal state
+  const [modalVisible, setModalVisible] = useState(false);
+  const [name, setName] = useState('');
+  const [amount, setAmount] = useState('');
+  const [beverageId, setBeverageId] = useState(DEFAULT_BEVERAGE_ID);
+
+  function openEditor() {
+    setName('');
+    setAmount('');
+    setBeverageId(DEFAULT_BEVERAGE_ID);
+    setModalVisible(true);
+  }
+
+  function savePreset() {
+    const { value, error } = parseAmount(amount);
+    if (!name.trim()) {
+      Alert.alert(t('presetsScreen.missingNameTitle'), t('presetsScreen.missingNameMessage'));
+      return;
+    }
+    if (error) {
+      Alert.alert(t('entry.invalidTitle'), t('entry.invalidAmount', { unit: unitLabel(unit) }));
+      return;
+    }
+
+    const preset = sanitizePreset({ id: Date.now().toString(), name, amount: value, unit, beverageId });
+    onChangePresets(prev => [...prev, preset]);
+    setModalVisible(false);
+  }
+
+  // confirm and delete a preset (entries logged with it are unaffected)
+  function confirmDelete(preset) {
+    Alert.alert(t('presetsScreen.deleteTitle'), t('presetsScreen.deleteMessage', { name: presetName(preset) }), [
+      { text: t('common.cancel'), style: 'cancel' },
+      {
+        text: t('common.delete'),
+        style: 'destructive',
+        onPress: () => onChangePresets(prev => prev.filter(p => p.id !== preset.id)),
+      },
+    ]);
+  }
+
+  function renderItem({ item, index }) {
+    const beverage = findBeverage(beverages, item.beverageId);
+    return (
+      <View style={styles.card}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.itemName}>{presetName(item)}</Text>
+          <Text style={styles.itemSub}>{formatVolume(toOunces(item.amount, item.unit), unit)} • {beverageName(beverage)}</Text>
+        </View>
+
+        {/* reorder + delete */}
+        <View style={styles.actionRow}>
+          <TouchableOpacity
+            onPress={() => onChangePresets(prev => movePreset(prev, index, -1))}
+            disabled={index === 0}
+            style={styles.navBtn}
+            accessibilityLabel={t('presetsScreen.moveUp', { name: presetName(item) })}
+          >
+            <Text style={[styles.navText, index === 0 && styles.navTextDisabled]}>▲</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            onPress={() => onChangePresets(prev => movePreset(prev, index, 1))}
+            disabled={index === presets.length - 1}
+            style={styles.navBtn}
+            accessibilityLabel={t('presetsScreen.moveDown', { name: presetName(item) })}
+          >
+            <Text style={[styles.navText, index === presets.length - 1 && styles.navTextDisabled]}>▼</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => confirmDelete(item)} style={[styles.smallBtn, styles.deleteBtn]}>
+            <Text style={[styles.smallBtnText, { color: colors.danger }]}>{t('common.delete')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={[styles.modal, { margin: 16, flex: 1 }]}>
+        <Text style={styles.modalTitle}>{t('settings.presets')}</Text>
+
+        <FlatList
+          data={presets}
+          keyExtractor={item => item.id}
+          renderItem={renderItem}
+          ListEmptyComponent={<Text style={styles.emptyText}>{t('presetsScreen.empty')}</Text>}
+          style={styles.list}
+        />
+
+        <View style={styles.modalActions}>
+          <TouchableOpacity onPress={openEditor} style={[styles.modalBtn, styles.modalCancel]}>
+            <Text style={styles.modalBtnText}>{t('presetsScreen.add')}</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Add Preset Modal */}
+      <Modal
+        visible={modalVisible}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setModalVisible(false)}
+      >
+        <View style={styles.modalBackdrop}>
+          <View style={styles.modal}>
+            <Text style={styles.modalTitle}>{t('presetsScreen.addTitle')}</Text>
+
+            <Text style={styles.inputLabel}>{t('presetsScreen.name')}</Text>
+            <TextInput
+              value={name}
+              onChangeText={setName}
+              placeholder={t('presetsScreen.namePlaceholder')}
+              placeholderTextColor={colors.textSecondary}
+              style={styles.input}
+            />
+
+            <Text style={[styles.inputLabel, { marginTop: 12 }]}>{t('entry.amount', { unit: unitLabel(unit) })}</Text>
+            <TextInput
+              value={amount}
+              onChangeText={setAmount}
+              keyboardType="numeric"
+              placeholder={t('common.example', { value: formatNumber(UNITS[unit].entryExample) })}
+              placeholderTextColor={colors.textSecondary}
+              style={styles.input}
+            />
+
+            <Text style={[styles.inputLabel, { marginTop: 12 }]}>{t('entry.drink')}</Text>
+            <View style={styles.timeRow}>
+              {activeBeverages(beverages).map(b => (
+                <Pressable
+                  key={b.id}
+                  onPress={() => setBeverageId(b.id)}
+                  style={[styles.timeButton, beverageId === b.id && styles.timeButtonActive]}
+                >
+                  <Text style={[styles.timeButtonText, beverageId === b.id && styles.timeButtonTextActive]}>
+                    {beverageName(b)}
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+
+            <View style={styles.modalActions}>
+              <TouchableOpacity onPress={() => setModalVisible(false)} style={[styles.modalBtn, styles.modalCancel]}>
+                <Text style={styles.modalBtnText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity onPress={savePreset} style={[styles.modalBtn, styles.modalAdd]}>
+                <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.add')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+}
+
+export default PresetsScreen;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { SafeAreaView, ScrollView, View, Text, TouchableOpacity, TextInput, Pressable } from 'react-native';
+
+import { useTheme } from '../styles';
+import { ACTIVITY_LEVELS, CLIMATES, LIFE_STAGES, WEIGHT_UNITS, optionLabel, suggestGoal } from '../goalCalculator';
+import { formatVolume } from '../units';
+import { t } from '../i18n';
+import { parseDecimal } from '../validation';
+
+/**
+ * ProfileScreen
+ * - Optional profile the goal suggestion is calculated from; nothing here changes the goal itself
+ * - Props:
+ *    onBack: callback to return to the previous screen
+ *    profile: settings.profile (see goalCalculator.DEFAULT_PROFILE)
+ *    onChangeProfile: called with the updated profile
+ *    unit: display unit for the suggestion preview
+ */
+function ProfileScreen({ onBack, profile, onChangeProfile, unit }) {
+  const { styles, colors } = useTheme();
+  // weight is typed freely and only saved once it reads as a positive number (blank clears it)
+  const [weightText, setWeightText] = useState(profile.weight != null ? String(profile.weight) : '');
+
+  function changeWeight(text) {
+    setWeightText(text);
+    if (!text.trim()) {
+      onChangeProfile({ ...profile, weight: null });
+      return;
+    }
+    const w = parseDecimal(text);
+    if (!Number.isNaN(w) && w > 0 && w < 1500) onChangeProfile({ ...profile, weight: w });
+  }
+
+  const suggestion = suggestGoal(profile);
+
+  // one row of option chips for a profile field
+  function renderChoices(field, options) {
+    return (
+      <View style={styles.timeRow}>
+        {options.map(o => (
+          <Pressable
+            key={o.id}
+            onPress={() => onChangeProfile({ ...profile, [field]: o.id })}
+            style={[styles.timeButton, profile[field] === o.id && styles.timeButtonActive]}
+          >
+            <Text style={[styles.timeButtonText, profile[field] === o.id && styles.timeButtonTextActive]}>
+              {optionLabel(field, o.id)}
+            </Text>
+          </Pressable>
+        ))}
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView style={[styles.modal, { margin: 16 }]}>
+        <Text style={styles.modalTitle}>{t('settings.profile')}</Text>
+        <Text style={styles.settingHint}>{t('profileScreen.hint')}</Text>
+
+        {/* body weight + unit */}
+        <Text style={styles.inputLabel}>{t('profileScreen.weight')}</Text>
+        <View style={styles.settingRow}>
+          <TextInput
+            value={weightText}
+            onChangeText={changeWeight}
+            keyboardType="numeric"
+            placeholder={t('common.example', { value: profile.weightUnit === 'kg' ? 70 : 150 })}
+            placeholderTextColor={colors.textSecondary}
+            style={[styles.input, { flex: 1, marginRight: 8 }]}
+          />
+          <View style={styles.timeRow}>
+            {WEIGHT_UNITS.map(u => (
+              <Pressable
+                key={u}
+                onPress={() => onChangeProfile({ ...profile, weightUnit: u })}
+                style={[styles.timeButton, profile.weightUnit === u && styles.timeButtonActive]}
+              >
+                <Text style={[styles.timeButtonText, profile.weightUnit === u && styles.timeButtonTextActive]}>{u}</Text>
+              </Pressable>
+            ))}
+          </View>
+        </View>
+
+        <Text style={styles.inputLabel}>{t('profileScreen.activity')}</Text>
+        {renderChoices('activity', ACTIVITY_LEVELS)}
+
+        <Text style={styles.inputLabel}>{t('profileScreen.climate')}</Text>
+        {renderChoices('climate', CLIMATES)}
+
+        <Text style={styles.inputLabel}>{t('profileScreen.lifeStage')}</Text>
+        {renderChoices('lifeStage', LIFE_STAGES)}
+
+        {/* preview of what the goal modal will suggest */}
+        <View style={styles.breakdown}>
+          {suggestion ? (
+            <Text style={styles.settingLabel}>{t('profileScreen.suggested', { volume: formatVolume(suggestion.ounces, unit) })}</Text>
+          ) : (
+            <Text style={styles.itemSub}>{t('profileScreen.noWeight')}</Text>
+          )}
+        </View>
+
+        {/* back button styled like the modal action */}
+        <View style={{ marginTop: 12, alignItems: 'flex-end' }}>
+          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+export default ProfileScreen;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { SafeAreaView, View, Text, TouchableOpacity, FlatList } from 'react-native';
+
+import { useTheme } from '../styles';
+import { entryOunces, formatVolume } from '../units';
+import { beverageName, findBeverage } from '../beverages';
+import { TRASH_DAYS, daysLeft, describeLogItem } from '../changeLog';
+import { formatDate, formatDateTime, t } from '../i18n';
+
+/**
+ * RecentlyDeletedScreen
+ * - Entries deleted in the last TRASH_DAYS days, most recently deleted first, each with its
+ *   change log and a Restore action
+ * - Props:
+ *    onBack: callback to return to settings
+ *    deletedEntries: entries with a `deletedAt` stamp, still inside the restore window
+ *    unit: display unit for amounts
+ *    beverages: beverage list, for drink names
+ *    onRestore: called with an entry id to put it back
+ */
+function RecentlyDeletedScreen({ onBack, deletedEntries, unit, beverages, onRestore }) {
+  const { styles, colors } = useTheme();
+  const sorted = [...deletedEntries].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  const now = new Date();
+
+  function renderItem({ item }) {
+    const logged = formatDateTime(item.createdAt, {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+    const left = daysLeft(item, now);
+
+    return (
+      <View style={styles.card}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.itemName}>
+            {formatVolume(entryOunces(item), unit)} {beverageName(findBeverage(beverages, item.beverageId)).toLowerCase()}
+          </Text>
+          <Text style={styles.itemSub}>{t('deleted.logged', { date: logged })} • {t('deleted.daysLeft', { count: left })}</Text>
+
+          {/* change log, oldest first */}
+          {item.log.map((logItem, i) => (
+            <Text key={i} style={styles.settingHint}>
+              {formatDate(logItem.at, { month: 'short', day: 'numeric' })}
+              {' — '}
+              {describeLogItem(logItem, { unit, beverages })}
+            </Text>
+          ))}
+        </View>
+
+        <View style={styles.actionRow}>
+          <TouchableOpacity
+            onPress={() => onRestore(item.id)}
+            style={[styles.smallBtn, styles.editBtn]}
+            accessibilityLabel={t('deleted.restoreLabel')}
+          >
+            <Text style={styles.smallBtnText}>{t('common.restore')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={[styles.modal, { margin: 16, flex: 1 }]}>
+        <Text style={styles.modalTitle}>{t('deleted.title')}</Text>
+
+        <FlatList
+          data={sorted}
+          keyExtractor={item => item.id}
+          renderItem={renderItem}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>{t('deleted.empty', { days: TRASH_DAYS })}</Text>
+          }
+          style={styles.list}
+        />
+
+        {/* back button styled like the modal action */}
+        <View style={{ marginTop: 12, alignItems: 'flex-end' }}>
+          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+export default RecentlyDeletedScreen;
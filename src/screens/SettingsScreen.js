@@ -0,0 +1,459 @@
+import React, { useState, useEffect } from 'react';
+import { SafeAreaView, ScrollView, View, Text, TouchableOpacity, Pressable, Alert, Switch, TextInput } from 'react-native';
+
+import { useTheme } from '../styles';
+import { UNITS, roundedAmount, toOunces, unitLabel } from '../units';
+import { TIMES, setTimeOfDayStart, timeOfDayLabel } from '../timeOfDay';
+import { ensureNotificationPermission } from '../notifications';
+import { TRASH_DAYS } from '../changeLog';
+import { DEFAULT_LANGUAGE, LANGUAGES, formatTime, t, weekdayNames } from '../i18n';
+import { ACCENTS, THEME_MODES } from '../theme';
+import { parseAmount, parseOptionalAmount } from '../validation';
+
+// week start choices offered in settings (null follows the device)
+const WEEK_STARTS = [null, 0, 1, 6];
+
+// settings.limits fields, in the order they're listed
+const LIMIT_FIELDS = ['entryOunces', 'dayOunces'];
+
+// settings.intake fields, in the order they're listed: the caffeine limit in mg, water per
+// standard drink in the display unit
+const INTAKE_FIELDS = ['caffeineLimitMg', 'alcoholOffsetOunces'];
+
+// a typed intake setting: the caffeine limit has to be above 0, water per drink can be 0 (off)
+function parseIntakeField(key, text) {
+  return key === 'caffeineLimitMg' || !String(text).trim() ? parseAmount(text) : parseOptionalAmount(text);
+}
+
+// label minutes after midnight for a stepper in the current locale, e.g. 0 -> '12:00 AM (midnight)'
+function formatClock(minutes) {
+  const label = formatTime(new Date(2000, 0, 1, 0, minutes));
+  return minutes % (24 * 60) === 0 ? t('settings.midnight', { time: label }) : label;
+}
+
+// label an hour of the day for the stepper, e.g. 16 -> '4:00 PM'
+function formatHour(hour) {
+  return formatClock(hour * 60);
+}
+
+/**
+ * SettingsScreen
+ * - Edits user preferences that are saved with the data
+ * - Props:
+ *    onBack: callback to return to home screen
+ *    onOpenBeverages: open the drink list editor
+ *    onOpenPresets: open the quick-add preset editor
+ *    onOpenBackup: open export / import
+ *    onOpenDeleted: open the recently deleted entries
+ *    onOpenProfile: open the profile used for the goal suggestion
+ *    settings: current settings object (see storage.createDefaultSettings)
+ *    onChangeSettings: setState-style updater for settings
+ *    onReclassifyEntries: clear hand-picked times of day on every entry
+ */
+function SettingsScreen({
+  onBack,
+  onOpenBeverages,
+  onOpenPresets,
+  onOpenBackup,
+  onOpenDeleted,
+  onOpenProfile,
+  settings,
+  onChangeSettings,
+  onReclassifyEntries,
+}) {
+  const { styles, colors, dark } = useTheme();
+
+  // the sanity limits as typed, in the display unit. The screen stays mounted, so whenever the
+  // settings change (another profile, an import, the unit) a field is refilled from the saved
+  // limit unless what's typed there already means that limit
+  const limitTexts = typed => Object.fromEntries(LIMIT_FIELDS.map(key => {
+    const parsed = typed && parseAmount(typed[key]);
+    const current = parsed && !parsed.error && toOunces(parsed.value, settings.unit) === settings.limits[key];
+    return [key, current ? typed[key] : String(roundedAmount(settings.limits[key], settings.unit))];
+  }));
+  const [limitText, setLimitText] = useState(() => limitTexts());
+  useEffect(() => setLimitText(limitTexts), [settings]);
+
+  // keep what's typed; only a valid amount changes the saved limit
+  function changeLimit(key, text) {
+    setLimitText(prev => ({ ...prev, [key]: text }));
+    const { value, error } = parseAmount(text);
+    if (!error) onChangeSettings(s => ({ ...s, limits: { ...s.limits, [key]: toOunces(value, s.unit) } }));
+  }
+
+  // the intake settings as typed, refilled like the limits above
+  const intakeValue = (key, value) => (key === 'alcoholOffsetOunces' ? toOunces(value, settings.unit) : value);
+  const intakeTexts = typed => Object.fromEntries(INTAKE_FIELDS.map(key => {
+    const parsed = typed && parseIntakeField(key, typed[key]);
+    const current = parsed && !parsed.error && intakeValue(key, parsed.value) === settings.intake[key];
+    const saved = key === 'alcoholOffsetOunces'
+      ? roundedAmount(settings.intake[key], settings.unit)
+      : settings.intake[key];
+    return [key, current ? typed[key] : String(saved)];
+  }));
+  const [intakeText, setIntakeText] = useState(() => intakeTexts());
+  useEffect(() => setIntakeText(intakeTexts), [settings]);
+
+  function changeIntake(key, text) {
+    setIntakeText(prev => ({ ...prev, [key]: text }));
+    const { value, error } = parseIntakeField(key, text);
+    if (error) return;
+    onChangeSettings(s => ({
+      ...s,
+      intake: { ...s.intake, [key]: key === 'alcoholOffsetOunces' ? toOunces(value, s.unit) : value },
+    }));
+  }
+
+  // move the day start hour by +/-1, wrapping around midnight
+  function stepDayStart(delta) {
+    onChangeSettings(s => ({ ...s, dayStartHour: (s.dayStartHour + delta + 24) % 24 }));
+  }
+
+  // move a time-of-day bucket's start hour by +/-1 (kept between its neighbours)
+  function stepTimeOfDayStart(bucket, delta) {
+    onChangeSettings(s => ({
+      ...s,
+      timeOfDayStarts: setTimeOfDayStart(s.timeOfDayStarts, bucket, s.timeOfDayStarts[bucket] + delta),
+    }));
+  }
+
+  // merge a change into the reminder settings
+  function updateReminders(patch) {
+    onChangeSettings(s => ({ ...s, reminders: { ...s.reminders, ...patch } }));
+  }
+
+  // turning reminders on needs notification permission first
+  async function toggleReminders(enabled) {
+    if (enabled && !(await ensureNotificationPermission())) {
+      Alert.alert(t('settings.notificationsOffTitle'), t('settings.notificationsOffMessage'));
+      return;
+    }
+    updateReminders({ enabled });
+  }
+
+  // step the reminder interval (15 min .. 4 h) and active window (30 min steps, start < end)
+  function stepInterval(delta) {
+    updateReminders({ intervalMinutes: Math.min(Math.max(settings.reminders.intervalMinutes + delta, 15), 240) });
+  }
+  function stepActive(key, delta) {
+    const { activeFrom, activeUntil } = settings.reminders;
+    const next = settings.reminders[key] + delta;
+    const valid = key === 'activeFrom' ? next >= 0 && next < activeUntil : next > activeFrom && next <= 24 * 60;
+    if (valid) updateReminders({ [key]: next });
+  }
+
+  function confirmReclassify() {
+    Alert.alert(
+      t('settings.reclassifyTitle'),
+      t('settings.reclassifyMessage'),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('settings.reclassify'), style: 'destructive', onPress: onReclassifyEntries },
+      ]
+    );
+  }
+
+  // one row of option chips; options are [value, label] pairs
+  function renderChoices(options, value, onChange) {
+    return (
+      <View style={styles.timeRow}>
+        {options.map(([id, label]) => (
+          <Pressable
+            key={String(id)}
+            onPress={() => onChange(id)}
+            style={[styles.timeButton, value === id && styles.timeButtonActive]}
+            accessibilityState={{ selected: value === id }}
+          >
+            <Text style={[styles.timeButtonText, value === id && styles.timeButtonTextActive]}>{label}</Text>
+          </Pressable>
+        ))}
+      </View>
+    );
+  }
+
+  const dayNames = weekdayNames('long');
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView style={[styles.modal, { margin: 16 }]}>
+        <Text style={styles.modalTitle}>{t('settings.title')}</Text>
+
+        {/* language: 'system' follows the phone, dates and numbers follow the language's locale */}
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>{t('settings.language')}</Text>
+        </View>
+        {renderChoices(
+          [[DEFAULT_LANGUAGE, t('settings.systemLanguage')], ...Object.keys(LANGUAGES).map(id => [id, LANGUAGES[id].name])],
+          settings.language,
+          language => onChangeSettings(s => ({ ...s, language }))
+        )}
+
+        {/* first column of the calendar */}
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>{t('settings.weekStart')}</Text>
+        </View>
+        {renderChoices(
+          WEEK_STARTS.map(day => [day, day === null ? t('settings.weekStartAuto') : dayNames[day]]),
+          settings.firstDayOfWeek,
+          firstDayOfWeek => onChangeSettings(s => ({ ...s, firstDayOfWeek }))
+        )}
+
+        {/* appearance: light/dark (or follow the device), high contrast and the accent color */}
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>{t('settings.theme')}</Text>
+        </View>
+        {renderChoices(
+          THEME_MODES.map(mode => [mode, t(`settings.themes.${mode}`)]),
+          settings.theme,
+          theme => onChangeSettings(s => ({ ...s, theme }))
+        )}
+        <View style={styles.settingRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.settingLabel}>{t('settings.highContrast')}</Text>
+            <Text style={styles.settingHint}>{t('settings.highContrastHint')}</Text>
+          </View>
+          <Switch
+            value={settings.highContrast}
+            onValueChange={highContrast => onChangeSettings(s => ({ ...s, highContrast }))}
+            trackColor={{ true: colors.accent }}
+          />
+        </View>
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>{t('settings.accent')}</Text>
+        </View>
+        <View style={styles.timeRow}>
+          {Object.keys(ACCENTS).map(id => (
+            <Pressable
+              key={id}
+              onPress={() => onChangeSettings(s => ({ ...s, accent: id }))}
+              style={[
+                styles.accentSwatch,
+                { backgroundColor: ACCENTS[id][dark ? 'dark' : 'light'] },
+                settings.accent === id && styles.accentSwatchActive,
+              ]}
+              accessibilityRole="button"
+              accessibilityLabel={t(`settings.accents.${id}`)}
+              accessibilityState={{ selected: settings.accent === id }}
+            />
+          ))}
+        </View>
+
+        {/* day start hour: entries before this hour count toward the previous day */}
+        <View style={styles.settingRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.settingLabel}>{t('settings.dayStart')}</Text>
+            <Text style={styles.settingHint}>{t('settings.dayStartHint')}</Text>
+          </View>
+
+          <View style={styles.stepper}>
+            <TouchableOpacity onPress={() => stepDayStart(-1)} style={styles.navBtn} accessibilityLabel={t('settings.earlier')}>
+              <Text style={styles.navText}>◀</Text>
+            </TouchableOpacity>
+            <Text style={styles.stepperValue}>{formatHour(settings.dayStartHour)}</Text>
+            <TouchableOpacity onPress={() => stepDayStart(1)} style={styles.navBtn} accessibilityLabel={t('settings.later')}>
+              <Text style={styles.navText}>▶</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* time-of-day boundaries used when an entry's time of day is "Auto" */}
+        <View style={styles.settingRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.settingLabel}>{t('settings.timeOfDay')}</Text>
+            <Text style={styles.settingHint}>{t('settings.timeOfDayHint')}</Text>
+          </View>
+        </View>
+        {TIMES.map(bucket => (
+          <View key={bucket} style={styles.settingRow}>
+            <Text style={styles.itemSub}>{timeOfDayLabel(bucket)}</Text>
+            <View style={styles.stepper}>
+              <TouchableOpacity
+                onPress={() => stepTimeOfDayStart(bucket, -1)}
+                style={styles.navBtn}
+                accessibilityLabel={t('settings.stepEarlier', { name: timeOfDayLabel(bucket) })}
+              >
+                <Text style={styles.navText}>◀</Text>
+              </TouchableOpacity>
+              <Text style={styles.stepperValue}>{formatHour(settings.timeOfDayStarts[bucket])}</Text>
+              <TouchableOpacity
+                onPress={() => stepTimeOfDayStart(bucket, 1)}
+                style={styles.navBtn}
+                accessibilityLabel={t('settings.stepLater', { name: timeOfDayLabel(bucket) })}
+              >
+                <Text style={styles.navText}>▶</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+        <View style={{ alignItems: 'flex-start' }}>
+          <TouchableOpacity onPress={confirmReclassify} style={[styles.calendarBtn, { marginLeft: 0 }]}>
+            <Text style={styles.calendarBtnText}>{t('settings.reclassifyAll')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* reminders: local notifications every interval during active hours, skipped when on pace */}
+        <View style={styles.settingRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.settingLabel}>{t('settings.reminders')}</Text>
+            <Text style={styles.settingHint}>{t('settings.remindersHint')}</Text>
+          </View>
+          <Switch value={settings.reminders.enabled} onValueChange={toggleReminders} />
+        </View>
+        {settings.reminders.enabled ? (
+          <>
+            <View style={styles.settingRow}>
+              <Text style={styles.itemSub}>{t('settings.every')}</Text>
+              <View style={styles.stepper}>
+                <TouchableOpacity onPress={() => stepInterval(-15)} style={styles.navBtn} accessibilityLabel={t('settings.lessOften')}>
+                  <Text style={styles.navText}>◀</Text>
+                </TouchableOpacity>
+                <Text style={styles.stepperValue}>{t('settings.minutes', { count: settings.reminders.intervalMinutes })}</Text>
+                <TouchableOpacity onPress={() => stepInterval(15)} style={styles.navBtn} accessibilityLabel={t('settings.moreOften')}>
+                  <Text style={styles.navText}>▶</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+            {[['activeFrom', t('settings.from')], ['activeUntil', t('settings.until')]].map(([key, label]) => (
+              <View key={key} style={styles.settingRow}>
+                <Text style={styles.itemSub}>{label}</Text>
+                <View style={styles.stepper}>
+                  <TouchableOpacity onPress={() => stepActive(key, -30)} style={styles.navBtn} accessibilityLabel={t('settings.stepEarlier', { name: label })}>
+                    <Text style={styles.navText}>◀</Text>
+                  </TouchableOpacity>
+                  <Text style={styles.stepperValue}>{formatClock(settings.reminders[key])}</Text>
+                  <TouchableOpacity onPress={() => stepActive(key, 30)} style={styles.navBtn} accessibilityLabel={t('settings.stepLater', { name: label })}>
+                    <Text style={styles.navText}>▶</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ))}
+          </>
+        ) : null}
+
+        {/* units: only changes how amounts are shown and typed, stored data is untouched */}
+        <View style={styles.settingRow}>
+          <Text style={styles.settingLabel}>{t('settings.units')}</Text>
+        </View>
+        <View style={styles.timeRow}>
+          {Object.keys(UNITS).map(u => (
+            <Pressable
+              key={u}
+              onPress={() => onChangeSettings(s => ({ ...s, unit: u }))}
+              style={[styles.timeButton, settings.unit === u && styles.timeButtonActive]}
+            >
+              <Text style={[styles.timeButtonText, settings.unit === u && styles.timeButtonTextActive]}>
+                {unitLabel(u)}
+              </Text>
+            </Pressable>
+          ))}
+        </View>
+
+        {/* sanity limits: past these, saving an entry or goal needs a second tap */}
+        <View style={styles.settingRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.settingLabel}>{t('settings.limits')}</Text>
+            <Text style={styles.settingHint}>{t('settings.limitsHint')}</Text>
+          </View>
+        </View>
+        {LIMIT_FIELDS.map(key => (
+          <View key={key} style={styles.settingRow}>
+            <Text style={[styles.settingHint, { flex: 1 }]}>{t(`settings.limitFields.${key}`, { unit: unitLabel(settings.unit) })}</Text>
+            <TextInput
+              value={limitText[key]}
+              onChangeText={text => changeLimit(key, text)}
+              keyboardType="numeric"
+              placeholderTextColor={colors.textSecondary}
+              style={[styles.input, { width: 96 }, parseAmount(limitText[key]).error && styles.inputInvalid]}
+              accessibilityLabel={t(`settings.limitFields.${key}`, { unit: unitLabel(settings.unit) })}
+            />
+          </View>
+        ))}
+
+        {/* caffeine limit (marked on the calendar) and the water each alcoholic drink adds */}
+        <View style={styles.settingRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.settingLabel}>{t('settings.intake')}</Text>
+            <Text style={styles.settingHint}>{t('settings.intakeHint')}</Text>
+          </View>
+        </View>
+        {INTAKE_FIELDS.map(key => (
+          <View key={key} style={styles.settingRow}>
+            <Text style={[styles.settingHint, { flex: 1 }]}>{t(`settings.intakeFields.${key}`, { unit: unitLabel(settings.unit) })}</Text>
+            <TextInput
+              value={intakeText[key]}
+              onChangeText={text => changeIntake(key, text)}
+              keyboardType="numeric"
+              placeholderTextColor={colors.textSecondary}
+              style={[styles.input, { width: 96 }, parseIntakeField(key, intakeText[key]).error && styles.inputInvalid]}
+              accessibilityLabel={t(`settings.intakeFields.${key}`, { unit: unitLabel(settings.unit) })}
+            />
+          </View>
+        ))}
+
+        {/* optional profile the suggested goal is calculated from */}
+        <View style={styles.settingRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.settingLabel}>{t('settings.profile')}</Text>
+            <Text style={styles.settingHint}>{t('settings.profileHint')}</Text>
+          </View>
+          <TouchableOpacity onPress={onOpenProfile} style={styles.calendarBtn}>
+            <Text style={styles.calendarBtnText}>{t('common.edit')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* drink types and their hydration factors live on their own screen */}
+        <View style={styles.settingRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.settingLabel}>{t('settings.drinks')}</Text>
+            <Text style={styles.settingHint}>{t('settings.drinksHint')}</Text>
+          </View>
+          <TouchableOpacity onPress={onOpenBeverages} style={styles.calendarBtn}>
+            <Text style={styles.calendarBtnText}>{t('settings.manage')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* one-tap buttons on the home screen */}
+        <View style={styles.settingRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.settingLabel}>{t('settings.presets')}</Text>
+            <Text style={styles.settingHint}>{t('settings.presetsHint')}</Text>
+          </View>
+          <TouchableOpacity onPress={onOpenPresets} style={styles.calendarBtn}>
+            <Text style={styles.calendarBtnText}>{t('settings.manage')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* export / import */}
+        <View style={styles.settingRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.settingLabel}>{t('settings.backup')}</Text>
+            <Text style={styles.settingHint}>{t('settings.backupHint')}</Text>
+          </View>
+          <TouchableOpacity onPress={onOpenBackup} style={styles.calendarBtn}>
+            <Text style={styles.calendarBtnText}>{t('settings.open')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* deleted entries can be brought back for a while */}
+        <View style={styles.settingRow}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.settingLabel}>{t('deleted.title')}</Text>
+            <Text style={styles.settingHint}>{t('settings.deletedHint', { days: TRASH_DAYS })}</Text>
+          </View>
+          <TouchableOpacity onPress={onOpenDeleted} style={styles.calendarBtn}>
+            <Text style={styles.calendarBtnText}>{t('settings.open')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* back button styled like the modal action */}
+        <View style={{ marginTop: 12, alignItems: 'flex-end' }}>
+          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+export default SettingsScreen;
@@ -0,0 +1,141 @@
+import React, { useState, useMemo } from 'react';
+import { SafeAreaView, ScrollView, View, Text, TouchableOpacity, Pressable } from 'react-native';
+
+import BarChart from '../components/BarChart';
+import { useTheme } from '../styles';
+import { formatVolume } from '../units';
+import { parseDateKey } from '../dates';
+import { TIMES, timeOfDayLabel } from '../timeOfDay';
+import { formatDate, t } from '../i18n';
+import {
+  averageDaily,
+  averageByTimeOfDay,
+  bestAndWorstWeekday,
+  dailySeries,
+  goalStreaks,
+} from '../stats';
+
+// chart ranges offered in the toggle, in days
+const RANGES = [7, 30, 90];
+
+/**
+ * StatsScreen
+ * - Averages, goal streaks, time-of-day and weekday breakdowns and a daily chart
+ * - Props:
+ *    onBack: callback to return to home screen
+ *    entries: all entries
+ *    totalsByDate: object mapping 'YYYY-MM-DD' -> hydrated ounces for that day
+ *    todayKey: today's 'YYYY-MM-DD'
+ *    hasGoalHistory: whether a goal was ever set; streaks count the goal each day had, so they're
+ *      shown even when today has none
+ *    goalFor: 'YYYY-MM-DD' -> that day's target (goal + workout bonus) or null; streaks and the
+ *      chart's goal line both judge days by it
+ *    unit: display unit for amounts
+ *    beverages / settings: passed to the aggregation helpers
+ */
+function StatsScreen({ onBack, entries, totalsByDate, todayKey, hasGoalHistory, goalFor, unit, beverages, settings }) {
+  const { styles, colors } = useTheme();
+  const [range, setRange] = useState(RANGES[0]);
+
+  // everything except the chart depends only on the data, not the range toggle
+  const summary = useMemo(() => ({
+    week: averageDaily(totalsByDate, todayKey, 7),
+    month: averageDaily(totalsByDate, todayKey, 30),
+    streaks: goalStreaks(totalsByDate, goalFor, todayKey),
+    byTime: averageByTimeOfDay(entries, {
+      beverages,
+      dayStartHour: settings.dayStartHour,
+      timeOfDayStarts: settings.timeOfDayStarts,
+    }),
+    weekdays: bestAndWorstWeekday(totalsByDate, todayKey),
+  }), [entries, totalsByDate, todayKey, goalFor, beverages, settings]);
+
+  const series = dailySeries(totalsByDate, todayKey, range, goalFor);
+  const fmt = v => (v == null ? '—' : formatVolume(v, unit));
+  const shortDate = key => formatDate(parseDateKey(key), { month: 'short', day: 'numeric' });
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView style={[styles.modal, { margin: 16 }]}>
+        <Text style={styles.modalTitle}>{t('stats.title')}</Text>
+
+        {/* averages */}
+        <View style={styles.statRow}>
+          <View style={styles.statBox}>
+            <Text style={styles.statValue}>{fmt(summary.week)}</Text>
+            <Text style={styles.itemSub}>{t('stats.weekAverage')}</Text>
+          </View>
+          <View style={styles.statBox}>
+            <Text style={styles.statValue}>{fmt(summary.month)}</Text>
+            <Text style={styles.itemSub}>{t('stats.monthAverage')}</Text>
+          </View>
+        </View>
+
+        {/* streaks */}
+        {hasGoalHistory ? (
+          <View style={styles.statRow}>
+            <View style={styles.statBox}>
+              <Text style={styles.statValue}>{summary.streaks.current}</Text>
+              <Text style={styles.itemSub}>{t('stats.currentStreak')}</Text>
+            </View>
+            <View style={styles.statBox}>
+              <Text style={styles.statValue}>{summary.streaks.longest}</Text>
+              <Text style={styles.itemSub}>{t('stats.longestStreak')}</Text>
+            </View>
+          </View>
+        ) : (
+          <Text style={styles.calendarProgressAlt}>{t('stats.noGoal')}</Text>
+        )}
+
+        {/* daily chart with 7/30/90 toggle */}
+        <View style={[styles.timeRow, { marginTop: 12 }]}>
+          {RANGES.map(r => (
+            <Pressable
+              key={r}
+              onPress={() => setRange(r)}
+              style={[styles.timeButton, range === r && styles.timeButtonActive]}
+            >
+              <Text style={[styles.timeButtonText, range === r && styles.timeButtonTextActive]}>{t('stats.days', { count: r })}</Text>
+            </Pressable>
+          ))}
+        </View>
+        <BarChart data={series} formatLabel={shortDate} />
+
+        {/* average by time of day */}
+        <Text style={[styles.sectionTitle, { marginTop: 16 }]}>{t('stats.byTimeOfDay')}</Text>
+        {TIMES.map(bucket => (
+          <View key={bucket} style={styles.breakdownRow}>
+            <Text style={styles.breakdownName}>{timeOfDayLabel(bucket)}</Text>
+            <Text style={styles.itemSub}>{fmt(summary.byTime[bucket])}</Text>
+          </View>
+        ))}
+
+        {/* best / worst weekday */}
+        <Text style={[styles.sectionTitle, { marginTop: 16 }]}>{t('stats.weekdays')}</Text>
+        {summary.weekdays ? (
+          <>
+            <View style={styles.breakdownRow}>
+              <Text style={styles.breakdownName}>{t('stats.best', { day: summary.weekdays.best.label })}</Text>
+              <Text style={styles.itemSub}>{fmt(summary.weekdays.best.average)}</Text>
+            </View>
+            <View style={styles.breakdownRow}>
+              <Text style={styles.breakdownName}>{t('stats.worst', { day: summary.weekdays.worst.label })}</Text>
+              <Text style={styles.itemSub}>{fmt(summary.weekdays.worst.average)}</Text>
+            </View>
+          </>
+        ) : (
+          <Text style={styles.emptyText}>{t('stats.empty')}</Text>
+        )}
+
+        {/* back button styled like the modal action */}
+        <View style={{ marginTop: 12, marginBottom: 24, alignItems: 'flex-end' }}>
+          <TouchableOpacity onPress={onBack} style={[styles.modalBtn, styles.modalAdd]}>
+            <Text style={[styles.modalBtnText, { color: colors.onAccent }]}>{t('common.back')}</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+export default StatsScreen;
@@ -0,0 +1,169 @@
+// Statistics over the entry history: daily totals, averages, streaks and breakdowns
+// Context (#): pure functions of `entries` (+ beverages/settings); App's totalsByDate and the
+// stats screen both come from here. Day keys are the local 'YYYY-MM-DD' keys from dates.js
+
+import { entryDateKey, parseDateKey, shiftDateKey } from './dates';
+import { hydratedOunces } from './beverages';
+import { TIMES, entryTimeOfDay } from './timeOfDay';
+import { weekdayNames } from './i18n';
+
+/**
+ * totalsByDay(entries, { beverages, dayStartHour })
+ * - { 'YYYY-MM-DD': hydrated ounces } for every day that has entries
+ */
+export function totalsByDay(entries, { beverages, dayStartHour = 0 }) {
+  return entries.reduce((acc, e) => {
+    const key = entryDateKey(e, dayStartHour);
+    acc[key] = (acc[key] || 0) + hydratedOunces(e, beverages);
+    return acc;
+  }, {});
+}
+
+// the `days` day keys ending at (and including) endKey, oldest first
+export function lastDays(endKey, days) {
+  const keys = [];
+  for (let i = days - 1; i >= 0; i--) keys.push(shiftDateKey(endKey, -i));
+  return keys;
+}
+
+// earliest day with an entry, or null
+export function firstDayKey(totals) {
+  const keys = Object.keys(totals);
+  return keys.length ? keys.reduce((min, k) => (k < min ? k : min)) : null;
+}
+
+// [{ key, total, goal }] for the `days` days ending at endKey (days without entries are 0);
+// goal is that day's goal from goalFor(key), or null
+export function dailySeries(totals, endKey, days, goalFor = () => null) {
+  return lastDays(endKey, days).map(key => ({ key, total: totals[key] || 0, goal: goalFor(key) }));
+}
+
+/**
+ * averageDaily(totals, endKey, days)
+ * - average hydrated ounces per day over the last `days` days, counting empty days as 0 but
+ *   ignoring days before the first entry ever (so a new user isn't dragged down); null if none
+ */
+export function averageDaily(totals, endKey, days) {
+  const first = firstDayKey(totals);
+  if (!first) return null;
+
+  const keys = lastDays(endKey, days).filter(k => k >= first);
+  if (!keys.length) return null;
+  return keys.reduce((sum, k) => sum + (totals[k] || 0), 0) / keys.length;
+}
+
+/**
+ * goalStreaks(totals, goalFor, todayKey)
+ * - { current, longest } runs of consecutive days at or above the goal
+ * - goalFor(key) is the goal that applied on that day (null = no goal, never reached)
+ * - today only extends the current streak once reached; not having reached it *yet* doesn't
+ *   break a streak that ran through yesterday
+ */
+export function goalStreaks(totals, goalFor, todayKey) {
+  const reached = key => {
+    const goal = goalFor(key);
+    return goal != null && goal > 0 && (totals[key] || 0) >= goal;
+  };
+  const first = firstDayKey(totals);
+  if (!first) return { current: 0, longest: 0 };
+
+  // longest: walk every day from the first entry to today
+  let longest = 0;
+  let run = 0;
+  for (let key = first; key <= todayKey; key = shiftDateKey(key, 1)) {
+    run = reached(key) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+
+  // current: count back from today (or yesterday if today isn't reached yet)
+  let current = 0;
+  let key = reached(todayKey) ? todayKey : shiftDateKey(todayKey, -1);
+  while (key >= first && reached(key)) {
+    current += 1;
+    key = shiftDateKey(key, -1);
+  }
+
+  return { current, longest };
+}
+
+/**
+ * averageByTimeOfDay(entries, { beverages, dayStartHour, timeOfDayStarts })
+ * - { Morning: oz, ... } average hydrated ounces per logged day in each time-of-day bucket
+ */
+export function averageByTimeOfDay(entries, { beverages, dayStartHour = 0, timeOfDayStarts }) {
+  const sums = Object.fromEntries(TIMES.map(t => [t, 0]));
+  const days = new Set();
+
+  entries.forEach(e => {
+    days.add(entryDateKey(e, dayStartHour));
+    const bucket = entryTimeOfDay(e, timeOfDayStarts);
+    if (bucket in sums) sums[bucket] += hydratedOunces(e, beverages);
+  });
+
+  return Object.fromEntries(TIMES.map(t => [t, days.size ? sums[t] / days.size : 0]));
+}
+
+/**
+ * weekdayAverages(totals, todayKey)
+ * - [{ weekday: 0-6, label, average }] over every day from the first entry through today; label
+ *   is the weekday's full name in the current language
+ *   (empty days count as 0); weekdays that haven't come round yet are left out
+ */
+export function weekdayAverages(totals, todayKey) {
+  const first = firstDayKey(totals);
+  if (!first) return [];
+
+  const sums = Array(7).fill(0);
+  const counts = Array(7).fill(0);
+  for (let key = first; key <= todayKey; key = shiftDateKey(key, 1)) {
+    const wd = parseDateKey(key).getDay();
+    sums[wd] += totals[key] || 0;
+    counts[wd] += 1;
+  }
+
+  return weekdayNames('long')
+    .map((label, weekday) => ({ weekday, label, average: counts[weekday] ? sums[weekday] / counts[weekday] : null }))
+    .filter(d => d.average != null);
+}
+
+// best and worst weekday by average, or null when there's no data
+export function bestAndWorstWeekday(totals, todayKey) {
+  const days = weekdayAverages(totals, todayKey);
+  if (!days.length) return null;
+
+  const sorted = [...days].sort((a, b) => b.average - a.average);
+  return { best: sorted[0], worst: sorted[sorted.length - 1] };
+}
+
+/**
+ * rangeSummary(totals, fromKey, toKey, goalFor)
+ * - { days, total, average, daysWithGoal, daysReached, hitRate } for the days from fromKey to
+ *   toKey inclusive (either order); hitRate is reached / days that had a goal, or null
+ */
+export function rangeSummary(totals, fromKey, toKey, goalFor) {
+  const [start, end] = fromKey <= toKey ? [fromKey, toKey] : [toKey, fromKey];
+
+  let days = 0;
+  let total = 0;
+  let daysWithGoal = 0;
+  let daysReached = 0;
+  for (let key = start; key <= end; key = shiftDateKey(key, 1)) {
+    const dayTotal = totals[key] || 0;
+    const goal = goalFor(key);
+    days += 1;
+    total += dayTotal;
+    if (goal != null && goal > 0) {
+      daysWithGoal += 1;
+      if (dayTotal >= goal) daysReached += 1;
+    }
+  }
+
+  return {
+    days,
+    total,
+    average: total / days,
+    daysWithGoal,
+    daysReached,
+    hitRate: daysWithGoal ? daysReached / daysWithGoal : null,
+  };
+}
@@ -0,0 +1,332 @@
+// Persistence layer: keeps the app state on the device under one versioned AsyncStorage key
+// Context (#): App loads this once on startup and saves again whenever entries, the goal or settings change.
+// The state holds one or more household members (profiles), each with their own entries, goal
+// history, workouts and settings; drinks and quick-add presets are shared
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import { currentUtcOffset, entryDateKey, toDateKey } from './dates';
+import { DEFAULT_UNIT, isUnit } from './units';
+import { DEFAULT_BEVERAGES, DEFAULT_BEVERAGE_ID, sanitizeBeverage } from './beverages';
+import { DEFAULT_PRESETS, sanitizePreset } from './presets';
+import { DEFAULT_TIME_OF_DAY_STARTS, isValidTimeOfDayStarts } from './timeOfDay';
+import { DEFAULT_REMINDER_SETTINGS, isValidReminderSettings } from './reminders';
+import { goalHistoryFromGoal, sanitizeGoalHistory } from './goals';
+import { DEFAULT_PROFILE, isValidProfile } from './goalCalculator';
+import { sanitizeActivity } from './activities';
+import { purgeExpired, sanitizeLog } from './changeLog';
+import { isValidSeenAchievements } from './achievements';
+import { DEFAULT_LANGUAGE, isValidFirstDayOfWeek, isValidLanguage } from './i18n';
+import { DEFAULT_ACCENT, DEFAULT_THEME_MODE, isAccent, isThemeMode } from './theme';
+import { DEFAULT_LIMITS, isValidLimits } from './validation';
+import { DEFAULT_INTAKE, isValidIntake, sanitizeIntakeAmount } from './intake';
+
+export const STORAGE_KEY = 'hydration-tracker/state';
+
+// bump this and add a matching entry to `migrations` whenever the stored shape changes
+export const SCHEMA_VERSION = 9;
+
+// user preferences saved alongside the data
+export function createDefaultSettings() {
+  return {
+    dayStartHour: 0, // hour (0-23) a tracking day begins, see dates.toDateKey
+    unit: DEFAULT_UNIT, // display/input unit, see units.UNITS
+    timeOfDayStarts: DEFAULT_TIME_OF_DAY_STARTS, // bucket start hours, see timeOfDay.js
+    reminders: DEFAULT_REMINDER_SETTINGS, // see reminders.js
+    profile: DEFAULT_PROFILE, // optional body/lifestyle info for the goal suggestion, see goalCalculator.js
+    seenAchievements: null, // badge ids already celebrated (null until first evaluated), see achievements.js
+    language: DEFAULT_LANGUAGE, // 'system' or a translation, see i18n.LANGUAGES
+    firstDayOfWeek: null, // calendar's first column, 0 (Sunday) .. 6; null follows the device
+    theme: DEFAULT_THEME_MODE, // 'system', 'light' or 'dark', see theme.js
+    highContrast: false, // stronger text, borders and accent
+    accent: DEFAULT_ACCENT, // theme.ACCENTS key
+    limits: DEFAULT_LIMITS, // { entryOunces, dayOunces } past which saving asks to confirm, see validation.js
+    intake: DEFAULT_INTAKE, // { caffeineLimitMg, alcoholOffsetOunces }, see intake.js
+  };
+}
+
+// the member everyone starts with (and that pre-profile data is moved into)
+export const DEFAULT_MEMBER_ID = 'me';
+
+// a household member with no data yet
+export function createMember(name, id = Date.now().toString()) {
+  return {
+    id,
+    name,
+    entries: [],
+    deletedEntries: [],
+    goalHistory: [],
+    activities: [],
+    settings: createDefaultSettings(),
+  };
+}
+
+// fresh state used on first launch or when nothing usable could be read
+export function createDefaultState() {
+  return {
+    version: SCHEMA_VERSION,
+    activeMemberId: DEFAULT_MEMBER_ID,
+    members: [createMember('Me', DEFAULT_MEMBER_ID)],
+    beverages: DEFAULT_BEVERAGES,
+    presets: DEFAULT_PRESETS,
+  };
+}
+
+/**
+ * migrations
+ * - migrations[n] upgrades a stored object from version n to version n + 1
+ * - version 0 is anything written before the state was versioned (a bare entries array
+ *   or an object without a `version` field)
+ */
+const migrations = {
+  0: data => ({
+    version: 1,
+    entries: Array.isArray(data) ? data : data.entries,
+    goalOunces: Array.isArray(data) ? null : data.goalOunces,
+  }),
+
+  // v2: entries remember the UTC offset they were logged at; settings added.
+  // Older entries get the offset the device has for that instant, our best guess.
+  1: data => ({
+    ...data,
+    version: 2,
+    entries: (data.entries || []).map(e =>
+      e && e.utcOffset == null && e.createdAt
+        ? { ...e, utcOffset: currentUtcOffset(new Date(e.createdAt)) }
+        : e
+    ),
+    settings: createDefaultSettings(),
+  }),
+
+  // v3: entries store the amount + unit they were logged in instead of `ounces`
+  2: data => ({
+    ...data,
+    version: 3,
+    entries: (data.entries || []).map(e => {
+      if (!e || e.ounces == null) return e;
+      const { ounces, ...rest } = e;
+      return { ...rest, amount: ounces, unit: 'oz' };
+    }),
+  }),
+
+  // v4: entries record a beverage (everything so far was water); editable beverage list
+  3: data => ({
+    ...data,
+    version: 4,
+    entries: (data.entries || []).map(e => (e && e.beverageId == null ? { ...e, beverageId: DEFAULT_BEVERAGE_ID } : e)),
+    beverages: DEFAULT_BEVERAGES,
+  }),
+
+  // v5: quick-add presets
+  4: data => ({
+    ...data,
+    version: 5,
+    presets: DEFAULT_PRESETS,
+  }),
+
+  // v6: the single goal becomes a dated goal history. We don't know when the old goal was
+  // set, so it applies from the first logged day (past days keep the result they had), or from
+  // today when no entry has a readable date.
+  5: data => {
+    const { goalOunces, ...rest } = data;
+    const dayStartHour = data.settings?.dayStartHour ?? 0;
+    const firstDay = (data.entries || [])
+      .filter(e => e && !Number.isNaN(Date.parse(e.createdAt)))
+      .map(e => entryDateKey(e, dayStartHour))
+      .sort()[0];
+    return {
+      ...rest,
+      version: 6,
+      goalHistory: goalHistoryFromGoal(goalOunces ?? null, firstDay || toDateKey(new Date(), { dayStartHour })),
+    };
+  },
+
+  // v7: exercise sessions that raise a day's target
+  6: data => ({
+    ...data,
+    version: 7,
+    activities: [],
+  }),
+
+  // v8: deleted entries are kept (restorable) for a while instead of dropped
+  7: data => ({
+    ...data,
+    version: 8,
+    deletedEntries: [],
+  }),
+
+  // v9: household profiles; everything so far belongs to the first member
+  8: data => {
+    const { entries, deletedEntries, goalHistory, activities, settings, ...rest } = data;
+    return {
+      ...rest,
+      version: 9,
+      activeMemberId: DEFAULT_MEMBER_ID,
+      members: [{ id: DEFAULT_MEMBER_ID, name: 'Me', entries, deletedEntries, goalHistory, activities, settings }],
+    };
+  },
+};
+
+// normalize one stored entry { id, amount, unit, beverageId, timeOfDay, createdAt, utcOffset }; returns null if unusable
+export function sanitizeEntry(e) {
+  if (!e || typeof e !== 'object') return null;
+
+  const amount = Number(e.amount);
+  const created = new Date(e.createdAt);
+  if (!Number.isFinite(amount) || amount <= 0 || !isUnit(e.unit) || Number.isNaN(created.getTime())) return null;
+
+  const utcOffset = Number(e.utcOffset);
+
+  return {
+    ...e,
+    id: e.id != null ? String(e.id) : String(created.getTime()),
+    amount,
+    beverageId: e.beverageId != null ? String(e.beverageId) : DEFAULT_BEVERAGE_ID,
+    timeOfDay: typeof e.timeOfDay === 'string' ? e.timeOfDay : null, // null = derived, see timeOfDay.js
+    caffeineMg: sanitizeIntakeAmount(e.caffeineMg), // optional, see intake.js
+    alcoholDrinks: sanitizeIntakeAmount(e.alcoholDrinks),
+    log: sanitizeLog(e.log), // change log, see changeLog.js
+    createdAt: created.toISOString(),
+    utcOffset: e.utcOffset != null && Number.isFinite(utcOffset) ? utcOffset : currentUtcOffset(created),
+  };
+}
+
+// merge stored settings over the defaults, keeping only valid values
+export function sanitizeSettings(stored) {
+  const defaults = createDefaultSettings();
+  const settings = { ...defaults, ...(stored && typeof stored === 'object' ? stored : {}) };
+
+  const hour = Number(settings.dayStartHour);
+  settings.dayStartHour = Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : defaults.dayStartHour;
+  if (!isUnit(settings.unit)) settings.unit = defaults.unit;
+  if (!isValidTimeOfDayStarts(settings.timeOfDayStarts)) settings.timeOfDayStarts = defaults.timeOfDayStarts;
+  if (!isValidReminderSettings(settings.reminders)) settings.reminders = defaults.reminders;
+  if (!isValidProfile(settings.profile)) settings.profile = defaults.profile;
+  if (!isValidSeenAchievements(settings.seenAchievements)) settings.seenAchievements = defaults.seenAchievements;
+  if (!isValidLanguage(settings.language)) settings.language = defaults.language;
+  if (!isValidFirstDayOfWeek(settings.firstDayOfWeek)) settings.firstDayOfWeek = defaults.firstDayOfWeek;
+  if (!isThemeMode(settings.theme)) settings.theme = defaults.theme;
+  if (typeof settings.highContrast !== 'boolean') settings.highContrast = defaults.highContrast;
+  if (!isAccent(settings.accent)) settings.accent = defaults.accent;
+  if (!isValidLimits(settings.limits)) settings.limits = defaults.limits;
+  if (!isValidIntake(settings.intake)) settings.intake = defaults.intake;
+
+  return settings;
+}
+
+// one member's data, cleaned the same way as the rest of the state; null if it has no id
+export function sanitizeMember(m) {
+  if (!m || typeof m !== 'object' || m.id == null) return null;
+
+  const entries = Array.isArray(m.entries) ? m.entries.map(sanitizeEntry).filter(Boolean) : [];
+  const deletedEntries = Array.isArray(m.deletedEntries)
+    ? m.deletedEntries.map(sanitizeEntry).filter(e => e && !Number.isNaN(new Date(e.deletedAt).getTime()))
+    : [];
+
+  return {
+    id: String(m.id),
+    name: typeof m.name === 'string' && m.name.trim() ? m.name.trim() : 'Unnamed',
+    entries,
+    deletedEntries: purgeExpired(deletedEntries), // past the restore window they're gone for good
+    goalHistory: sanitizeGoalHistory(m.goalHistory),
+    activities: Array.isArray(m.activities) ? m.activities.map(sanitizeActivity).filter(Boolean) : [],
+    settings: sanitizeSettings(m.settings),
+  };
+}
+
+// drop anything that doesn't look like valid state so one bad value can't crash the screens
+function sanitizeState(data) {
+  const members = Array.isArray(data.members) ? data.members.map(sanitizeMember).filter(Boolean) : [];
+  const beverages = Array.isArray(data.beverages) ? data.beverages.map(sanitizeBeverage).filter(Boolean) : [];
+  const presets = Array.isArray(data.presets) ? data.presets.map(sanitizePreset).filter(Boolean) : DEFAULT_PRESETS;
+  if (!members.length) members.push(createMember('Me', DEFAULT_MEMBER_ID));
+
+  return {
+    ...data,
+    version: SCHEMA_VERSION,
+    members,
+    activeMemberId: members.some(m => m.id === data.activeMemberId) ? data.activeMemberId : members[0].id,
+    beverages: beverages.length ? beverages : DEFAULT_BEVERAGES,
+    presets, // may legitimately be empty if the user deleted them all
+  };
+}
+
+/**
+ * upgrade(data)
+ * - runs every migration between the stored version and SCHEMA_VERSION, in order, without
+ *   sanitizing (backup.js uses this to report bad entries instead of dropping them)
+ * - throws if the data is from a newer app version or a migration step is missing
+ */
+export function upgrade(data) {
+  if (data == null || typeof data !== 'object') {
+    throw new Error('Stored state is not an object');
+  }
+
+  let current = data;
+  let version = Array.isArray(current) || current.version == null ? 0 : Number(current.version);
+
+  if (!Number.isInteger(version) || version > SCHEMA_VERSION) {
+    throw new Error(`Unsupported stored schema version: ${current.version}`);
+  }
+
+  while (version < SCHEMA_VERSION) {
+    const step = migrations[version];
+    if (!step) throw new Error(`No migration from schema version ${version}`);
+    current = step(current);
+    version += 1;
+  }
+
+  return current;
+}
+
+// upgrade(data) + drop anything unusable: the state App can run with
+export function migrate(data) {
+  return sanitizeState(upgrade(data));
+}
+
+/**
+ * loadState()
+ * - resolves to { state, recovered }
+ * - never rejects: unreadable data is copied to a backup key and replaced with a default
+ *   state, and `recovered` is true so the UI can tell the user
+ */
+export async function loadState() {
+  let raw = null;
+  try {
+    raw = await AsyncStorage.getItem(STORAGE_KEY);
+    if (raw == null) return { state: createDefaultState(), recovered: false };
+
+    return { state: migrate(JSON.parse(raw)), recovered: false };
+  } catch (err) {
+    console.warn('Could not read saved state, starting fresh', err);
+
+    // keep the bad payload around so it isn't lost if we can repair it later
+    if (raw != null) {
+      try {
+        await AsyncStorage.setItem(`${STORAGE_KEY}:corrupt:${Date.now()}`, raw);
+      } catch (backupErr) {
+        console.warn('Could not back up unreadable state', backupErr);
+      }
+    }
+
+    return { state: createDefaultState(), recovered: true };
+  }
+}
+
+// writes are chained so a slow earlier save can never land after (and overwrite) a newer one
+let pendingWrite = Promise.resolve();
+
+/**
+ * saveState(state)
+ * - stores the given state stamped with the current SCHEMA_VERSION
+ * - errors are logged rather than thrown; the in-memory state is still correct
+ */
+export function saveState(state) {
+  const payload = JSON.stringify({ ...state, version: SCHEMA_VERSION });
+
+  pendingWrite = pendingWrite
+    .then(() => AsyncStorage.setItem(STORAGE_KEY, payload))
+    .catch(err => console.warn('Could not save state', err));
+
+  return pendingWrite;
+}
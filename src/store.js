@@ -0,0 +1,194 @@
+// Hydration store: the active profile's entries, deleted entries and goal history, changed only
+// through hydrationReducer actions, plus the selectors screens read totals and goal status from
+// Context (#): App keeps this in useReducer. The state is exactly the undoable part of a profile
+// (undo.js snapshots it as is); workouts and settings stay plain App state. Timestamps and ids are
+// filled in by the action creators so the reducer itself stays pure
+
+import { currentUtcOffset, entryDateKey } from './dates';
+import { isUnit } from './units';
+import { intakeByDay, isIntakeAmount } from './intake';
+import { totalsByDay } from './stats';
+import { goalForDay, setGoal } from './goals';
+import { isExpired, logEdit, markDeleted, markRestored, purgeExpired, withLog } from './changeLog';
+
+// sort comparator keeping entries newest first
+const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+export function createStoreState({ entries = [], deletedEntries = [], goalHistory = [] } = {}) {
+  return { entries, deletedEntries, goalHistory };
+}
+
+// a typed entry amount or goal: a finite number above zero
+export function isValidAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// entry fields the store accepts: a valid amount in a known unit, logged at a real time (caffeine
+// and alcohol, when given, at least 0)
+export function isValidEntry({ amount, unit, createdAt, caffeineMg, alcoholDrinks }) {
+  return isValidAmount(amount)
+    && isUnit(unit)
+    && !Number.isNaN(Date.parse(createdAt))
+    && isIntakeAmount(caffeineMg)
+    && isIntakeAmount(alcoholDrinks);
+}
+
+/**
+ * actions
+ * - action creators for hydrationReducer; `now` defaults to the current time and stamps the
+ *   change log (and a new entry's id / createdAt)
+ */
+export const actions = {
+  // replace the whole state: switching profiles, undo/redo
+  load: state => ({ type: 'load', state }),
+
+  // a new entry, logged now unless fields.createdAt is given
+  addEntry: (fields, now = new Date()) => ({
+    type: 'addEntry',
+    entry: withLog({
+      id: String(now.getTime()),
+      ...fields,
+      createdAt: fields.createdAt ?? now.toISOString(),
+      utcOffset: fields.utcOffset ?? currentUtcOffset(now),
+    }, 'created', null, now.toISOString()),
+  }),
+
+  editEntry: (id, values, now = new Date()) => ({ type: 'editEntry', id, values, at: now.toISOString() }),
+  deleteEntry: (id, now = new Date()) => ({ type: 'deleteEntry', id, at: now.toISOString() }),
+  restoreEntry: (id, now = new Date()) => ({ type: 'restoreEntry', id, at: now.toISOString() }),
+
+  // drop every hand-picked time of day
+  reclassify: (now = new Date()) => ({ type: 'reclassify', at: now.toISOString() }),
+
+  // merge imported entries; goalHistory (when given) replaces the current one
+  importData: (entries, goalHistory = null) => ({ type: 'importData', entries, goalHistory }),
+
+  // add the saved entries the store doesn't have yet (logged from the widget, see quickLog.js)
+  mergeEntries: entries => ({ type: 'mergeEntries', entries }),
+
+  // goal (ounces) from effectiveDate on, see goals.setGoal
+  setGoal: ({ ounces, effectiveDate, reason }, now = new Date()) => ({
+    type: 'setGoal',
+    ounces,
+    effectiveDate,
+    reason,
+    changedAt: now.toISOString(),
+  }),
+};
+
+/**
+ * hydrationReducer(state, action)
+ * - entries stay sorted newest first; deleting moves an entry to deletedEntries (changeLog bin)
+ * - invalid input (bad amount/unit/time, unknown id, a goal that isn't a positive number, a
+ *   deleted entry past its restore window) and changes that change nothing return the same
+ *   state object, so callers can compare references
+ */
+export function hydrationReducer(state, action) {
+  switch (action.type) {
+    case 'load':
+      return createStoreState(action.state);
+
+    case 'addEntry':
+      if (!isValidEntry(action.entry)) return state;
+      return { ...state, entries: [action.entry, ...state.entries].sort(newestFirst) };
+
+    case 'editEntry': {
+      const entry = state.entries.find(e => e.id === action.id);
+      if (!entry) return state;
+      const edited = logEdit(entry, { ...entry, ...action.values }, action.at);
+      // an untouched log means none of the logged fields changed
+      if (edited.log === entry.log || !isValidEntry(edited)) return state;
+      return { ...state, entries: state.entries.map(e => (e.id === action.id ? edited : e)).sort(newestFirst) };
+    }
+
+    case 'deleteEntry': {
+      const entry = state.entries.find(e => e.id === action.id);
+      if (!entry) return state;
+      return {
+        ...state,
+        entries: state.entries.filter(e => e.id !== action.id),
+        deletedEntries: [markDeleted(entry, action.at), ...state.deletedEntries],
+      };
+    }
+
+    case 'restoreEntry': {
+      const entry = state.deletedEntries.find(e => e.id === action.id);
+      if (!entry || isExpired(entry, new Date(action.at))) return state;
+      return {
+        ...state,
+        entries: [markRestored(entry, action.at), ...state.entries].sort(newestFirst),
+        deletedEntries: state.deletedEntries.filter(e => e.id !== action.id),
+      };
+    }
+
+    case 'reclassify':
+      if (!state.entries.some(e => e.timeOfDay)) return state;
+      return {
+        ...state,
+        entries: state.entries.map(e => (e.timeOfDay ? logEdit(e, { ...e, timeOfDay: null }, action.at) : e)),
+      };
+
+    case 'importData':
+      return {
+        ...state,
+        entries: [...state.entries, ...action.entries.filter(isValidEntry)].sort(newestFirst),
+        goalHistory: action.goalHistory ?? state.goalHistory,
+      };
+
+    case 'mergeEntries': {
+      const known = new Set([...state.entries, ...state.deletedEntries].map(e => e.id));
+      const added = action.entries.filter(e => !known.has(e.id) && isValidEntry(e));
+      if (!added.length) return state;
+      return { ...state, entries: [...state.entries, ...added].sort(newestFirst) };
+    }
+
+    case 'setGoal': {
+      if (!isValidAmount(action.ounces)) return state;
+      const goalHistory = setGoal(state.goalHistory, action);
+      return goalHistory === state.goalHistory ? state : { ...state, goalHistory };
+    }
+
+    default:
+      return state;
+  }
+}
+
+// entries logged on day `key`, newest first
+export function selectDayEntries(state, key, dayStartHour = 0) {
+  return state.entries.filter(e => entryDateKey(e, dayStartHour) === key);
+}
+
+// deleted entries that can still be restored (storage only purges the rest on load)
+export function selectRestorableEntries(state, now = new Date()) {
+  return purgeExpired(state.deletedEntries, now);
+}
+
+// { 'YYYY-MM-DD': hydrated ounces } for every day with entries (see stats.totalsByDay)
+export function selectTotalsByDate(state, { beverages, dayStartHour = 0 }) {
+  return totalsByDay(state.entries, { beverages, dayStartHour });
+}
+
+// { 'YYYY-MM-DD': { caffeineMg, alcoholDrinks } } for every day with entries (see intake.intakeByDay)
+export function selectIntakeByDate(state, { beverages, dayStartHour = 0 }) {
+  return intakeByDay(state.entries, { beverages, dayStartHour });
+}
+
+// the goal (ounces) in effect on day `key`, or null
+export function selectGoal(state, key) {
+  return goalForDay(state.goalHistory, key);
+}
+
+/**
+ * goalStatus(total, target)
+ * - { total, target, remaining, reached } for a day; remaining (never below 0) and reached are
+ *   null when no target applied
+ */
+export function goalStatus(total, target) {
+  if (target == null) return { total, target: null, remaining: null, reached: null };
+  return { total, target, remaining: Math.max(target - total, 0), reached: total >= target };
+}
+
+// how many of the day keys reached the target goalFor(key) gave them (days without one never do)
+export function countDaysReached(keys, totalsByDate, goalFor) {
+  return keys.filter(key => goalStatus(totalsByDate[key] || 0, goalFor(key)).reached).length;
+}
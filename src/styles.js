@@ -0,0 +1,348 @@
+// Styles (kept together to make quick adjustments easier)
+// - many styles already existed; small comments added to clarify purpose
+// - shared by App.js and the screens in src/screens
+// - colors come from the active theme (see theme.js): App builds the StyleSheet for the current
+//   palette and provides it through ThemeContext; components read it with useTheme()
+
+import { createContext, useContext } from 'react';
+import { StyleSheet } from 'react-native';
+
+import { buildTheme } from './theme';
+
+// StyleSheet for a theme.colors palette
+export function createStyles(colors) {
+  return StyleSheet.create({
+    // overall container padding so content doesn't touch device edges
+    container: { flex: 1, backgroundColor: colors.background, padding: 20 },
+
+    // centered spinner while saved data loads
+    loading: { alignItems: 'center', justifyContent: 'center' },
+
+    // header spacing and horizontal padding
+    header: { paddingTop: 12, paddingBottom: 12, paddingHorizontal: 8 },
+
+    // title + small control aligned horizontally
+    // wraps onto a second line with large text sizes or longer translations
+    headerTop: { flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'space-between', alignItems: 'center' },
+    title: { fontSize: 26, fontWeight: '700', color: colors.text, flexShrink: 1 },
+
+    // button to edit/set goal in header
+    goalEditBtn: { paddingHorizontal: 8, paddingVertical: 6 },
+    goalEditText: { color: colors.accent, fontWeight: '600' },
+
+    // outlined secondary header button (Settings, next to View Calendar)
+    calendarBtn: { paddingHorizontal: 10, paddingVertical: 6, marginLeft: 8, borderRadius: 8, borderWidth: 1, borderColor: colors.accent },
+    calendarBtnText: { color: colors.accent, fontWeight: '600' },
+
+    // settings screen rows: label on the left, control on the right
+    settingRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingVertical: 10 },
+    settingLabel: { fontSize: 15, fontWeight: '600', color: colors.text },
+    settingHint: { fontSize: 12, color: colors.textSecondary, marginTop: 2 },
+    stepper: { flexDirection: 'row', alignItems: 'center' },
+    stepperValue: { minWidth: 72, textAlign: 'center', fontSize: 15, fontWeight: '600', color: colors.text },
+
+    // date below title
+    date: { marginTop: 6, fontSize: 13, color: colors.textSecondary },
+
+    // date row with previous/next day arrows
+    dateNav: { flexDirection: 'row', alignItems: 'center', marginTop: 6, marginLeft: -6 },
+    dateNavText: { marginTop: 0, flexShrink: 1 },
+
+    // main content area gets horizontal padding
+    content: { flex: 1, marginTop: 12, paddingHorizontal: 8 },
+
+    sectionTitle: { fontSize: 16, fontWeight: '600', marginBottom: 8, color: colors.text },
+    list: { flex: 1 },
+    emptyText: { color: colors.textSecondary, textAlign: 'center', marginTop: 24 },
+
+    // entry card styling
+    card: {
+      backgroundColor: colors.surface,
+      padding: 12,
+      borderRadius: 8,
+      marginBottom: 8,
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+    },
+    itemName: { fontSize: 16, fontWeight: '700', color: colors.accentStrong },
+    itemSub: { fontSize: 13, color: colors.textSecondary },
+
+    // primary buttons
+    button: {
+      backgroundColor: colors.accent,
+      paddingVertical: 12,
+      paddingHorizontal: 14,
+      borderRadius: 10,
+      alignItems: 'center',
+      marginTop: 12,
+    },
+    buttonText: { color: colors.onAccent, fontWeight: '600', fontSize: 16 },
+
+    // quick-add preset buttons above the add button
+    presetRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 12 },
+    presetBtn: {
+      flexGrow: 1,
+      paddingVertical: 8,
+      paddingHorizontal: 10,
+      borderRadius: 10,
+      borderWidth: 1,
+      borderColor: colors.accent,
+      alignItems: 'center',
+    },
+    presetName: { color: colors.accent, fontWeight: '700', fontSize: 14 },
+    presetAmount: { color: colors.textSecondary, fontSize: 12 },
+
+    // undo toast pinned to the bottom of the screen
+    toast: {
+      position: 'absolute',
+      left: 20,
+      right: 20,
+      bottom: 24,
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      backgroundColor: colors.toast,
+      borderRadius: 8,
+      paddingVertical: 6,
+      paddingHorizontal: 14,
+      elevation: 6,
+    },
+    toastText: { color: colors.toastText, fontSize: 14 },
+    toastAction: { color: colors.toastAction, fontWeight: '700', fontSize: 14 },
+
+    // modal backdrop + inner modal
+    modalBackdrop: {
+      flex: 1,
+      backgroundColor: colors.backdrop,
+      justifyContent: 'center',
+      padding: 20,
+    },
+    modal: {
+      backgroundColor: colors.modal,
+      borderRadius: 12,
+      padding: 16,
+      elevation: 6,
+    },
+    modalTitle: { fontSize: 18, fontWeight: '700', marginBottom: 8, color: colors.text },
+
+    // inputs
+    inputLabel: { fontSize: 13, color: colors.textLabel, marginBottom: 6 },
+    input: {
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 8,
+      paddingHorizontal: 10,
+      paddingVertical: 8,
+      fontSize: 16,
+      color: colors.text,
+    },
+    inputInvalid: { borderColor: colors.danger },
+    // inline messages under an input: errors block saving, warnings ask for a second tap
+    fieldError: { fontSize: 13, color: colors.danger, marginTop: 4 },
+    fieldWarning: { fontSize: 13, color: colors.behind, marginTop: 4 },
+
+    // time-of-day buttons row and styles
+    timeRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8 },
+    timeButton: {
+      paddingVertical: 8,
+      paddingHorizontal: 10,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderColor: colors.border,
+      marginRight: 8,
+      marginBottom: 8,
+    },
+    timeButtonActive: { backgroundColor: colors.accent, borderColor: colors.accent },
+    timeButtonText: { color: colors.textLabel },
+    timeButtonTextActive: { color: colors.onAccent, fontWeight: '700' },
+
+    // accent color picker in settings; the chosen one gets a ring in the text color
+    accentSwatch: { width: 36, height: 36, borderRadius: 18, marginRight: 8, marginBottom: 8 },
+    accentSwatchActive: { borderWidth: 3, borderColor: colors.text },
+
+    // modal action buttons
+    modalActions: { flexDirection: 'row', justifyContent: 'flex-end', marginTop: 12 },
+    modalBtn: { paddingVertical: 10, paddingHorizontal: 14, borderRadius: 8, marginLeft: 8 },
+    modalCancel: { backgroundColor: colors.buttonMuted },
+    modalAdd: { backgroundColor: colors.accent },
+    modalBtnText: { color: colors.text, fontWeight: '600' },
+
+    // action buttons inside each list item
+    actionRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginLeft: 8,
+    },
+    smallBtn: {
+      paddingVertical: 6,
+      paddingHorizontal: 10,
+      borderRadius: 8,
+      marginLeft: 6,
+      backgroundColor: 'transparent',
+    },
+    editBtn: {
+      borderWidth: 1,
+      borderColor: colors.accent,
+    },
+    deleteBtn: {
+      borderWidth: 1,
+      borderColor: colors.dangerBorder,
+    },
+    smallBtnText: {
+      fontSize: 13,
+      color: colors.accent,
+      fontWeight: '600',
+    },
+
+    // total row showing today's total + goal/remaining
+    totalRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      backgroundColor: colors.background,
+      paddingVertical: 12,
+      paddingHorizontal: 14,
+      borderRadius: 8,
+      marginTop: 8,
+      borderWidth: 1,
+      borderColor: colors.divider,
+    },
+    totalLabel: { fontSize: 14, color: colors.textLabel, fontWeight: '600' },
+    totalValue: { fontSize: 18, color: colors.accent, fontWeight: '800' },
+
+    // home progress gauge: a rounded "bottle" track with animated fill, pace ticks and time labels
+    gauge: { marginTop: 4, marginBottom: 8 },
+    gaugeHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 4 },
+    gaugePercent: { fontSize: 20, fontWeight: '800', color: colors.accent },
+    gaugeOverflow: { fontSize: 14, color: colors.success, fontWeight: '700' },
+    gaugeTrack: { height: 22, borderRadius: 11, borderWidth: 2, borderColor: colors.accentSoft, backgroundColor: colors.accentTint, overflow: 'hidden' },
+    gaugeFill: { position: 'absolute', left: 0, top: 0, bottom: 0, backgroundColor: colors.accent },
+    gaugeFillReached: { backgroundColor: colors.success },
+    gaugeOverflowCap: { position: 'absolute', right: 0, top: 0, bottom: 0, width: 8, backgroundColor: colors.successStrong },
+    gaugeTick: { position: 'absolute', top: 0, bottom: 0, width: 1, backgroundColor: colors.tick },
+    gaugeNow: { position: 'absolute', top: -2, bottom: -2, width: 3, marginLeft: -1, backgroundColor: colors.highlight },
+    gaugeLabels: { minHeight: 20, marginTop: 2 },
+    gaugeTickLabel: { position: 'absolute', width: 64, marginLeft: -32, textAlign: 'center', fontSize: 11, color: colors.textSecondary },
+
+    // per-drink breakdown in the day detail screen
+    breakdown: { marginTop: 8, paddingTop: 8, borderTopWidth: 1, borderTopColor: colors.divider },
+
+    // profile-based goal suggestion in the goal modal
+    suggestion: { backgroundColor: colors.accentTint, borderRadius: 8, padding: 10, marginBottom: 12 },
+    breakdownRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingVertical: 3 },
+    breakdownName: { fontSize: 14, fontWeight: '600', color: colors.textLabel },
+
+    goalHint: { fontSize: 13, color: colors.textSecondary },
+    remaining: { fontSize: 14, color: colors.behind, fontWeight: '700' },
+    goalReached: { fontSize: 14, color: colors.success, fontWeight: '700' },
+
+    // stats screen: two summary boxes per row and the daily bar chart
+    statRow: { flexDirection: 'row', gap: 8, marginTop: 8 },
+    statBox: { flex: 1, backgroundColor: colors.surface, borderRadius: 8, padding: 12, alignItems: 'center' },
+    statValue: { fontSize: 18, fontWeight: '800', color: colors.accent },
+    chart: { flexDirection: 'row', alignItems: 'flex-end', marginTop: 4 },
+    chartSlot: { flex: 1, alignItems: 'center', justifyContent: 'flex-end', height: '100%' },
+    chartBar: { width: '70%', minHeight: 1, backgroundColor: colors.accentSoft, borderTopLeftRadius: 2, borderTopRightRadius: 2 },
+    chartBarReached: { backgroundColor: colors.accent },
+    chartGoalLine: { position: 'absolute', left: 0, right: 0, height: 1, backgroundColor: colors.success },
+    chartAxis: { flexDirection: 'row', justifyContent: 'space-between', marginTop: 4 },
+
+    // achievements: trophy list rows and the unlock celebration
+    badgeIcon: { fontSize: 28, marginRight: 12 },
+    badgeLocked: { opacity: 0.5 },
+    celebration: { alignItems: 'center', paddingVertical: 24, paddingHorizontal: 28 },
+    celebrationIcon: { fontSize: 56, marginBottom: 8 },
+    celebrationLabel: { fontSize: 13, color: colors.success, fontWeight: '700', marginBottom: 4 },
+
+    // calendar-related styles
+    calendarHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 },
+    calendarTitle: { fontSize: 16, fontWeight: '700', color: colors.text },
+    navBtn: { padding: 6 },
+    navText: { fontSize: 16, color: colors.accent },
+    navTextDisabled: { color: colors.disabled },
+
+    calendarToggles: { marginBottom: 4 },
+
+    // 7 equal columns; the screen sizes rings/heatmap squares from the measured grid width
+    weekRow: { flexDirection: 'row', marginBottom: 6 },
+    weekDay: { flex: 1, textAlign: 'center', color: colors.textSecondary, fontSize: 12 },
+
+    grid: { flexDirection: 'row', flexWrap: 'wrap' },
+    cell: { width: `${100 / 7}%`, alignItems: 'center', justifyContent: 'center', marginBottom: 6 },
+    cellEmpty: { width: `${100 / 7}%` },
+    cellInRange: { backgroundColor: colors.accentTint, borderRadius: 8 },
+    cellFuture: { opacity: 0.35 },
+    cellToday: { borderWidth: 2, borderColor: colors.highlight },
+
+    // ring + fill visuals for each day (sizes set inline)
+    ringWrap: { alignItems: 'center', justifyContent: 'center' },
+    ring: { position: 'absolute', borderWidth: 3, borderColor: colors.ringTrack },
+
+    // heatmap square for each day
+    heatCell: { alignItems: 'center', justifyContent: 'center', borderRadius: 6 },
+    innerFill: { position: 'absolute', backgroundColor: colors.accent, opacity: 0.9 },
+    dayText: { position: 'absolute', color: colors.text, fontSize: 12, fontWeight: '600' },
+
+    // corner dot on days over the caffeine limit, and its legend under the grid
+    caffeineMark: {
+      position: 'absolute',
+      top: 0,
+      right: 0,
+      width: 9,
+      height: 9,
+      borderRadius: 5,
+      backgroundColor: colors.danger,
+      borderWidth: 1,
+      borderColor: colors.modal,
+    },
+    caffeineLegend: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', gap: 6, marginTop: 4 },
+
+    // small calendar summary text beneath the grid
+    calendarProgress: {
+      marginTop: 4,
+      fontSize: 14,
+      color: colors.accent,
+      fontWeight: '600',
+      textAlign: 'center',
+    },
+    calendarProgressAlt: {
+      marginTop: 4,
+      fontSize: 14,
+      color: colors.textSecondary,
+      textAlign: 'center',
+    },
+
+    // calendar button container aligned with header content (left)
+    calendarBtnContainer: {
+      marginTop: 8,
+      alignItems: 'flex-start', // left align the button
+    },
+
+    // row variant when the header shows more than one button
+    headerBtnRow: { flexDirection: 'row', flexWrap: 'wrap', alignItems: 'center', rowGap: 6 },
+
+    // smaller left-aligned calendar button (styled like the Back button)
+    calendarBtnMain: {
+      paddingVertical: 8,       // slightly smaller
+      paddingHorizontal: 12,
+      borderRadius: 8,
+      backgroundColor: colors.accent,
+      alignItems: 'center',
+      alignSelf: 'flex-start',
+    },
+  });
+}
+
+// the theme plus its styles: { dark, highContrast, colors, styles }
+export function themeWithStyles(theme) {
+  return { ...theme, styles: createStyles(theme.colors) };
+}
+
+// light theme until App provides the user's
+export const ThemeContext = createContext(themeWithStyles(buildTheme()));
+
+// { dark, highContrast, colors, styles } for the active theme
+export function useTheme() {
+  return useContext(ThemeContext);
+}
@@ -0,0 +1,180 @@
+// Colors for light/dark mode, high contrast and the accent color
+// Context (#): settings.theme / highContrast / accent pick a palette here; styles.js turns the
+// palette into the StyleSheet and hands both to components through ThemeContext, so nothing
+// outside this file should need a hex value
+
+// settings.theme: 'system' follows the device's light/dark setting
+export const THEME_MODES = ['system', 'light', 'dark'];
+export const DEFAULT_THEME_MODE = 'system';
+
+// accent colors the user can pick from (translated names: theme.accents.<id>);
+// dark mode uses a lighter shade so it reads on a black background
+export const ACCENTS = {
+  blue: { light: '#007AFF', dark: '#0A84FF' },
+  teal: { light: '#0C8599', dark: '#22B8CF' },
+  green: { light: '#2F9E44', dark: '#40C057' },
+  purple: { light: '#7048E8', dark: '#9775FA' },
+  pink: { light: '#D6336C', dark: '#F06595' },
+  orange: { light: '#E8590C', dark: '#FF922B' },
+};
+export const DEFAULT_ACCENT = 'blue';
+
+export function isThemeMode(mode) {
+  return THEME_MODES.includes(mode);
+}
+
+export function isAccent(accent) {
+  return Object.prototype.hasOwnProperty.call(ACCENTS, accent);
+}
+
+// base palettes; accent-derived colors are filled in by buildTheme
+const LIGHT = {
+  background: '#fff',
+  surface: '#f9f9f9', // cards and stat boxes
+  modal: '#fff',
+  text: '#111',
+  textLabel: '#333', // input labels, chip text
+  textSecondary: '#666',
+  border: '#ddd',
+  divider: '#eee',
+  buttonMuted: '#f1f1f1', // cancel buttons
+  onAccent: '#fff', // text on accent-filled buttons
+  success: '#2b8a3e',
+  successStrong: '#1b5e20',
+  danger: '#B00020',
+  dangerBorder: '#F1B0B6',
+  behind: '#D9534F', // "away from goal" / behind pace
+  highlight: '#FF9500', // today and the pace "now" marker
+  disabled: '#ccc',
+  ringTrack: '#e6e6e6',
+  tick: 'rgba(0,0,0,0.2)',
+  backdrop: 'rgba(0,0,0,0.35)',
+  toast: '#323232',
+  toastText: '#fff',
+  toastAction: '#8ab4f8',
+};
+
+const DARK = {
+  background: '#000',
+  surface: '#1c1c1e',
+  modal: '#1c1c1e',
+  text: '#f2f2f7',
+  textLabel: '#d1d1d6',
+  textSecondary: '#98989f',
+  border: '#3a3a3c',
+  divider: '#2c2c2e',
+  buttonMuted: '#2c2c2e',
+  onAccent: '#fff',
+  success: '#40c057',
+  successStrong: '#2f9e44',
+  danger: '#ff6b6b',
+  dangerBorder: '#7a2e35',
+  behind: '#ff8787',
+  highlight: '#FF9F0A',
+  disabled: '#48484a',
+  ringTrack: '#3a3a3c',
+  tick: 'rgba(255,255,255,0.3)',
+  backdrop: 'rgba(0,0,0,0.6)',
+  toast: '#3a3a3c',
+  toastText: '#fff',
+  toastAction: '#8ab4f8',
+};
+
+// high contrast: pure black/white text and visible borders everywhere
+const LIGHT_HIGH_CONTRAST = {
+  ...LIGHT,
+  surface: '#fff',
+  text: '#000',
+  textLabel: '#000',
+  textSecondary: '#333',
+  border: '#000',
+  divider: '#555',
+  buttonMuted: '#e0e0e0',
+  success: '#1b5e20',
+  successStrong: '#0b3d0f',
+  danger: '#8b0000',
+  dangerBorder: '#8b0000',
+  behind: '#a4000f',
+  highlight: '#b35c00',
+  disabled: '#767676',
+  ringTrack: '#767676',
+  tick: 'rgba(0,0,0,0.6)',
+  backdrop: 'rgba(0,0,0,0.6)',
+  toast: '#000',
+};
+
+const DARK_HIGH_CONTRAST = {
+  ...DARK,
+  surface: '#000',
+  modal: '#000',
+  text: '#fff',
+  textLabel: '#fff',
+  textSecondary: '#e0e0e0',
+  border: '#fff',
+  divider: '#aaa',
+  buttonMuted: '#333',
+  onAccent: '#000',
+  success: '#69db7c',
+  successStrong: '#b2f2bb',
+  danger: '#ffa8a8',
+  dangerBorder: '#ffa8a8',
+  behind: '#ffc9c9',
+  highlight: '#ffd43b',
+  disabled: '#8e8e93',
+  ringTrack: '#8e8e93',
+  tick: 'rgba(255,255,255,0.7)',
+  backdrop: 'rgba(0,0,0,0.8)',
+  toast: '#fff',
+  toastText: '#000',
+  toastAction: '#0b4fa8',
+};
+
+// '#rrggbb' (or '#rgb') -> [r, g, b]
+function toRgb(hex) {
+  const h = hex.replace('#', '');
+  const full = h.length === 3 ? h.split('').map(c => c + c).join('') : h;
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+}
+
+// blend two hex colors: amount 0 => a, 1 => b
+export function mix(a, b, amount) {
+  const [ra, ga, ba] = toRgb(a);
+  const [rb, gb, bb] = toRgb(b);
+  const channel = (x, y) => Math.round(x + (y - x) * amount).toString(16).padStart(2, '0');
+  return `#${channel(ra, rb)}${channel(ga, gb)}${channel(ba, bb)}`;
+}
+
+/**
+ * buildTheme({ theme, highContrast, accent }, systemScheme)
+ * - { dark, highContrast, colors } for the settings; systemScheme is the device's 'light' /
+ *   'dark' (useColorScheme), used when settings.theme is 'system'
+ * - colors adds the accent family to the palette: accent, accentStrong (item names, darker or
+ *   lighter for contrast), accentSoft (chart bars, gauge outline), accentTint (range and
+ *   suggestion backgrounds) and the heatmap scale { empty, under[], over[] }
+ */
+export function buildTheme({ theme = DEFAULT_THEME_MODE, highContrast = false, accent = DEFAULT_ACCENT } = {}, systemScheme) {
+  const dark = theme === 'system' ? systemScheme === 'dark' : theme === 'dark';
+  const base = dark ? (highContrast ? DARK_HIGH_CONTRAST : DARK) : highContrast ? LIGHT_HIGH_CONTRAST : LIGHT;
+
+  // high contrast pushes the accent toward the text color so it clears WCAG AA on the background
+  const shade = (ACCENTS[accent] || ACCENTS[DEFAULT_ACCENT])[dark ? 'dark' : 'light'];
+  const main = highContrast ? mix(shade, base.text, 0.35) : shade;
+
+  return {
+    dark,
+    highContrast,
+    colors: {
+      ...base,
+      accent: main,
+      accentStrong: mix(main, base.text, 0.3),
+      accentSoft: mix(main, base.background, 0.55),
+      accentTint: mix(main, base.background, dark ? 0.8 : 0.9),
+      heatmap: {
+        empty: dark ? '#1c1c1e' : '#f2f2f2',
+        // light to strong shares of the accent up to the goal, success shades past it
+        under: [0.85, 0.7, 0.5, 0.3].map(share => mix(main, base.background, share)),
+        over: [0.5, 0.25, 0].map(share => mix(base.success, base.background, share)),
+      },
+    },
+  };
+}
@@ -0,0 +1,59 @@
+// Time-of-day buckets derived from when an entry was logged
+// Context (#): an entry's stored `timeOfDay` is only set when the user picked one by hand;
+// null means "classify from createdAt", so changing the boundaries re-buckets those entries
+
+import { wallClock } from './dates';
+import { t } from './i18n';
+
+// buckets in day order (also the order shown in pickers); these are stored/exported values,
+// show them with timeOfDayLabel
+export const TIMES = ['Morning', 'Afternoon', 'Evening', 'Night'];
+
+// translated name of a bucket
+export function timeOfDayLabel(bucket) {
+  return t(`timeOfDay.${bucket}`);
+}
+
+// hour (0-23) each bucket starts at; Night runs past midnight until Morning starts
+export const DEFAULT_TIME_OF_DAY_STARTS = { Morning: 5, Afternoon: 12, Evening: 17, Night: 21 };
+
+// true when the start hours are integers in 0-23 and strictly increasing in TIMES order
+export function isValidTimeOfDayStarts(starts) {
+  if (!starts || typeof starts !== 'object') return false;
+  return TIMES.every((bucket, i) => {
+    const h = starts[bucket];
+    const valid = Number.isInteger(h) && h >= 0 && h <= 23;
+    return valid && (i === 0 || h > starts[TIMES[i - 1]]);
+  });
+}
+
+/**
+ * classifyTimeOfDay(date, starts, utcOffset?)
+ * - bucket for a moment, using the wall clock where it was logged when utcOffset is given
+ */
+export function classifyTimeOfDay(date, starts = DEFAULT_TIME_OF_DAY_STARTS, utcOffset) {
+  const { hour } = wallClock(date, utcOffset);
+
+  // latest bucket that has started; before Morning starts it's still last night
+  let bucket = TIMES[TIMES.length - 1];
+  TIMES.forEach(b => {
+    if (hour >= starts[b]) bucket = b;
+  });
+  return bucket;
+}
+
+// time of day to show/aggregate for an entry: the hand-picked value, or the derived one
+export function entryTimeOfDay(entry, starts) {
+  return entry.timeOfDay || classifyTimeOfDay(entry.createdAt, starts, entry.utcOffset);
+}
+
+/**
+ * setTimeOfDayStart(starts, bucket, hour)
+ * - moves one bucket's start hour, clamped so buckets keep their order; returns new starts
+ */
+export function setTimeOfDayStart(starts, bucket, hour) {
+  const i = TIMES.indexOf(bucket);
+  const min = i === 0 ? 0 : starts[TIMES[i - 1]] + 1;
+  const max = i === TIMES.length - 1 ? 23 : starts[TIMES[i + 1]] - 1;
+  return { ...starts, [bucket]: Math.min(Math.max(hour, min), max) };
+}
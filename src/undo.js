@@ -0,0 +1,51 @@
+// Undo/redo for user actions on the data (add, edit, delete, restore, goal changes)
+// Context (#): snapshot based: before each undoable action App records what the undoable part of
+// the state looked like ({ entries, deletedEntries, goalHistory }). State updates never mutate,
+// so a snapshot only holds references and stays cheap. Kept in memory only (not saved)
+
+// how many steps can be undone
+const MAX_STEPS = 50;
+
+export function createUndoStack() {
+  return { past: [], future: [] };
+}
+
+// remember `snapshot` (the state before the action called `label`); clears the redo steps
+export function recordStep(stack, snapshot, label) {
+  return {
+    past: [...stack.past, { snapshot, label }].slice(-MAX_STEPS),
+    future: [],
+  };
+}
+
+// every recorded snapshot (both directions) passed through `fn`: entries that arrive outside the
+// undoable actions (logged from the widget) are added to each so no undo or redo drops them
+export function mapSnapshots(stack, fn) {
+  const step = s => ({ ...s, snapshot: fn(s.snapshot) });
+  return { past: stack.past.map(step), future: stack.future.map(step) };
+}
+
+/**
+ * undoStep(stack, current) / redoStep(stack, current)
+ * - { stack, snapshot, label }: the state to go back (forward) to and the action it reverses,
+ *   with `current` moved onto the opposite side; null when there's nothing to undo (redo)
+ */
+export function undoStep(stack, current) {
+  if (!stack.past.length) return null;
+  const step = stack.past[stack.past.length - 1];
+  return {
+    stack: { past: stack.past.slice(0, -1), future: [...stack.future, { snapshot: current, label: step.label }] },
+    snapshot: step.snapshot,
+    label: step.label,
+  };
+}
+
+export function redoStep(stack, current) {
+  if (!stack.future.length) return null;
+  const step = stack.future[stack.future.length - 1];
+  return {
+    stack: { past: [...stack.past, { snapshot: current, label: step.label }], future: stack.future.slice(0, -1) },
+    snapshot: step.snapshot,
+    label: step.label,
+  };
+}
@@ -0,0 +1,76 @@
+// Volume units: entries keep the amount + unit they were logged in, goals and totals are
+// kept in US fluid ounces internally, and everything shown on screen goes through here
+// Context (#): convert only for display/input so switching units never rewrites stored data
+
+import { formatNumber, t } from './i18n';
+
+// millilitres per unit (US customary fl oz / cup)
+const ML_PER_UNIT = {
+  oz: 29.5735295625,
+  ml: 1,
+  l: 1000,
+  cup: 236.5882365,
+};
+
+/**
+ * UNITS
+ * - decimals: precision used when displaying amounts
+ * - entryExample / goalExample: input placeholders
+ * - names are translated (locales: units.<unit>.label / short / spoken), see unitLabel
+ */
+export const UNITS = {
+  oz: { decimals: 1, entryExample: '8', goalExample: '64' },
+  ml: { decimals: 0, entryExample: '250', goalExample: '2000' },
+  l: { decimals: 2, entryExample: '0.25', goalExample: '2' },
+  cup: { decimals: 2, entryExample: '1', goalExample: '8' },
+};
+
+export const DEFAULT_UNIT = 'oz';
+
+export function isUnit(unit) {
+  return Object.prototype.hasOwnProperty.call(UNITS, unit);
+}
+
+// convert an amount between two units (unknown units are treated as ounces)
+export function convert(amount, from, to) {
+  const fromMl = ML_PER_UNIT[from] ?? ML_PER_UNIT.oz;
+  const toMl = ML_PER_UNIT[to] ?? ML_PER_UNIT.oz;
+  return (amount * fromMl) / toMl;
+}
+
+export function toOunces(amount, unit) {
+  return convert(amount, unit, 'oz');
+}
+
+export function fromOunces(ounces, unit) {
+  return convert(ounces, 'oz', unit);
+}
+
+// ounces an entry counts for, whatever unit it was logged in
+export function entryOunces(entry) {
+  const amount = Number(entry.amount);
+  return Number.isFinite(amount) ? toOunces(amount, entry.unit) : 0;
+}
+
+// ounces -> number in `unit`, rounded to that unit's display precision
+export function roundedAmount(ounces, unit) {
+  const factor = 10 ** UNITS[unit].decimals;
+  return Math.round(fromOunces(ounces, unit) * factor) / factor;
+}
+
+// name shown in pickers and input labels ('fl oz', 'mL', 'L', 'cups')
+export function unitLabel(unit) {
+  return t(`units.${unit}.label`);
+}
+
+// ounces -> '8 oz' / '250 mL' / '1.5 L' / '2 cups', with the locale's number format
+export function formatVolume(ounces, unit) {
+  const value = roundedAmount(ounces, unit);
+  return `${formatNumber(value)} ${t(`units.${unit}.short`, { count: value })}`;
+}
+
+// ounces -> words for screen readers ('48 ounces', '1 cup')
+export function spokenVolume(ounces, unit) {
+  const value = roundedAmount(ounces, unit);
+  return `${formatNumber(value)} ${t(`units.${unit}.spoken`, { count: value })}`;
+}
@@ -0,0 +1,123 @@
+// Typed number parsing and sanity limits for amounts
+// Context (#): every number the user types (entry amounts, goals, presets, weights, factors) goes
+// through parseDecimal, so "8,5" means 8.5 on any keyboard and "8abc" is rejected instead of
+// being read as 8; "1,000" could be read either way, so it's rejected rather than guessed.
+// Limits (settings.limits, in ounces) are soft: going past one only asks for a
+// second tap to save; the modals show both errors and warnings inline under the field, one-tap
+// adds (presets, log links, shortcuts, the widget) ask in an alert
+
+import { formatNumber, t } from './i18n';
+import { formatVolume } from './units';
+
+// warn above these unless the user picked their own (fl oz: about 1.9 L in one go, 7.5 L a day)
+export const DEFAULT_LIMITS = { entryOunces: 64, dayOunces: 256 };
+
+// digits grouped in threes by `sep` ("1,000,000"), for the part before the decimal mark
+function isGrouped(text, sep) {
+  return text.split(sep).every((part, i) => (i === 0 ? /^\d{1,3}$/.test(part) : /^\d{3}$/.test(part)));
+}
+
+/**
+ * isAmbiguousNumber(text)
+ * - true for a lone "." or "," followed by exactly three digits after a group that could be
+ *   thousands ("1,000", "12.500"): one language reads it as a decimal, another as grouping.
+ *   After a leading "0" it's always a decimal ("0,250")
+ */
+export function isAmbiguousNumber(text) {
+  return /^-?[1-9]\d{0,2}[.,]\d{3}$/.test(String(text ?? '').trim());
+}
+
+/**
+ * parseDecimal(text)
+ * - the number typed in `text`, or NaN when it isn't one ("", "8abc", "1.2.3", "-") or when it
+ *   can't be read one way only (isAmbiguousNumber: "1,000")
+ * - "." and "," both work as the decimal mark, whatever the app's language; with both present
+ *   the last one is, and the other must group digits in threes ("1,234.5", "1.234,5"); one kind
+ *   used more than once groups digits ("1,000,000")
+ */
+export function parseDecimal(text) {
+  const s = String(text ?? '').trim();
+  // one leading minus is read, so a negative amount is "not positive" rather than "not a number"
+  if (/^-[^-]/.test(s)) return -parseDecimal(s.slice(1));
+  if (!/^[\d.,]*\d[\d.,]*$/.test(s) || isAmbiguousNumber(s)) return NaN;
+
+  const last = Math.max(s.lastIndexOf('.'), s.lastIndexOf(','));
+  if (last === -1) return Number(s);
+
+  const mark = s[last];
+  const other = mark === '.' ? ',' : '.';
+  const count = s.split(mark).length - 1;
+
+  // one kind of separator, used more than once: digit groups
+  if (!s.includes(other) && count > 1) {
+    return isGrouped(s, mark) ? Number(s.split(mark).join('')) : NaN;
+  }
+
+  // otherwise the last separator is the decimal mark
+  const whole = s.slice(0, last);
+  const fraction = s.slice(last + 1);
+  if (whole.includes(mark) || !/^\d*$/.test(fraction)) return NaN;
+  if (whole.includes(other) && !isGrouped(whole, other)) return NaN;
+  return Number(`${whole.split(other).join('') || '0'}.${fraction || '0'}`);
+}
+
+/**
+ * parseAmount(text)
+ * - { value, error } for a typed amount or goal: error is null (value is a positive number),
+ *   'empty', 'ambiguous' (see isAmbiguousNumber), 'invalid' (not a number) or 'notPositive'
+ */
+export function parseAmount(text) {
+  if (!String(text ?? '').trim()) return { value: null, error: 'empty' };
+  if (isAmbiguousNumber(text)) return { value: null, error: 'ambiguous' };
+  const value = parseDecimal(text);
+  if (Number.isNaN(value)) return { value: null, error: 'invalid' };
+  if (!(value > 0)) return { value: null, error: 'notPositive' };
+  return { value, error: null };
+}
+
+/**
+ * parseOptionalAmount(text)
+ * - { value, error } for an optional number that may be 0 (an entry's caffeine or alcohol):
+ *   an empty field is value null; error is null, 'ambiguous', 'invalid' (not a number) or 'negative'
+ */
+export function parseOptionalAmount(text) {
+  if (!String(text ?? '').trim()) return { value: null, error: null };
+  if (isAmbiguousNumber(text)) return { value: null, error: 'ambiguous' };
+  const value = parseDecimal(text);
+  if (Number.isNaN(value)) return { value: null, error: 'invalid' };
+  if (value < 0) return { value: null, error: 'negative' };
+  return { value, error: null };
+}
+
+// inline message for a parseAmount / parseOptionalAmount error, with an example in the unit (e.g. "8" / "250")
+export function amountErrorMessage(error, unitName, example) {
+  return error ? t(`validation.${error}`, { unit: unitName, example: formatNumber(example) }) : null;
+}
+
+/**
+ * amountWarnings({ entryOunces, dayOunces, goalOunces }, limits, unit)
+ * - translated warnings for what a save would lead to: one entry bigger than limits.entryOunces,
+ *   a day's total or a daily goal above limits.dayOunces; leave out what doesn't apply
+ * - [] when everything is plausible
+ */
+export function amountWarnings({ entryOunces, dayOunces, goalOunces }, limits, unit) {
+  const limit = { entry: formatVolume(limits.entryOunces, unit), day: formatVolume(limits.dayOunces, unit) };
+  const warnings = [];
+  if (entryOunces != null && entryOunces > limits.entryOunces) {
+    warnings.push(t('validation.entryHigh', { volume: formatVolume(entryOunces, unit), limit: limit.entry }));
+  }
+  if (dayOunces != null && dayOunces > limits.dayOunces) {
+    warnings.push(t('validation.dayHigh', { volume: formatVolume(dayOunces, unit), limit: limit.day }));
+  }
+  if (goalOunces != null && goalOunces > limits.dayOunces) {
+    warnings.push(t('validation.goalHigh', { limit: limit.day }));
+  }
+  return warnings;
+}
+
+// stored settings.limits: both thresholds positive numbers of ounces
+export function isValidLimits(limits) {
+  return limits != null
+    && typeof limits === 'object'
+    && [limits.entryOunces, limits.dayOunces].every(v => typeof v === 'number' && Number.isFinite(v) && v > 0);
+}
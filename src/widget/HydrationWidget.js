@@ -0,0 +1,86 @@
+import React from 'react';
+import { FlexWidget, TextWidget } from 'react-native-android-widget';
+
+import { formatVolume } from '../units';
+import { t } from '../i18n';
+
+// name the widget is registered under (app.json plugin config, requestWidgetUpdate)
+export const WIDGET_NAME = 'Hydration';
+
+// clickAction of the "+8 oz" button, handled in widget/widgetTaskHandler.js
+export const LOG_GLASS_ACTION = 'LOG_GLASS';
+
+// clickAction of the button when it opens `logUri` instead
+const OPEN_URI_ACTION = 'OPEN_URI';
+
+/**
+ * HydrationWidget
+ * - Android home-screen widget: today's total against the goal with a progress bar, and a
+ *   button that logs a glass of water without opening the app (or opens the app on `logUri`,
+ *   where the glass is confirmed first); tapping anywhere else opens it
+ * - Built from react-native-android-widget primitives (no regular RN views), colors are hex
+ * - Props:
+ *    total: today's hydrated ounces
+ *    goal: today's goal in ounces, or null
+ *    unit: display unit
+ *    glassOunces: what the button logs
+ *    logUri: navigation.logLink for the glass when it needs confirming in the app, else null
+ *    colors: theme.buildTheme() colors
+ */
+function HydrationWidget({ total, goal, unit, glassOunces, logUri, colors }) {
+  const share = goal ? Math.min(total / goal, 1) : 0;
+
+  return (
+    <FlexWidget
+      clickAction="OPEN_APP"
+      style={{
+        height: 'match_parent',
+        width: 'match_parent',
+        backgroundColor: colors.background,
+        borderRadius: 16,
+        padding: 12,
+        flexDirection: 'column',
+        justifyContent: 'space-between',
+      }}
+    >
+      <TextWidget text={t('widget.title')} style={{ fontSize: 13, color: colors.textSecondary }} />
+      <TextWidget
+        text={goal
+          ? t('widget.progress', { total: formatVolume(total, unit), goal: formatVolume(goal, unit) })
+          : formatVolume(total, unit)}
+        style={{ fontSize: 18, fontWeight: '700', color: colors.text }}
+      />
+
+      {/* progress bar: filled and empty parts share the width */}
+      {goal ? (
+        <FlexWidget style={{ width: 'match_parent', height: 8, borderRadius: 4, backgroundColor: colors.ringTrack, flexDirection: 'row' }}>
+          {share > 0 ? (
+            <FlexWidget style={{ flex: share, height: 8, borderRadius: 4, backgroundColor: share >= 1 ? colors.success : colors.accent }} />
+          ) : null}
+          {share < 1 ? <FlexWidget style={{ flex: 1 - share, height: 8 }} /> : null}
+        </FlexWidget>
+      ) : (
+        <TextWidget text={t('widget.noGoal')} style={{ fontSize: 12, color: colors.textSecondary }} />
+      )}
+
+      <FlexWidget
+        clickAction={logUri ? OPEN_URI_ACTION : LOG_GLASS_ACTION}
+        clickActionData={logUri ? { uri: logUri } : undefined}
+        style={{
+          backgroundColor: colors.accent,
+          borderRadius: 8,
+          paddingVertical: 6,
+          paddingHorizontal: 12,
+          alignItems: 'center',
+        }}
+      >
+        <TextWidget
+          text={t('widget.add', { volume: formatVolume(glassOunces, unit) })}
+          style={{ fontSize: 14, fontWeight: '700', color: colors.onAccent }}
+        />
+      </FlexWidget>
+    </FlexWidget>
+  );
+}
+
+export default HydrationWidget;
@@ -0,0 +1,73 @@
+// Home-screen widget plumbing (Android only)
+// Context (#): react-native-android-widget runs widgetTaskHandler headless (registered in
+// index.js) whenever a widget is added, resized, due for an update or tapped; App calls
+// refreshWidget whenever today's total or goal changes so the widget never lags behind the app
+
+import React from 'react';
+import { Appearance, Platform } from 'react-native';
+import { requestWidgetUpdate } from 'react-native-android-widget';
+
+import { loadState } from '../storage';
+import { QUICK_AMOUNTS, logWater, quickLogWarnings, todaySummary } from '../quickLog';
+import { logLink } from '../navigation';
+import { buildTheme } from '../theme';
+import { setLanguage } from '../i18n';
+import HydrationWidget, { LOG_GLASS_ACTION, WIDGET_NAME } from './HydrationWidget';
+
+// what the widget's button logs
+const GLASS_OUNCES = QUICK_AMOUNTS.find(q => q.id === 'glass').ounces;
+
+// the widget for a quickLog.todaySummary, in that profile's language and colors; past the
+// sanity limits the button opens the app on a log link, which asks before logging
+function renderHydrationWidget(summary) {
+  const { total, goal, unit, settings } = summary;
+  setLanguage(settings.language);
+  const { colors } = buildTheme(settings, Appearance.getColorScheme());
+  const logUri = quickLogWarnings(GLASS_OUNCES, summary).length ? logLink(GLASS_OUNCES) : null;
+  return (
+    <HydrationWidget
+      total={total}
+      goal={goal}
+      unit={unit}
+      glassOunces={GLASS_OUNCES}
+      logUri={logUri}
+      colors={colors}
+    />
+  );
+}
+
+/**
+ * widgetTaskHandler({ widgetAction, clickAction, renderWidget })
+ * - redraws from the saved state; the "+" button logs a glass first (quickLog.logWater)
+ */
+export async function widgetTaskHandler({ widgetAction, clickAction, renderWidget }) {
+  switch (widgetAction) {
+    case 'WIDGET_ADDED':
+    case 'WIDGET_UPDATE':
+    case 'WIDGET_RESIZED': {
+      const { state } = await loadState();
+      renderWidget(renderHydrationWidget(todaySummary(state)));
+      break;
+    }
+
+    case 'WIDGET_CLICK': {
+      if (clickAction !== LOG_GLASS_ACTION) break;
+      const summary = (await logWater(GLASS_OUNCES)) ?? todaySummary((await loadState()).state);
+      renderWidget(renderHydrationWidget(summary));
+      break;
+    }
+
+    default:
+      break;
+  }
+}
+
+// redraw every placed widget with the app's current numbers (no-op off Android or without one)
+export function refreshWidget(summary) {
+  if (Platform.OS !== 'android') return;
+  requestWidgetUpdate({
+    widgetName: WIDGET_NAME,
+    renderWidget: () => renderHydrationWidget(summary),
+    widgetNotFound: () => {},
+  }).catch(err => console.warn('Could not update the widget', err));
+}